@@ -3,16 +3,116 @@
  *
  * Manages alarms, notifications, and storage for break reminders.
  *
+ * Runs as a module service worker so constants, validation and the settings
+ * schema are shared with the popup and options page instead of duplicated.
+ *
  * Key patterns:
- * - Alarms recreate on each trigger with updated intervals (not periodic)
- * - Water notifications use unique timestamp IDs for button tracking
- * - Water log counter uses serialization queue to prevent race conditions
+ * - Settings are migrated and normalized against settings-schema.js on install
+ *   and update; readers fall back to schema defaults via getSetting()
+ * - Alarms recreate on each trigger with updated intervals (not periodic);
+ *   a reminder with jitter gets a randomly spread delay each time (jitter.js)
+ * - Custom reminders use their `custom_<id>` as the alarm name
+ * - Clock reminders fire at fixed times of day: their `clock_<id>` alarm is
+ *   set with `when` for the next occurrence (clock-reminders.js) and re-armed
+ *   each time it fires, whenever settings change and on browser startup.
+ *   They ignore working hours and idle time but stay quiet while paused
+ * - Repeating alarms outside the working-hours schedule are suppressed and
+ *   deferred to the next working window
+ * - Repeating alarms are cleared while the user is idle/locked or has paused
+ *   all reminders, and restarted from zero when that ends
+ * - Reminder notifications use `${type}|${firedAt}` IDs so Done/Snooze button
+ *   clicks can be traced back to their reminder
+ * - Every reminder notification is logged with its outcome (done, snoozed,
+ *   skipped or ignored) for the statistics page
+ * - Ignored reminder notifications can escalate: shown again with stronger
+ *   wording and sound on `escalate|<notificationId>` alarms (escalation.js),
+ *   tracked in a queued openNotificationsV1 record until the user interacts
+ * - Built-in reminder messages rotate through a tip pool (tips.js, or the
+ *   user's edited `${type}Tips`) without repeats until the pool is used up
+ * - Stretch and movement reminders open a guided routine (routine.html);
+ *   finishing it counts as Done, with chimes between steps via offscreen audio
+ * - Blink reminders can open a countdown window (blink.html) instead of a
+ *   notification; finishing it logs done, closing it early logs skipped
+ * - Spoken reminders read the notification message aloud through the same
+ *   offscreen document that plays sounds
+ * - Several labeled one-time timers can run at once, each on its own
+ *   `oneTime|<id>` alarm with its entry in a queued oneTimeTimersV1 list
+ *   (timers.js); open popups are sent the list whenever it changes. Pausing
+ *   a timer clears its alarm and keeps the time left until it is resumed
+ * - Keyboard shortcuts (manifest `commands`) start/stop a timer, log water
+ *   and pause/resume, confirming each with a short-lived notification
+ * - The toolbar badge counts down to the first timer or next reminder
+ *   (badge.js); a one-off 'badgeRefresh' alarm wakes the worker only when
+ *   the badge text changes
+ * - Snoozes are one-off `snooze|${type}` alarms that leave the interval alone
+ * - The Pomodoro cycle advances itself from the 'pomodoro' alarm; phase state
+ *   lives in chrome.storage.local like the one-time timers
+ * - Water log counter uses serialization queue to prevent race conditions;
+ *   each log adds one glass (ml) to the day's volume, and both totals are
+ *   kept in a 90-day history in chrome.storage.local
  *
  * Platform-specific workarounds:
  * - macOS notification button handling: See chrome.alarms.onAlarm listener
  *   (search for "macOS NOTIFICATION WORKAROUND" for details)
  */
 
+import {
+  ONE_TIME_MIN,
+  ONE_TIME_MAX,
+  DEFAULT_ONE_TIME_MINUTES,
+  MAX_ONE_TIME_TIMERS,
+  REPEATING_INTERVAL_MIN,
+  REPEATING_INTERVAL_MAX,
+  BUILT_IN_REMINDERS,
+  CUSTOM_REMINDERS_STORAGE_KEY,
+  CUSTOM_REMINDER_ID_PREFIX,
+  DEFAULT_JITTER_PERCENT,
+  CLOCK_REMINDERS_STORAGE_KEY,
+  WORK_SCHEDULE_STORAGE_KEY,
+  POMODORO_SETTINGS,
+  ML_PER_FL_OZ,
+  ROUTINE_REMINDER_TYPES,
+  SOUND_SETTING_TYPES,
+  CUSTOM_SOUND_STORAGE_KEY
+} from './constants.js';
+import {
+  isValidInterval,
+  isValidCustomReminder,
+  isValidClockReminder,
+  parseTimeOfDay,
+  isValidWorkSchedule
+} from './validation.js';
+import {
+  SETTINGS_SCHEMA,
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_VERSION_KEY,
+  getSetting,
+  normalizeSettings,
+  migrateSettings
+} from './settings-schema.js';
+import { pickTip, getTipPool } from './tips.js';
+import { formatDateKey } from './charts.js';
+import { getBadgeState } from './badge.js';
+import { isClockReminderType, getNextClockTime } from './clock-reminders.js';
+import { createSeededRandom, getJitteredInterval } from './jitter.js';
+import {
+  getEscalationAlarmName,
+  parseEscalationAlarmName,
+  getEscalatedNotification,
+  getEscalationSound
+} from './escalation.js';
+import {
+  getTimerAlarmName,
+  parseTimerAlarmName,
+  isValidTimer,
+  createTimer,
+  isTimerPaused,
+  pauseTimer,
+  resumeTimer,
+  getRunningTimers,
+  getTimerTitle
+} from './timers.js';
+
 const NOTIFICATION_MESSAGES = {
   blink: "Time to blink your eyes! Look away from the screen for 20 seconds.",
   water: "Time to drink some water! Stay hydrated!",
@@ -29,20 +129,99 @@ let isProcessingWaterLogQueue = false;
 const WATER_LOG_MAX_RETRIES = 5;
 const WATER_LOG_RETRY_DELAY_MS = 500;
 
+// Per-day water log history in chrome.storage.local as
+// { 'YYYY-MM-DD': [count, volumeMl] } (older entries may be a bare count),
+// pruned to the retention window so it stays well within storage quotas.
+const WATER_HISTORY_STORAGE_KEY = 'waterHistoryV1';
+const WATER_HISTORY_RETENTION_DAYS = 90;
+
+// Fired reminders in chrome.storage.local as [type, firedAt, outcome] entries,
+// oldest first. Outcomes are 'done', 'snoozed', 'skipped' (dismissed) or
+// 'ignored' (no interaction, the value written when the reminder fires).
+const REMINDER_LOG_STORAGE_KEY = 'reminderLogV1';
+const REMINDER_LOG_RETENTION_DAYS = 90;
+const REMINDER_OUTCOME_IGNORED = 'ignored';
+
+// Reminder log updates queue to serialize read-modify-write on the log
+let reminderLogQueue = [];
+let isProcessingReminderLogQueue = false;
+
+// Reminder notifications that may still escalate, in chrome.storage.local as
+// { [notificationId]: { type, notification, escalations } } where
+// notification holds the title, message and buttons as first shown. Entries
+// go when the user interacts, the last repeat shows or a newer reminder of the
+// same type replaces them; updates are queued like the reminder log.
+const OPEN_NOTIFICATIONS_STORAGE_KEY = 'openNotificationsV1';
+let openNotificationQueue = [];
+let isProcessingOpenNotificationQueue = false;
+
+// Tip rotation per built-in reminder in chrome.storage.local as
+// { [type]: { bag: [tips not yet shown], last: tip } }. Picks are queued so
+// reminders firing together do not overwrite each other's rotation.
+const TIP_ROTATION_STORAGE_KEY = 'tipRotationV1';
+let tipQueue = [];
+let isProcessingTipQueue = false;
+
+// Sync keys needed to describe today's hydration progress. Goal and glass size
+// are stored in millilitres; waterUnit only affects how volumes are displayed.
+const WATER_PROGRESS_SETTINGS_KEYS = [
+  'waterLogDate', 'waterLogCount', 'waterLogVolumeMl', 'waterGoalMl', 'waterGlassMl', 'waterUnit'
+];
+
 // Stores the last applied alarm settings in chrome.storage.local so updateAlarms
 // can avoid rescheduling unrelated alarms (e.g., when only sound settings change).
 const ALARM_STATE_STORAGE_KEY = 'alarmStateV1';
 
-// One-time timer UI state persisted to chrome.storage.local to allow popup restore.
-const ONE_TIME_STATE_STORAGE_KEY = 'oneTimeStateV1';
+// Running one-time timers as a list of { id, label, durationMinutes,
+// scheduledTime } in chrome.storage.local, in the order they were started.
+// Changes are queued so timers started, cancelled or firing together do not
+// overwrite each other's entries.
+const ONE_TIME_TIMERS_STORAGE_KEY = 'oneTimeTimersV1';
+let timerQueue = [];
+let isProcessingTimerQueue = false;
+// The single timer from before several could run at once; moved into the
+// list on update.
+const LEGACY_ONE_TIME_ALARM_NAME = 'oneTime';
+const LEGACY_ONE_TIME_STATE_STORAGE_KEY = 'oneTimeStateV1';
+// Last timer length picked in the popup, reused by the keyboard shortcut.
+const ONE_TIME_LAST_MINUTES_STORAGE_KEY = 'oneTimeLastMinutesV1';
+
+// Keyboard shortcut feedback reuses one notification so repeated presses
+// replace it, and clears it after a few seconds.
+const COMMAND_FEEDBACK_NOTIFICATION_ID = 'commandFeedback';
+const COMMAND_FEEDBACK_CLEAR_MS = 4000;
 
 // Audio playback on platforms where notification sounds are unreliable.
 const SOUND_SUPPORT_STORAGE_KEY = 'soundPlaybackSupportedV1';
+// Sound preset that leaves playback to Chrome's notification sound
+const SYSTEM_SOUND_PRESET = 'system';
+const SOUND_SETTINGS_KEYS = ['soundVolume', ...SOUND_SETTING_TYPES.map(({ id }) => `${id}Sound`)];
+// Spoken reminders; the flag mirrors soundPlaybackSupportedV1 for speech.
+const SPEECH_SUPPORT_STORAGE_KEY = 'speechPlaybackSupportedV1';
+const SPEECH_SETTINGS_KEYS = ['speechEnabled', 'speechVoice', 'speechRate', 'speechVolume'];
 const OFFSCREEN_DOCUMENT_URL = 'offscreen.html';
 let isOffscreenDocumentReady = false;
 let isOffscreenListenerReady = false;
 let offscreenReadyWaiters = [];
 
+// Set in chrome.storage.local while repeating alarms are suspended because the
+// user is idle or the screen is locked.
+const IDLE_STATE_STORAGE_KEY = 'idleSuspendedV1';
+
+// Global "pause all reminders" state in chrome.storage.local:
+// { pausedAt, pausedUntil } where pausedUntil is null for an indefinite pause.
+const PAUSE_STATE_STORAGE_KEY = 'pauseStateV1';
+const PAUSE_END_ALARM_NAME = 'pauseEnd';
+const PAUSE_PRESET_MINUTES = { '30m': 30, '1h': 60, '2h': 120 };
+
+// Keys read together to decide whether repeating reminders are suspended.
+const SUSPENSION_STATE_KEYS = [IDLE_STATE_STORAGE_KEY, PAUSE_STATE_STORAGE_KEY];
+
+// Pomodoro cycle state persisted to chrome.storage.local so the current phase
+// survives popup close and service worker restarts.
+const POMODORO_STATE_STORAGE_KEY = 'pomodoroStateV1';
+const POMODORO_ALARM_NAME = 'pomodoro';
+
 // Cached platform check to avoid repeated getPlatformInfo calls.
 let cachedIsMacOS = null;
 
@@ -108,7 +287,7 @@ async function createOffscreenDocument() {
     reasons: chrome.offscreen?.Reason?.AUDIO_PLAYBACK
       ? [chrome.offscreen.Reason.AUDIO_PLAYBACK]
       : ['AUDIO_PLAYBACK'],
-    justification: 'Play a short notification sound when required.'
+    justification: 'Play a short notification sound or read a reminder aloud when required.'
   };
   try {
     await callChromeApi((cb) => chrome.offscreen.createDocument(options, cb));
@@ -123,66 +302,111 @@ async function createOffscreenDocument() {
   }
 }
 
-// Validation constants for timer and interval values
-// NOTE: These are duplicated from constants.js because service workers
-// don't support ES6 module imports. When updating, keep both files in sync.
-const ONE_TIME_MIN = 1;
-const ONE_TIME_MAX = 120;
-const REPEATING_INTERVAL_MIN = 0;
-const REPEATING_INTERVAL_MAX = 60;
-
-// Default values for interval sliders (in minutes)
-const DEFAULT_BLINK_INTERVAL = 20;
-const DEFAULT_WATER_INTERVAL = 30;
-const DEFAULT_UP_INTERVAL = 45;
-const DEFAULT_STRETCH_INTERVAL = 40;
+// Reminder types with dedicated `${type}Enabled` / `${type}Interval` keys.
+const BUILT_IN_REMINDER_TYPES = BUILT_IN_REMINDERS.map(({ id }) => id);
+const TIP_SETTINGS_KEYS = BUILT_IN_REMINDER_TYPES.map((type) => `${type}Tips`);
+
+// Stretch and movement reminders offer a guided routine on this page instead
+// of a Done button; finishing the routine marks the reminder done.
+const ROUTINE_PAGE_URL = 'routine.html';
+
+// Optional blink break window. The open window is kept in chrome.storage.local
+// as { windowId, notificationId } so closing it early can be logged as skipped
+// even if the service worker restarted in between.
+const BLINK_BREAK_PAGE_URL = 'blink.html';
+const BLINK_BREAK_STORAGE_KEY = 'blinkBreakV1';
+const BLINK_BREAK_WINDOW_SIZE = { width: 360, height: 320 };
+
+// Toolbar badge countdown. Alarm changes come in bursts (updateAlarms touches
+// every reminder), so refreshes are coalesced over a short delay.
+const BADGE_REFRESH_ALARM_NAME = 'badgeRefresh';
+const BADGE_REFRESH_DELAY_MS = 100;
+const BADGE_TEXT_COLOR = '#FFFFFF';
+let badgeRefreshTimeoutId = null;
+
+// Days searched ahead when looking for the next working-hours window.
+const WORK_SCHEDULE_LOOKAHEAD_DAYS = 8;
+
+// Snooze re-fires and notification IDs (see buildNotificationId).
+const SNOOZE_ALARM_PREFIX = 'snooze|';
+const NOTIFICATION_ID_SEPARATOR = '|';
+
+const POMODORO_PHASE_MESSAGES = {
+  work: (minutes) => `Break's over. Focus for ${minutes} minutes.`,
+  shortBreak: (minutes) => `Nice work! Take a ${minutes}-minute break.`,
+  longBreak: (minutes) => `Cycle complete! Take a ${minutes}-minute long break.`
+};
 
-// Default values for feature toggles
-const DEFAULT_SOUND_ENABLED = true;
-const DEFAULT_BLINK_ENABLED = false;
-const DEFAULT_WATER_ENABLED = false;
-const DEFAULT_UP_ENABLED = false;
-const DEFAULT_STRETCH_ENABLED = false;
+// Every sync key needed to (re)create the repeating reminder alarms.
+const REPEATING_ALARM_SETTINGS_KEYS = [
+  ...BUILT_IN_REMINDER_TYPES.flatMap((type) => [`${type}Enabled`, `${type}Interval`]),
+  CUSTOM_REMINDERS_STORAGE_KEY,
+  WORK_SCHEDULE_STORAGE_KEY
+];
+
+// Every sync key needed to show a reminder notification when its alarm fires.
+const ALARM_NOTIFICATION_SETTINGS_KEYS = [
+  'soundEnabled', 'snoozeMinutes', 'escalationRepeats', 'escalationMinutes', 'blinkBreakWindowEnabled', 'blinkBreakSeconds', ...SOUND_SETTINGS_KEYS,
+  ...SPEECH_SETTINGS_KEYS,
+  ...BUILT_IN_REMINDER_TYPES.map((type) => `${type}Enabled`),
+  CUSTOM_REMINDERS_STORAGE_KEY, CLOCK_REMINDERS_STORAGE_KEY, WORK_SCHEDULE_STORAGE_KEY,
+  ...WATER_PROGRESS_SETTINGS_KEYS, ...TIP_SETTINGS_KEYS
+];
+
+// Clock reminder occurrences skipped from the popup, as { [reminderId]: epoch
+// milliseconds } in chrome.storage.local, so re-arming the alarms after a
+// settings change does not bring a skipped occurrence back.
+const CLOCK_SKIPS_STORAGE_KEY = 'clockSkipsV1';
+
+// A clock reminder whose alarm fires later than this (the browser was closed
+// or the computer asleep) is skipped rather than shown out of context.
+const CLOCK_REMINDER_MAX_LATE_MS = 60 * 60 * 1000;
+
+// Random source for reminder jitter; seedJitter() makes it repeatable.
+let jitterRandom = Math.random;
 
 chrome.runtime.onInstalled.addListener(() => {
   if (DEBUG_MODE) console.log('Extension installed/updated');
-  
-  // Initialize default settings
-  chrome.storage.sync.get([
-    'blinkEnabled', 'blinkInterval',
-    'waterEnabled', 'waterInterval',
-    'upEnabled', 'upInterval',
-    'stretchEnabled', 'stretchInterval',
-    'soundEnabled',
-    'waterLogCount', 'waterLogDate'
-  ], (result) => {
+
+  migrateLegacyOneTimeTimer();
+
+  // Migrate stored settings to the current schema and fill in defaults
+  chrome.storage.sync.get(null, (result) => {
     if (chrome.runtime.lastError) {
       console.error('Failed to read storage during initialization:', chrome.runtime.lastError);
       return;
     }
 
+    const { settings: migrated, removedKeys, fromVersion } = migrateSettings(result);
+    const { settings, resetKeys } = normalizeSettings(migrated);
+    if (resetKeys.length > 0) {
+      console.error(`Reset invalid settings to defaults: ${resetKeys.join(', ')}`);
+    }
+
     const today = new Date().toDateString();
-    const defaultSettings = {
-      blinkEnabled: result.blinkEnabled ?? DEFAULT_BLINK_ENABLED,
-      blinkInterval: result.blinkInterval ?? DEFAULT_BLINK_INTERVAL,
-      waterEnabled: result.waterEnabled ?? DEFAULT_WATER_ENABLED,
-      waterInterval: result.waterInterval ?? DEFAULT_WATER_INTERVAL,
-      upEnabled: result.upEnabled ?? DEFAULT_UP_ENABLED,
-      upInterval: result.upInterval ?? DEFAULT_UP_INTERVAL,
-      stretchEnabled: result.stretchEnabled ?? DEFAULT_STRETCH_ENABLED,
-      stretchInterval: result.stretchInterval ?? DEFAULT_STRETCH_INTERVAL,
-      soundEnabled: result.soundEnabled ?? DEFAULT_SOUND_ENABLED,
-      waterLogCount: (result.waterLogDate === today) ? result.waterLogCount : 0,
+    const storedSettings = {
+      ...settings,
+      [SETTINGS_VERSION_KEY]: SETTINGS_SCHEMA_VERSION,
+      waterLogCount: (migrated.waterLogDate === today) ? (migrated.waterLogCount ?? 0) : 0,
+      waterLogVolumeMl: (migrated.waterLogDate === today) ? getLoggedWaterVolumeMl(migrated) : 0,
       waterLogDate: today
     };
-    if (DEBUG_MODE) console.log('Default settings:', defaultSettings);
+    if (DEBUG_MODE) console.log(`Settings migrated from version ${fromVersion}:`, storedSettings);
 
-    chrome.storage.sync.set(defaultSettings, () => {
+    chrome.storage.sync.set(storedSettings, () => {
       if (chrome.runtime.lastError) {
         console.error('Failed to save default settings:', chrome.runtime.lastError);
         return;
       }
-      updateAlarms(defaultSettings);
+      if (removedKeys.length > 0) {
+        chrome.storage.sync.remove(removedKeys, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Failed to remove migrated settings:', chrome.runtime.lastError);
+          }
+        });
+      }
+      applyIdleDetectionInterval(storedSettings);
+      updateAlarms(storedSettings);
     });
   });
 });
@@ -196,42 +420,435 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return;
   }
   if (message.action === 'updateAlarms') {
+    // The popup does not send advanced settings; keep the current threshold then
+    if (message.settings?.idleThresholdMinutes !== undefined) {
+      applyIdleDetectionInterval(message.settings);
+    }
     updateAlarms(message.settings);
     sendResponse?.({ ok: true });
   }
+  if (message.action === 'routineCompleted') {
+    sendResponse?.({ ok: completeRoutine(message.type, message.notificationId) });
+    return;
+  }
+  if (message.action === 'blinkBreakCompleted') {
+    const reminder = parseNotificationId(message.notificationId ?? '');
+    if (reminder?.type !== 'blink') {
+      sendResponse?.({ ok: false });
+      return;
+    }
+    recordReminderOutcome(message.notificationId, 'done');
+    chrome.storage.sync.get(['soundEnabled', 'soundVolume'], (result) => {
+      if (!chrome.runtime.lastError && getSetting(result, 'soundEnabled')) {
+        playOffscreenSound('blinkBreak', { volume: getSetting(result, 'soundVolume') });
+      }
+    });
+    sendResponse?.({ ok: true });
+    return;
+  }
+  if (message.action === 'previewSound') {
+    const sound = { tone: message.tone, volume: message.volume };
+    if (sound.tone === SYSTEM_SOUND_PRESET) {
+      // Chrome's own notification sound cannot be played on demand
+      sound.tone = 'beep';
+    }
+    playOffscreenSound(message.alarmName, sound);
+    sendResponse?.({ ok: true });
+    return;
+  }
+  if (message.action === 'previewSpeech') {
+    sendOffscreenSpeech({
+      text: message.text,
+      voice: message.voice,
+      rate: message.rate,
+      volume: message.volume
+    });
+    sendResponse?.({ ok: true });
+    return;
+  }
+  if (message.action === 'playRoutineChime') {
+    chrome.storage.sync.get(['soundEnabled', 'soundVolume'], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to read sound setting:', chrome.runtime.lastError);
+        return;
+      }
+      if (getSetting(result, 'soundEnabled')) {
+        playOffscreenSound('routine', { tone: 'chime', volume: getSetting(result, 'soundVolume') });
+      }
+    });
+    sendResponse?.({ ok: true });
+    return;
+  }
+  if (message.action === 'getScheduleStatus') {
+    chrome.storage.sync.get([WORK_SCHEDULE_STORAGE_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to read work schedule:', chrome.runtime.lastError);
+        sendResponse?.({ ok: false, error: 'storage_error' });
+        return;
+      }
+      const workSchedule = getActiveWorkSchedule(result?.[WORK_SCHEDULE_STORAGE_KEY]);
+      sendResponse?.({ ok: true, ...getWorkScheduleStatus(workSchedule, Date.now()) });
+    });
+    return true;
+  }
+  if (message.action === 'fireReminderNow') {
+    fireReminderNow(message.type, (result) => sendResponse?.(result));
+    return true;
+  }
+  if (message.action === 'skipNextReminder' || message.action === 'restartReminder') {
+    rescheduleReminder(message.type, message.action === 'skipNextReminder', (result) => sendResponse?.(result));
+    return true;
+  }
   if (message.action === 'createOneTimeTimer') {
-    const minutes = message.minutes;
-    if (isValidAlarmInterval(minutes)) {
-      const durationMinutes = Number(minutes);
-      const scheduledTime = Date.now() + durationMinutes * 60 * 1000;
-      chrome.alarms.create('oneTime', {
-        delayInMinutes: minutes
+    startOneTimeTimer(message.minutes, message.label, (result) => sendResponse?.(result));
+    return true;
+  }
+  if (message.action === 'pauseOneTimeTimer' || message.action === 'resumeOneTimeTimer') {
+    setOneTimeTimerPaused(message.id, message.action === 'pauseOneTimeTimer', (result) => sendResponse?.(result));
+    return true;
+  }
+  if (message.action === 'getOneTimeTimers') {
+    reconcileOneTimeTimers((timers) => {
+      sendResponse?.(timers ? { ok: true, timers } : { ok: false, error: 'storage_error' });
+    });
+    return true;
+  }
+  if (message.action === 'pauseReminders') {
+    pauseReminders(message.preset, (pauseState) => {
+      sendResponse?.(pauseState ? { ok: true, pauseState } : { ok: false, error: 'invalid_pause_preset' });
+    });
+    return true;
+  }
+  if (message.action === 'resumeReminders') {
+    resumeReminders(() => sendResponse?.({ ok: true }));
+    return true;
+  }
+  if (message.action === 'startPomodoro') {
+    chrome.storage.sync.get(Object.keys(POMODORO_SETTINGS), (result) => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to read Pomodoro settings:', chrome.runtime.lastError);
+        sendResponse?.({ ok: false, error: 'storage_error' });
+        return;
+      }
+      const pomodoroSettings = getPomodoroSettings(result);
+      startPomodoroPhase({ phase: 'work', completedCycles: 0 }, pomodoroSettings, (state) => {
+        sendResponse?.({ ok: true, state, settings: pomodoroSettings });
       });
-      chrome.storage.local.set({
-        [ONE_TIME_STATE_STORAGE_KEY]: { scheduledTime, durationMinutes }
-      }, () => {
+    });
+    return true;
+  }
+  if (message.action === 'stopPomodoro') {
+    chrome.alarms.clear(POMODORO_ALARM_NAME, () => {
+      chrome.storage.local.remove([POMODORO_STATE_STORAGE_KEY], () => {
         if (chrome.runtime.lastError) {
-          console.error('Failed to persist one-time timer state:', chrome.runtime.lastError);
+          console.error('Failed to clear Pomodoro state:', chrome.runtime.lastError);
         }
+        sendResponse?.({ ok: true });
       });
-      if (DEBUG_MODE) console.log(`Created one-time timer for ${minutes} minutes`);
-      sendResponse?.({ ok: true });
-    } else {
-      console.error(`Invalid one-time timer value: ${minutes}. Must be between ${ONE_TIME_MIN} and ${ONE_TIME_MAX} minutes.`);
-      sendResponse?.({ ok: false, error: 'invalid_timer_value' });
-    }
+    });
+    return true;
   }
   if (message.action === 'cancelOneTimeTimer') {
-    chrome.alarms.clear('oneTime', () => {
-      chrome.storage.local.remove([ONE_TIME_STATE_STORAGE_KEY], () => {
+    cancelOneTimeTimer(message.id, (timers) => {
+      sendResponse?.(timers ? { ok: true, timers } : { ok: false, error: 'storage_error' });
+    });
+    return true;
+  }
+});
+
+/**
+ * Queues a change to the running timers. The update gets the stored list and
+ * returns the new one, which is saved and sent to open popups as
+ * 'oneTimeTimersChanged'.
+ * @param {(timers: object[]) => object[]} update
+ * @param {(timers: object[]|null) => void} [callback] - Gets the saved list,
+ *   or null if storage failed.
+ */
+function queueTimerUpdate(update, callback) {
+  timerQueue.push({ update, callback });
+  processTimerQueue();
+}
+
+/**
+ * Applies queued timer updates sequentially.
+ */
+function processTimerQueue() {
+  if (isProcessingTimerQueue || timerQueue.length === 0) {
+    return;
+  }
+
+  isProcessingTimerQueue = true;
+  const { update, callback } = timerQueue.shift();
+
+  const finish = (timers) => {
+    isProcessingTimerQueue = false;
+    callback?.(timers);
+    processTimerQueue();
+  };
+
+  chrome.storage.local.get([ONE_TIME_TIMERS_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read one-time timers:', chrome.runtime.lastError);
+      finish(null);
+      return;
+    }
+    const stored = result?.[ONE_TIME_TIMERS_STORAGE_KEY];
+    const timers = update(Array.isArray(stored) ? stored.filter(isValidTimer) : []);
+    chrome.storage.local.set({ [ONE_TIME_TIMERS_STORAGE_KEY]: timers }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save one-time timers:', chrome.runtime.lastError);
+        finish(null);
+        return;
+      }
+      requestBadgeRefresh();
+      chrome.runtime.sendMessage({ action: 'oneTimeTimersChanged', timers }, () => {
         if (chrome.runtime.lastError) {
-          console.error('Failed to clear one-time timer state:', chrome.runtime.lastError);
+          if (DEBUG_MODE) console.log('Popup not open, could not send timers changed message');
         }
-        sendResponse?.({ ok: true });
       });
+      finish(timers);
     });
-    return true;
+  });
+}
+
+/**
+ * Starts a one-time timer alongside any that are already running.
+ * @param {number} minutes - Timer length.
+ * @param {string} [label] - Shown in the completion notification.
+ * @param {(result: {ok: boolean, timer?: object, timers?: object[], error?: string}) => void} [callback]
+ */
+function startOneTimeTimer(minutes, label, callback) {
+  if (!isValidAlarmInterval(minutes)) {
+    console.error(`Invalid one-time timer value: ${minutes}. Must be between ${ONE_TIME_MIN} and ${ONE_TIME_MAX} minutes.`);
+    callback?.({ ok: false, error: 'invalid_timer_value' });
+    return;
   }
+  let timer = null;
+  queueTimerUpdate((timers) => {
+    if (timers.length >= MAX_ONE_TIME_TIMERS) {
+      return timers;
+    }
+    timer = createTimer(timers, { minutes, label }, Date.now());
+    return [...timers, timer];
+  }, (timers) => {
+    if (!timers) {
+      callback?.({ ok: false, error: 'storage_error' });
+    } else if (!timer) {
+      callback?.({ ok: false, error: 'too_many_timers' });
+    } else {
+      // Armed only once the timer is saved, so a failed save leaves no alarm
+      chrome.alarms.create(getTimerAlarmName(timer.id), {
+        delayInMinutes: timer.durationMinutes
+      });
+      if (DEBUG_MODE) console.log(`Created one-time timer ${timer.id} for ${minutes} minutes`);
+      callback?.({ ok: true, timer, timers });
+    }
+  });
+}
+
+/**
+ * Cancels a one-time timer and removes its entry.
+ * @param {string} id - Timer ID.
+ * @param {(timers: object[]|null) => void} [callback] - Gets the timers left.
+ */
+function cancelOneTimeTimer(id, callback) {
+  chrome.alarms.clear(getTimerAlarmName(id), () => {
+    queueTimerUpdate((timers) => timers.filter((timer) => timer.id !== id), callback);
+  });
+}
+
+/**
+ * Pauses a running timer, clearing its alarm and keeping the time left, or
+ * resumes a paused one by re-creating its alarm for that time from now.
+ * @param {string} id - Timer ID.
+ * @param {boolean} paused - True to pause, false to resume.
+ * @param {(result: {ok: boolean, timers?: object[], error?: string}) => void} [callback]
+ */
+function setOneTimeTimerPaused(id, paused, callback) {
+  let changedTimer = null;
+  queueTimerUpdate((timers) => timers.map((timer) => {
+    if (timer.id !== id || isTimerPaused(timer) === paused) {
+      return timer;
+    }
+    changedTimer = paused ? pauseTimer(timer, Date.now()) : resumeTimer(timer, Date.now());
+    return changedTimer;
+  }), (timers) => {
+    if (!timers) {
+      callback?.({ ok: false, error: 'storage_error' });
+    } else if (!changedTimer) {
+      callback?.({ ok: false, error: paused ? 'not_running' : 'not_paused', timers });
+    } else {
+      // Changed only once the timer is saved, so a failed save leaves the
+      // alarm matching the stored timer
+      if (paused) {
+        chrome.alarms.clear(getTimerAlarmName(id));
+      } else {
+        chrome.alarms.create(getTimerAlarmName(id), { when: changedTimer.scheduledTime });
+      }
+      if (DEBUG_MODE) console.log(`${paused ? 'Paused' : 'Resumed'} one-time timer ${id}`);
+      callback?.({ ok: true, timers });
+    }
+  });
+}
+
+/**
+ * Drops entries for timers that have ended, re-arms any whose alarm was lost
+ * before its end time, and clears alarms left over for paused timers.
+ * @param {(timers: object[]|null) => void} [callback] - Gets the running timers.
+ */
+function reconcileOneTimeTimers(callback) {
+  chrome.alarms.getAll((alarms) => {
+    queueTimerUpdate((timers) => {
+      const running = getRunningTimers(timers, alarms ?? [], Date.now());
+      running.forEach((timer) => {
+        const alarmName = getTimerAlarmName(timer.id);
+        const hasAlarm = alarms?.some(({ name }) => name === alarmName);
+        if (isTimerPaused(timer) && hasAlarm) {
+          chrome.alarms.clear(alarmName);
+        } else if (!isTimerPaused(timer) && !hasAlarm) {
+          chrome.alarms.create(alarmName, { when: timer.scheduledTime });
+        }
+      });
+      return running;
+    }, callback);
+  });
+}
+
+/**
+ * Moves a timer started before several could run at once (the 'oneTime'
+ * alarm and oneTimeStateV1) into the timer list.
+ */
+function migrateLegacyOneTimeTimer() {
+  chrome.alarms.get(LEGACY_ONE_TIME_ALARM_NAME, (alarm) => {
+    chrome.storage.local.get([LEGACY_ONE_TIME_STATE_STORAGE_KEY], (result) => {
+      const durationMinutes = chrome.runtime.lastError
+        ? undefined
+        : result?.[LEGACY_ONE_TIME_STATE_STORAGE_KEY]?.durationMinutes;
+      chrome.storage.local.remove([LEGACY_ONE_TIME_STATE_STORAGE_KEY], () => {});
+      if (!alarm) {
+        return;
+      }
+      chrome.alarms.clear(LEGACY_ONE_TIME_ALARM_NAME, () => {
+        queueTimerUpdate((timers) => {
+          const now = Date.now();
+          const minutes = Number.isInteger(durationMinutes) && isValidAlarmInterval(durationMinutes)
+            ? durationMinutes
+            : Math.min(ONE_TIME_MAX, Math.max(ONE_TIME_MIN, Math.ceil((alarm.scheduledTime - now) / 60000)));
+          const timer = { ...createTimer(timers, { minutes }, now), scheduledTime: alarm.scheduledTime };
+          chrome.alarms.create(getTimerAlarmName(timer.id), { when: timer.scheduledTime });
+          return [...timers, timer];
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Shows a short-lived, silent notification confirming a keyboard shortcut.
+ * @param {string} message - What the shortcut did.
+ */
+function showCommandFeedback(message) {
+  chrome.notifications.create(COMMAND_FEEDBACK_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Recharge',
+    message,
+    silent: true,
+    priority: 0
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Notification error:', chrome.runtime.lastError);
+    }
+  });
+  setTimeout(() => chrome.notifications.clear(COMMAND_FEEDBACK_NOTIFICATION_ID), COMMAND_FEEDBACK_CLEAR_MS);
+}
+
+/**
+ * Stops the most recently started one-time timer, or starts one with the last
+ * length picked in the popup when none is running.
+ */
+function toggleOneTimeTimerCommand() {
+  chrome.storage.local.get([ONE_TIME_LAST_MINUTES_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read the last timer length:', chrome.runtime.lastError);
+      return;
+    }
+    const lastMinutes = result?.[ONE_TIME_LAST_MINUTES_STORAGE_KEY];
+    const minutes = isValidAlarmInterval(lastMinutes) ? Number(lastMinutes) : DEFAULT_ONE_TIME_MINUTES;
+    let stoppedTimer = null;
+    let startedTimer = null;
+    // Decided inside the queue so a timer still being saved counts as running
+    queueTimerUpdate((timers) => {
+      stoppedTimer = timers.at(-1) ?? null;
+      if (stoppedTimer) {
+        return timers.slice(0, -1);
+      }
+      startedTimer = createTimer(timers, { minutes }, Date.now());
+      return [startedTimer];
+    }, (timers) => {
+      if (!timers) {
+        return;
+      }
+      if (stoppedTimer) {
+        chrome.alarms.clear(getTimerAlarmName(stoppedTimer.id));
+        showCommandFeedback(`⏱️ Timer stopped: ${getTimerTitle(stoppedTimer)}.`);
+      } else {
+        chrome.alarms.create(getTimerAlarmName(startedTimer.id), { delayInMinutes: startedTimer.durationMinutes });
+        showCommandFeedback(`⏱️ Timer started: ${minutes} min.`);
+      }
+    });
+  });
+}
+
+/**
+ * Logs a glass of water through the serialized water log queue.
+ */
+function logWaterCommand() {
+  waterLogQueue.push({
+    timestamp: Date.now(),
+    attempts: 0,
+    onLogged: (volumeMl) => {
+      chrome.storage.sync.get(['waterGoalMl', 'waterUnit'], (result) => {
+        const settings = chrome.runtime.lastError ? {} : result;
+        const unit = getSetting(settings, 'waterUnit');
+        showCommandFeedback(`💧 Glass logged: ${formatWaterVolume(volumeMl, unit)} of ` +
+          `${formatWaterVolume(getSetting(settings, 'waterGoalMl'), unit)} today.`);
+      });
+    }
+  });
+  processWaterLogQueue();
+}
+
+/**
+ * Resumes reminders when paused, otherwise pauses them until resumed.
+ */
+function togglePauseCommand() {
+  chrome.storage.local.get([PAUSE_STATE_STORAGE_KEY], (localState) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read pause state:', chrome.runtime.lastError);
+      return;
+    }
+    if (getSuspensionReason(localState) === 'paused') {
+      resumeReminders(() => showCommandFeedback('▶️ Reminders resumed.'));
+      return;
+    }
+    pauseReminders('indefinite', (pauseState) => {
+      if (pauseState) {
+        showCommandFeedback('⏸️ Reminders paused until you resume.');
+      }
+    });
+  });
+}
+
+const COMMAND_HANDLERS = {
+  'toggle-timer': toggleOneTimeTimerCommand,
+  'log-water': logWaterCommand,
+  'toggle-pause': togglePauseCommand
+};
+
+chrome.commands.onCommand.addListener((command) => {
+  if (DEBUG_MODE) console.log(`Command: ${command}`);
+  COMMAND_HANDLERS[command]?.();
 });
 
 /**
@@ -301,16 +918,52 @@ async function ensureOffscreenDocument() {
 }
 
 /**
- * Attempts to play a notification sound on macOS using an offscreen document.
+ * Returns the sound picked for an alarm. Custom reminders share one setting.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {string} alarmName - The reminder type, 'oneTime' or 'pomodoro'.
+ * @returns {{tone: string, volume: number}} tone is a SOUND_PRESETS id.
+ */
+function getAlarmSound(settings, alarmName) {
+  const soundType = isCustomReminderType(alarmName) || isClockReminderType(alarmName) ? 'customReminder' : alarmName;
+  const hasSetting = SOUND_SETTING_TYPES.some(({ id }) => id === soundType);
+  return {
+    tone: hasSetting ? getSetting(settings, `${soundType}Sound`) : SYSTEM_SOUND_PRESET,
+    volume: getSetting(settings, 'soundVolume')
+  };
+}
+
+/**
+ * Whether Chrome should play its own notification sound. It is muted when
+ * sound is off, on macOS (where the offscreen beep replaces it) and when a
+ * tone other than the system sound plays through the offscreen document.
+ * @param {boolean} isMacOS
+ * @param {boolean} soundEnabled
+ * @param {{tone: string}} sound - From getAlarmSound.
+ * @returns {boolean}
+ */
+function isNotificationSilent(isMacOS, soundEnabled, sound) {
+  return isMacOS || !soundEnabled || sound.tone !== SYSTEM_SOUND_PRESET;
+}
+
+/**
+ * Plays the alarm's picked sound through the offscreen document. With the
+ * system sound picked, only macOS needs the offscreen beep.
  * If audio cannot be played, a flag is stored so the UI can inform the user.
+ * @param {string} alarmName
  * @param {boolean} soundEnabled
+ * @param {{tone: string, volume: number}} [sound] - From getAlarmSound.
  */
-function playNotificationSoundIfNeeded(alarmName, soundEnabled) {
+function playNotificationSoundIfNeeded(alarmName, soundEnabled, sound = getAlarmSound({}, alarmName)) {
   if (!soundEnabled) {
     if (DEBUG_MODE) console.log('[sound] sound disabled; skip');
     return;
   }
 
+  if (sound.tone !== SYSTEM_SOUND_PRESET) {
+    playOffscreenSound(alarmName, sound);
+    return;
+  }
+
   getIsMacOS((isMacOS) => {
     if (!isMacOS) {
       if (DEBUG_MODE) console.log('[sound] non-macOS; rely on notification sound');
@@ -318,54 +971,135 @@ function playNotificationSoundIfNeeded(alarmName, soundEnabled) {
     }
 
     if (DEBUG_MODE) console.log(`[sound] macOS detected; attempting offscreen beep (alarm=${alarmName})`);
-    ensureOffscreenDocument()
-      .then((ready) => {
-        if (DEBUG_MODE) console.log(`[sound] offscreen ready=${ready}`);
-        if (!ready) {
-          chrome.runtime.sendMessage({ action: 'soundPlaybackUnsupported' }, () => {});
-          return;
-        }
-        const sendDelayMs = 50;
-        const sendPlayMessage = (attempt) => {
-          chrome.runtime.sendMessage({ action: 'playNotificationSound', alarmName }, (response) => {
-            if (chrome.runtime.lastError) {
-              if (DEBUG_MODE) console.log('[sound] sendMessage error:', chrome.runtime.lastError);
-              if (DEBUG_MODE && chrome.runtime?.getContexts) {
-                chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] }, (contexts) => {
-                  if (chrome.runtime.lastError) return;
-                  console.log('[sound] offscreen contexts:', contexts?.length ?? 0);
-                });
-              }
-
-              // Offscreen documents can be reclaimed by Chrome; retry once by recreating it.
-              if (attempt === 0) {
-                isOffscreenDocumentReady = false;
-                isOffscreenListenerReady = false;
-                ensureOffscreenDocument().then((retryReady) => {
-                  if (DEBUG_MODE) console.log(`[sound] offscreen retry ready=${retryReady}`);
-                  if (retryReady) {
-                    waitForOffscreenListenerReady().then(() => {
-                      setTimeout(() => sendPlayMessage(1), sendDelayMs);
-                    });
-                  }
-                });
-              }
-              return;
-            }
-            if (DEBUG_MODE) console.log('[sound] playNotificationSound response:', response);
-            isOffscreenListenerReady = true;
-          });
-        };
-        setTimeout(() => sendPlayMessage(0), sendDelayMs);
-      })
-      .catch(() => {
-        if (DEBUG_MODE) console.log('[sound] ensureOffscreenDocument threw; marking unsupported');
-        chrome.storage.local.set({ [SOUND_SUPPORT_STORAGE_KEY]: false });
-        chrome.runtime.sendMessage({ action: 'soundPlaybackUnsupported' }, () => {});
-      });
+    playOffscreenSound(alarmName, { ...sound, tone: 'beep' });
+  });
+}
+
+/**
+ * Plays a sound through the offscreen document on any platform. The uploaded
+ * sound file is read here and passed along, since offscreen documents cannot
+ * read chrome.storage; without one the beep plays instead.
+ * @param {string} alarmName - Selects the tone pitch in offscreen.js.
+ * @param {{tone?: string, volume?: number}} [sound] - Tone (SOUND_PRESETS id) and volume.
+ */
+function playOffscreenSound(alarmName, sound = {}) {
+  if (sound.tone !== 'file') {
+    sendOffscreenSound({ alarmName, tone: sound.tone ?? 'beep', volume: sound.volume });
+    return;
+  }
+  chrome.storage.local.get([CUSTOM_SOUND_STORAGE_KEY], (result) => {
+    const audioDataUrl = chrome.runtime.lastError ? null : result?.[CUSTOM_SOUND_STORAGE_KEY]?.dataUrl;
+    sendOffscreenSound(audioDataUrl
+      ? { alarmName, tone: 'file', volume: sound.volume, audioDataUrl }
+      : { alarmName, tone: 'beep', volume: sound.volume });
+  });
+}
+
+/**
+ * Sends a play request to the offscreen document. If the document cannot be
+ * created, sound playback is flagged as unsupported.
+ * @param {{alarmName: string, tone: string, volume?: number, audioDataUrl?: string}} request
+ */
+function sendOffscreenSound(request) {
+  sendOffscreenMessage({ action: 'playNotificationSound', ...request }, {
+    onUnavailable: () => {
+      chrome.storage.local.set({ [SOUND_SUPPORT_STORAGE_KEY]: false });
+      chrome.runtime.sendMessage({ action: 'soundPlaybackUnsupported' }, () => {});
+    }
+  });
+}
+
+/**
+ * Reads the reminder message aloud when spoken reminders are on.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {string} text - The notification message.
+ */
+function speakReminderIfNeeded(settings, text) {
+  if (!getSetting(settings, 'speechEnabled') || !text) {
+    return;
+  }
+  sendOffscreenSpeech({
+    text,
+    voice: getSetting(settings, 'speechVoice'),
+    rate: getSetting(settings, 'speechRate'),
+    volume: getSetting(settings, 'speechVolume')
+  });
+}
+
+/**
+ * Sends text to be spoken to the offscreen document and records whether it
+ * could be read out, so the popup can warn when speech is unavailable.
+ * @param {{text: string, voice?: string, rate?: number, volume?: number}} request
+ */
+function sendOffscreenSpeech(request) {
+  const recordSupport = (isSupported) => {
+    chrome.storage.local.set({ [SPEECH_SUPPORT_STORAGE_KEY]: isSupported });
+    if (!isSupported) {
+      chrome.runtime.sendMessage({ action: 'speechPlaybackUnsupported' }, () => {});
+    }
+  };
+  sendOffscreenMessage({ action: 'speakNotificationText', ...request }, {
+    onResponse: (response) => recordSupport(response?.ok === true),
+    onUnavailable: () => recordSupport(false)
   });
 }
 
+/**
+ * Sends a message to the offscreen document, recreating the document once if
+ * Chrome has reclaimed it.
+ * @param {{action: string}} message
+ * @param {{onResponse?: (response: object) => void, onUnavailable?: () => void}} [handlers]
+ *   onResponse gets the offscreen document's reply; onUnavailable runs when
+ *   the document cannot be created.
+ */
+function sendOffscreenMessage(message, { onResponse = () => {}, onUnavailable = () => {} } = {}) {
+  ensureOffscreenDocument()
+    .then((ready) => {
+      if (DEBUG_MODE) console.log(`[offscreen] ready=${ready}`);
+      if (!ready) {
+        onUnavailable();
+        return;
+      }
+      const sendDelayMs = 50;
+      const sendOffscreenRequest = (attempt) => {
+        chrome.runtime.sendMessage(message, (response) => {
+          if (chrome.runtime.lastError) {
+            if (DEBUG_MODE) console.log('[offscreen] sendMessage error:', chrome.runtime.lastError);
+            if (DEBUG_MODE && chrome.runtime?.getContexts) {
+              chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] }, (contexts) => {
+                if (chrome.runtime.lastError) return;
+                console.log('[offscreen] offscreen contexts:', contexts?.length ?? 0);
+              });
+            }
+
+            // Offscreen documents can be reclaimed by Chrome; retry once by recreating it.
+            if (attempt === 0) {
+              isOffscreenDocumentReady = false;
+              isOffscreenListenerReady = false;
+              ensureOffscreenDocument().then((retryReady) => {
+                if (DEBUG_MODE) console.log(`[offscreen] retry ready=${retryReady}`);
+                if (retryReady) {
+                  waitForOffscreenListenerReady().then(() => {
+                    setTimeout(() => sendOffscreenRequest(1), sendDelayMs);
+                  });
+                }
+              });
+            }
+            return;
+          }
+          if (DEBUG_MODE) console.log(`[offscreen] ${message.action} response:`, response);
+          isOffscreenListenerReady = true;
+          onResponse(response);
+        });
+      };
+      setTimeout(() => sendOffscreenRequest(0), sendDelayMs);
+    })
+    .catch(() => {
+      if (DEBUG_MODE) console.log('[offscreen] ensureOffscreenDocument threw; marking unsupported');
+      onUnavailable();
+    });
+}
+
 /**
  * Determines if the current platform is macOS.
  * Uses chrome.runtime.getPlatformInfo() when available and falls back to
@@ -411,7 +1145,8 @@ function isValidAlarmInterval(value) {
 }
 
 /**
- * Validates if a value is a valid repeating alarm interval (0-60 minutes).
+ * Validates if a value is a valid repeating alarm interval, with the same
+ * limits the popup and settings schema use (isValidInterval()).
  * NOTE: This validation is also performed in popup.js before sending.
  * This defense-in-depth approach ensures data integrity even if
  * storage is corrupted or messages are modified in transit.
@@ -419,21 +1154,547 @@ function isValidAlarmInterval(value) {
  * @returns {boolean} True if valid, false otherwise.
  */
 function isValidRepeatingInterval(value) {
-  return !isNaN(value) && value >= REPEATING_INTERVAL_MIN && value <= REPEATING_INTERVAL_MAX;
+  return isValidInterval(value);
 }
 
-// Handle notification button clicks
-chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
-  if (notificationId.startsWith('water_')) {
-    if (buttonIndex === 0) { // Log Water button clicked
-      // Add increment operation to queue for serialized processing
-      waterLogQueue.push({ timestamp: Date.now(), attempts: 0 });
-      processWaterLogQueue();
-    }
-    // For both buttons, clear the notification
-    chrome.notifications.clear(notificationId);
-  }
-});
+/**
+ * Checks whether an alarm name belongs to a user-defined reminder.
+ * @param {string} name - The alarm name.
+ * @returns {boolean}
+ */
+function isCustomReminderType(name) {
+  return typeof name === 'string' && name.startsWith(CUSTOM_REMINDER_ID_PREFIX);
+}
+
+/**
+ * Returns the valid custom reminders from a stored value, dropping anything
+ * malformed and capping the list at the schema's maxItems.
+ * @param {unknown} value - The stored customReminders value.
+ * @returns {object[]}
+ */
+function getValidCustomReminders(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  const valid = value.filter(isValidCustomReminder);
+  if (valid.length !== value.length) {
+    console.error(`Ignoring ${value.length - valid.length} invalid custom reminder(s) in storage.`);
+  }
+  return valid.slice(0, SETTINGS_SCHEMA[CUSTOM_REMINDERS_STORAGE_KEY].maxItems);
+}
+
+/**
+ * Returns the valid clock reminders from a stored value, like
+ * getValidCustomReminders().
+ * @param {unknown} value - The stored clockReminders value.
+ * @returns {object[]}
+ */
+function getValidClockReminders(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  const valid = value.filter(isValidClockReminder);
+  if (valid.length !== value.length) {
+    console.error(`Ignoring ${value.length - valid.length} invalid clock reminder(s) in storage.`);
+  }
+  return valid.slice(0, SETTINGS_SCHEMA[CLOCK_REMINDERS_STORAGE_KEY].maxItems);
+}
+
+/**
+ * Arms each enabled clock reminder for its next occurrence, passing over one
+ * the user skipped, and clears the alarms of disabled or deleted ones. Alarms
+ * already set for the right time are left alone, so this is safe to repeat.
+ * @param {object} settings - Settings with the clockReminders list.
+ * @param {chrome.alarms.Alarm[]} existingAlarms - From chrome.alarms.getAll().
+ * @param {Record<string, number>} [skips] - The stored clockSkipsV1 value.
+ */
+function updateClockAlarms(settings, existingAlarms, skips = {}) {
+  const now = Date.now();
+  const reminders = getValidClockReminders(settings[CLOCK_REMINDERS_STORAGE_KEY]);
+  const configuredIds = new Set(reminders.map(({ id }) => id));
+  existingAlarms
+    .filter(({ name }) => isClockReminderType(name) && !configuredIds.has(name))
+    .forEach(({ name }) => {
+      chrome.alarms.clear(name);
+      if (DEBUG_MODE) console.log(`Cleared ${name} alarm (reminder deleted)`);
+    });
+
+  reminders.forEach((reminder) => {
+    const existing = existingAlarms.find(({ name }) => name === reminder.id);
+    let next = reminder.enabled ? getNextClockTime(reminder, now) : null;
+    if (next !== null && next === skips?.[reminder.id]) {
+      next = getNextClockTime(reminder, next);
+    }
+    if (next === null) {
+      if (existing) {
+        chrome.alarms.clear(reminder.id);
+      }
+      return;
+    }
+    if (existing?.scheduledTime !== next) {
+      chrome.alarms.create(reminder.id, { when: next });
+      if (DEBUG_MODE) console.log(`Armed ${reminder.id} alarm for ${new Date(next).toString()}`);
+    }
+  });
+}
+
+/**
+ * Re-arms the clock reminders from stored settings, e.g. after a restart in
+ * which the time zone may have changed.
+ */
+function syncClockAlarms() {
+  chrome.storage.sync.get([CLOCK_REMINDERS_STORAGE_KEY], (settings) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read clock reminders:', chrome.runtime.lastError);
+      return;
+    }
+    chrome.storage.local.get([CLOCK_SKIPS_STORAGE_KEY], (localState) => {
+      chrome.alarms.getAll((alarms) => {
+        updateClockAlarms(settings, alarms ?? [], localState?.[CLOCK_SKIPS_STORAGE_KEY]);
+        requestBadgeRefresh();
+      });
+    });
+  });
+}
+
+/**
+ * Re-arms a clock reminder that just fired for its next occurrence, then shows
+ * it unless reminders are paused or the alarm fired too late to be useful.
+ * @param {chrome.alarms.Alarm} alarm - The fired alarm.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {object} reminder - The clock reminder definition.
+ * @param {'paused'|'idle'|null} suspensionReason - From getSuspensionReason().
+ */
+function handleClockAlarm(alarm, settings, reminder, suspensionReason) {
+  const now = Date.now();
+  // Never re-arm for the occurrence that just fired, even if it fired early.
+  const next = reminder.enabled ? getNextClockTime(reminder, Math.max(now, alarm.scheduledTime ?? now)) : null;
+  if (next !== null) {
+    chrome.alarms.create(reminder.id, { when: next });
+  }
+  requestBadgeRefresh();
+
+  if (!reminder.enabled || suspensionReason === 'paused') {
+    if (DEBUG_MODE) console.log(`Skipped ${reminder.id} (${reminder.enabled ? 'paused' : 'disabled'})`);
+    return;
+  }
+  if (now - (alarm.scheduledTime ?? now) > CLOCK_REMINDER_MAX_LATE_MS) {
+    if (DEBUG_MODE) console.log(`Skipped ${reminder.id}, fired too late`);
+    return;
+  }
+  showAlarmNotification(reminder.id, settings, reminder);
+}
+
+/**
+ * Builds the list of repeating alarms described by the settings, covering both
+ * built-in and custom reminders.
+ * @param {object} settings - Settings as stored in chrome.storage.sync.
+ * @returns {{type: string, enabled: boolean, interval: number}[]}
+ */
+function getRepeatingAlarmConfigs(settings) {
+  const builtIn = BUILT_IN_REMINDER_TYPES.map((type) => ({
+    type,
+    enabled: Boolean(settings[`${type}Enabled`]),
+    interval: Number(settings[`${type}Interval`])
+  }));
+  const custom = getValidCustomReminders(settings[CUSTOM_REMINDERS_STORAGE_KEY]).map((reminder) => ({
+    type: reminder.id,
+    enabled: Boolean(reminder.enabled),
+    interval: Number(reminder.interval)
+  }));
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Returns the schedule to enforce, or null when reminders run around the clock.
+ * Invalid schedules are ignored so a corrupted value never silences reminders.
+ * @param {object} schedule - The stored schedule.
+ * @returns {object|null}
+ */
+function getActiveWorkSchedule(schedule) {
+  if (!schedule?.enabled) {
+    return null;
+  }
+  if (!isValidWorkSchedule(schedule)) {
+    console.error('Ignoring invalid work schedule in storage:', schedule);
+    return null;
+  }
+  return schedule;
+}
+
+/**
+ * Returns the working windows for the calendar day containing `dayTime`.
+ * @param {object} schedule - A valid schedule.
+ * @param {number} dayTime - Any timestamp within the day.
+ * @returns {{start: number, end: number}[]} Windows as epoch milliseconds.
+ */
+function getWorkWindowsForDay(schedule, dayTime) {
+  const day = new Date(dayTime);
+  if (!schedule.days.includes(day.getDay())) {
+    return [];
+  }
+  const at = (minutes) => new Date(
+    day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60
+  ).getTime();
+  const start = parseTimeOfDay(schedule.start);
+  const end = parseTimeOfDay(schedule.end);
+  if (!schedule.lunchEnabled) {
+    return [{ start: at(start), end: at(end) }];
+  }
+  return [
+    { start: at(start), end: at(parseTimeOfDay(schedule.lunchStart)) },
+    { start: at(parseTimeOfDay(schedule.lunchEnd)), end: at(end) }
+  ];
+}
+
+/**
+ * Finds the working window containing `time`, or the next one after it.
+ * @param {object} schedule - A valid schedule.
+ * @param {number} time - Epoch milliseconds.
+ * @returns {{start: number, end: number}|null}
+ */
+function findWorkWindow(schedule, time) {
+  const date = new Date(time);
+  for (let offset = 0; offset < WORK_SCHEDULE_LOOKAHEAD_DAYS; offset++) {
+    const dayTime = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset).getTime();
+    const window = getWorkWindowsForDay(schedule, dayTime).find((candidate) => candidate.end > time);
+    if (window) {
+      return window;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether reminders may fire at the given time.
+ * @param {object|null} schedule - The active schedule, or null for no schedule.
+ * @param {number} time - Epoch milliseconds.
+ * @returns {boolean}
+ */
+function isWithinWorkSchedule(schedule, time) {
+  if (!schedule) {
+    return true;
+  }
+  const window = findWorkWindow(schedule, time);
+  return Boolean(window) && window.start <= time;
+}
+
+/**
+ * Describes whether reminders are active now and when that changes next.
+ * @param {object|null} schedule - The active schedule, or null for no schedule.
+ * @param {number} now - Epoch milliseconds.
+ * @returns {{scheduleEnabled: boolean, active: boolean, nextChange: number|null}}
+ */
+function getWorkScheduleStatus(schedule, now) {
+  if (!schedule) {
+    return { scheduleEnabled: false, active: true, nextChange: null };
+  }
+  const window = findWorkWindow(schedule, now);
+  if (!window) {
+    return { scheduleEnabled: true, active: false, nextChange: null };
+  }
+  const active = window.start <= now;
+  return { scheduleEnabled: true, active, nextChange: active ? window.end : window.start };
+}
+
+/**
+ * Creates a repeating reminder alarm for `interval` minutes from now (or from
+ * `from`). When that falls outside working hours, the interval restarts from
+ * the next window start.
+ * @param {string} type - The alarm name.
+ * @param {number} interval - Interval in minutes.
+ * @param {object|null} schedule - The active schedule, or null for no schedule.
+ * @param {number|null} [from] - Start of the interval (epoch milliseconds);
+ *   null for now.
+ */
+function scheduleRepeatingAlarm(type, interval, schedule, from = null) {
+  const target = (from ?? Date.now()) + interval * 60 * 1000;
+  requestBadgeRefresh();
+  if (isWithinWorkSchedule(schedule, target)) {
+    chrome.alarms.create(type, from === null ? { delayInMinutes: interval } : { when: target });
+    return;
+  }
+
+  const window = findWorkWindow(schedule, target);
+  if (!window) {
+    chrome.alarms.clear(type);
+    return;
+  }
+  chrome.alarms.create(type, { when: window.start + interval * 60 * 1000 });
+  if (DEBUG_MODE) console.log(`Deferred ${type} alarm to ${new Date(window.start).toString()} + ${interval} minutes`);
+}
+
+/**
+ * Builds the ID of a reminder notification.
+ * @param {string} type - The reminder type (alarm name).
+ * @param {number} firedAt - When the reminder fired (epoch milliseconds).
+ * @returns {string}
+ */
+function buildNotificationId(type, firedAt) {
+  return [type, firedAt].join(NOTIFICATION_ID_SEPARATOR);
+}
+
+/**
+ * Parses a reminder notification ID built by buildNotificationId().
+ * @param {string} notificationId - The notification ID.
+ * @returns {{type: string, firedAt: number}|null} Null for other notifications.
+ */
+function parseNotificationId(notificationId) {
+  const [type, firedAt, ...rest] = String(notificationId).split(NOTIFICATION_ID_SEPARATOR);
+  const timestamp = Number(firedAt);
+  if (!type || rest.length > 0 || !Number.isFinite(timestamp)) {
+    return null;
+  }
+  if (!isRepeatingReminderAlarm(type) && !isClockReminderType(type)) {
+    return null;
+  }
+  return { type, firedAt: timestamp };
+}
+
+/**
+ * Checks whether an alarm name is a one-off snooze re-fire.
+ * @param {string} name - The alarm name.
+ * @returns {boolean}
+ */
+function isSnoozeAlarm(name) {
+  return typeof name === 'string' && name.startsWith(SNOOZE_ALARM_PREFIX);
+}
+
+/**
+ * Schedules a one-off re-fire of a reminder without touching its interval.
+ * @param {string} type - The reminder type (alarm name).
+ */
+function snoozeReminder(type) {
+  chrome.storage.sync.get(['snoozeMinutes'], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read snooze setting:', chrome.runtime.lastError);
+    }
+    const snoozeMinutes = getSetting(result, 'snoozeMinutes');
+    chrome.alarms.create(`${SNOOZE_ALARM_PREFIX}${type}`, { delayInMinutes: snoozeMinutes });
+    if (DEBUG_MODE) console.log(`Snoozed ${type} for ${snoozeMinutes} minutes`);
+  });
+}
+
+/**
+ * Shows a reminder right away from the popup. Its schedule is left alone, and
+ * working hours and pauses do not apply since the user asked for it.
+ * @param {string} type - Built-in reminder type, or custom or clock reminder id.
+ * @param {(result: {ok: boolean, error?: string}) => void} callback
+ */
+function fireReminderNow(type, callback) {
+  chrome.storage.sync.get(ALARM_NOTIFICATION_SETTINGS_KEYS, (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read reminder settings:', chrome.runtime.lastError);
+      callback({ ok: false, error: 'storage_error' });
+      return;
+    }
+    let customReminder = null;
+    if (isCustomReminderType(type)) {
+      customReminder = getValidCustomReminders(result[CUSTOM_REMINDERS_STORAGE_KEY]).find((reminder) => reminder.id === type);
+    } else if (isClockReminderType(type)) {
+      customReminder = getValidClockReminders(result[CLOCK_REMINDERS_STORAGE_KEY]).find((reminder) => reminder.id === type);
+    }
+    if (!BUILT_IN_REMINDER_TYPES.includes(type) && !customReminder) {
+      callback({ ok: false, error: 'unknown_reminder' });
+      return;
+    }
+    showAlarmNotification(type, result, customReminder ?? null);
+    callback({ ok: true });
+  });
+}
+
+/**
+ * Skips a reminder's next occurrence (the following one is a full interval
+ * after it) or restarts its interval from now. Only enabled reminders are
+ * rescheduled, and nothing is created while reminders are suspended. Clock
+ * reminders have no interval to restart; see skipClockReminder.
+ * @param {string} type - Built-in reminder type, or custom or clock reminder id.
+ * @param {boolean} skipNext - True to skip, false to restart from now.
+ * @param {(result: {ok: boolean, error?: string}) => void} callback
+ */
+function rescheduleReminder(type, skipNext, callback) {
+  if (isClockReminderType(type)) {
+    if (skipNext) {
+      skipClockReminder(type, callback);
+    } else {
+      callback({ ok: false, error: 'not_supported' });
+    }
+    return;
+  }
+  chrome.storage.sync.get(REPEATING_ALARM_SETTINGS_KEYS, (settings) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read reminder settings:', chrome.runtime.lastError);
+      callback({ ok: false, error: 'storage_error' });
+      return;
+    }
+    const config = getRepeatingAlarmConfigs(settings).find((candidate) => candidate.type === type);
+    if (!config?.enabled || !(config.interval > 0) || !isValidRepeatingInterval(config.interval)) {
+      callback({ ok: false, error: 'not_enabled' });
+      return;
+    }
+    chrome.storage.local.get(SUSPENSION_STATE_KEYS, (localState) => {
+      if (getSuspensionReason(localState)) {
+        callback({ ok: false, error: 'suspended' });
+        return;
+      }
+      chrome.alarms.get(type, (alarm) => {
+        if (skipNext && !alarm) {
+          callback({ ok: false, error: 'not_scheduled' });
+          return;
+        }
+        const workSchedule = getActiveWorkSchedule(settings[WORK_SCHEDULE_STORAGE_KEY]);
+        scheduleRepeatingAlarm(type, config.interval, workSchedule, skipNext ? alarm.scheduledTime : null);
+        if (DEBUG_MODE) console.log(`${skipNext ? 'Skipped next' : 'Restarted'} ${type} reminder`);
+        callback({ ok: true });
+      });
+    });
+  });
+}
+
+/**
+ * Skips a clock reminder's next occurrence by re-arming its alarm for the one
+ * after. The skipped time is stored so updateClockAlarms keeps passing over it.
+ * Clock alarms stay armed while reminders are suspended, so they can be skipped
+ * then too.
+ * @param {string} id - Clock reminder id.
+ * @param {(result: {ok: boolean, error?: string}) => void} callback
+ */
+function skipClockReminder(id, callback) {
+  chrome.storage.sync.get([CLOCK_REMINDERS_STORAGE_KEY], (settings) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read clock reminders:', chrome.runtime.lastError);
+      callback({ ok: false, error: 'storage_error' });
+      return;
+    }
+    const reminder = getValidClockReminders(settings[CLOCK_REMINDERS_STORAGE_KEY]).find((candidate) => candidate.id === id);
+    if (!reminder?.enabled) {
+      callback({ ok: false, error: 'not_enabled' });
+      return;
+    }
+    chrome.alarms.get(id, (alarm) => {
+      const next = alarm ? getNextClockTime(reminder, alarm.scheduledTime) : null;
+      if (next === null) {
+        callback({ ok: false, error: 'not_scheduled' });
+        return;
+      }
+      chrome.storage.local.get([CLOCK_SKIPS_STORAGE_KEY], (localState) => {
+        // Only skips still ahead are worth keeping
+        const now = Date.now();
+        const skips = Object.fromEntries(Object.entries(localState?.[CLOCK_SKIPS_STORAGE_KEY] ?? {})
+          .filter(([, skippedAt]) => skippedAt > now));
+        skips[id] = alarm.scheduledTime;
+        chrome.storage.local.set({ [CLOCK_SKIPS_STORAGE_KEY]: skips }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Failed to save clock reminder skip:', chrome.runtime.lastError);
+            callback({ ok: false, error: 'storage_error' });
+            return;
+          }
+          chrome.alarms.create(id, { when: next });
+          requestBadgeRefresh();
+          if (DEBUG_MODE) console.log(`Skipped next ${id} reminder`);
+          callback({ ok: true });
+        });
+      });
+    });
+  });
+}
+
+// Handle notification button clicks: button 0 is Done (Log Water for water),
+// button 1 is Snooze.
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const reminder = parseNotificationId(notificationId);
+  if (!reminder) {
+    return;
+  }
+  stopEscalation(notificationId);
+
+  if (buttonIndex === 0 && ROUTINE_REMINDER_TYPES.includes(reminder.type)) {
+    // The outcome is recorded when the routine is finished
+    openRoutinePage(reminder.type, notificationId);
+  } else {
+    if (buttonIndex === 0 && reminder.type === 'water') {
+      // Add increment operation to queue for serialized processing
+      waterLogQueue.push({ timestamp: Date.now(), attempts: 0 });
+      processWaterLogQueue();
+    } else if (buttonIndex === 1) {
+      snoozeReminder(reminder.type);
+    }
+    recordReminderOutcome(notificationId, buttonIndex === 0 ? 'done' : 'snoozed');
+  }
+  // For both buttons, clear the notification
+  chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Opens the guided routine page for a stretch or movement reminder.
+ * @param {string} type - 'stretch' or 'up'.
+ * @param {string} notificationId - The reminder notification, marked done when the routine finishes.
+ */
+function openRoutinePage(type, notificationId) {
+  const params = new URLSearchParams({ type, notification: notificationId });
+  chrome.tabs.create({ url: chrome.runtime.getURL(`${ROUTINE_PAGE_URL}?${params}`) }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to open routine page:', chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Records a finished routine as a completed break when it was started from a
+ * reminder notification. Routines started from the popup have no fired
+ * reminder behind them, so they are not logged and break compliance only
+ * counts reminders that actually fired.
+ * @param {string} type - 'stretch' or 'up'.
+ * @param {string|undefined} notificationId - The reminder notification, if any.
+ * @returns {boolean} False for unknown reminder types.
+ */
+function completeRoutine(type, notificationId) {
+  if (!ROUTINE_REMINDER_TYPES.includes(type)) {
+    return false;
+  }
+  const reminder = notificationId ? parseNotificationId(notificationId) : null;
+  if (reminder?.type === type) {
+    recordReminderOutcome(notificationId, 'done');
+  }
+  return true;
+}
+
+// Closing the blink break window before the countdown ends counts as skipping
+// the break. A finished break is already logged as done, so this is a no-op.
+chrome.windows.onRemoved.addListener((windowId) => {
+  chrome.storage.local.get([BLINK_BREAK_STORAGE_KEY], (result) => {
+    const blinkBreak = chrome.runtime.lastError ? null : result?.[BLINK_BREAK_STORAGE_KEY];
+    if (blinkBreak?.windowId !== windowId) {
+      return;
+    }
+    recordReminderOutcome(blinkBreak.notificationId, 'skipped');
+    chrome.storage.local.remove([BLINK_BREAK_STORAGE_KEY], () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to clear blink break window:', chrome.runtime.lastError);
+      }
+    });
+  });
+});
+
+// Dismissing a reminder counts as skipping it. Closes that are not by the user
+// (timeouts, or clears after a button click) leave the outcome unchanged and,
+// being no interaction, let the reminder escalate.
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+  if (byUser && parseNotificationId(notificationId)) {
+    stopEscalation(notificationId);
+    recordReminderOutcome(notificationId, 'skipped');
+  }
+});
+
+// Clicking a reminder's body shows it was seen: it stops escalating and closes.
+// Without Done it counts as skipped, like dismissing it, rather than ignored.
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (parseNotificationId(notificationId)) {
+    stopEscalation(notificationId);
+    chrome.notifications.clear(notificationId);
+    recordReminderOutcome(notificationId, 'skipped');
+  }
+});
 
 // Helper function to create notifications with consistent options
 function createNotification(alarmName, soundEnabled, options = {}) {
@@ -442,226 +1703,1197 @@ function createNotification(alarmName, soundEnabled, options = {}) {
     iconUrl: 'icons/icon128.png',
     title: 'Recharge',
     message: NOTIFICATION_MESSAGES[alarmName],
-    silent: !(soundEnabled ?? DEFAULT_SOUND_ENABLED)
+    silent: !(soundEnabled ?? SETTINGS_SCHEMA.soundEnabled.default)
+  };
+  
+  // Create a clean copy of options without any custom properties
+  const { withActions, ...cleanOptions } = options;
+  const notificationOptions = { ...baseOptions, ...cleanOptions };
+  const notificationId = withActions ? buildNotificationId(alarmName, Date.now()) : undefined;
+  
+  const createCallback = (createdId) => {
+    if (chrome.runtime.lastError) {
+      console.error('Notification error:', chrome.runtime.lastError);
+    } else if (DEBUG_MODE && createdId) {
+      console.log(`Notification created with ID: ${createdId}`);
+    }
+  };
+
+  if (notificationId) {
+    chrome.notifications.create(notificationId, notificationOptions, createCallback);
+  } else {
+    chrome.notifications.create(notificationOptions, createCallback);
+  }
+  
+  if (DEBUG_MODE) {
+    console.log(`Notification created for ${alarmName}, sound ${soundEnabled ? 'enabled' : 'disabled'}`);
+  }
+  
+  return notificationId;
+}
+
+/**
+ * Processes water log increment queue sequentially to prevent race conditions.
+ * Each operation performs an atomic read-modify-write on the water log counter.
+ * Operations are only removed from queue after successful completion, then
+ * their optional onLogged(volumeMl) callback gets the day's new total.
+ */
+function processWaterLogQueue() {
+  if (isProcessingWaterLogQueue || waterLogQueue.length === 0) {
+    return;
+  }
+
+  isProcessingWaterLogQueue = true;
+
+  // Perform atomic read-modify-write
+  chrome.storage.sync.get(['waterLogCount', 'waterLogDate', 'waterLogVolumeMl', 'waterGlassMl'], (result) => {
+    const currentOperation = waterLogQueue[0];
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read water log:', chrome.runtime.lastError);
+      if (!handleWaterLogRetry(currentOperation)) {
+        console.error('Dropping water log operation after max retries.');
+        waterLogQueue.shift();
+      }
+      isProcessingWaterLogQueue = false;
+      processWaterLogQueue();
+      return;
+    }
+
+    const now = new Date();
+    const today = now.toDateString();
+    const waterLogDate = result.waterLogDate || '';
+    let waterLogCount = 0;
+    let waterLogVolumeMl = 0;
+
+    // Counter and volume start from zero on a new day
+    if (waterLogDate === today) {
+      waterLogCount = result.waterLogCount || 0;
+      waterLogVolumeMl = getLoggedWaterVolumeMl(result);
+    }
+
+    // Increment water log count and add one glass to the volume
+    waterLogCount++;
+    waterLogVolumeMl += getSetting(result, 'waterGlassMl');
+
+    // Save updated count, volume and date
+    chrome.storage.sync.set({
+      waterLogCount: waterLogCount,
+      waterLogVolumeMl: waterLogVolumeMl,
+      waterLogDate: today
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save water log:', chrome.runtime.lastError);
+        if (!handleWaterLogRetry(currentOperation)) {
+          console.error('Dropping water log operation after max retries.');
+          waterLogQueue.shift();
+        }
+        isProcessingWaterLogQueue = false;
+        processWaterLogQueue();
+        return;
+      }
+
+      // Only remove from queue after successful write
+      waterLogQueue.shift();
+      recordWaterHistory(now, waterLogCount, waterLogVolumeMl);
+      currentOperation.onLogged?.(waterLogVolumeMl);
+
+      if (DEBUG_MODE) {
+        console.log(`Water logged! Count: ${waterLogCount}, Queue remaining: ${waterLogQueue.length}`);
+      }
+
+      // Notify popup to update the counter display
+      chrome.runtime.sendMessage({ action: 'waterLogged', count: waterLogCount, volumeMl: waterLogVolumeMl }, () => {
+        if (chrome.runtime.lastError) {
+          if (DEBUG_MODE) console.log('Popup not open, could not send water logged message');
+        }
+      });
+
+      // Process next operation in queue
+      isProcessingWaterLogQueue = false;
+      processWaterLogQueue();
+    });
+  });
+}
+
+/**
+ * Returns the volume logged on the stored day. Counts logged before volumes
+ * were tracked are assumed to be one glass each.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @returns {number}
+ */
+function getLoggedWaterVolumeMl(settings) {
+  const volumeMl = Number(settings?.waterLogVolumeMl);
+  if (Number.isFinite(volumeMl) && volumeMl >= 0) {
+    return volumeMl;
+  }
+  return (Number(settings?.waterLogCount) || 0) * getSetting(settings, 'waterGlassMl');
+}
+
+/**
+ * Formats a volume in the user's unit: litres with one decimal, or whole fl oz.
+ * @param {number} volumeMl - Volume in millilitres.
+ * @param {'ml'|'floz'} unit - Display unit.
+ * @returns {string}
+ */
+function formatWaterVolume(volumeMl, unit) {
+  if (unit === 'floz') {
+    return `${Math.round(volumeMl / ML_PER_FL_OZ)} fl oz`;
+  }
+  return `${(volumeMl / 1000).toFixed(1)} L`;
+}
+
+/**
+ * Builds the water reminder text, including how much is left of today's goal.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {Date} now - The current date.
+ * @param {string} [tip] - The tip to lead with.
+ * @returns {string}
+ */
+function getWaterReminderMessage(settings, now, tip = NOTIFICATION_MESSAGES.water) {
+  const volumeMl = settings?.waterLogDate === now.toDateString() ? getLoggedWaterVolumeMl(settings) : 0;
+  const remainingMl = getSetting(settings, 'waterGoalMl') - volumeMl;
+  if (remainingMl <= 0) {
+    return `${tip} You've reached today's goal. Keep it up!`;
+  }
+  return `${tip} ${formatWaterVolume(remainingMl, getSetting(settings, 'waterUnit'))} left to reach today's goal.`;
+}
+
+/**
+ * Drops history entries older than the retention window.
+ * @param {Record<string, number>} history - History keyed by 'YYYY-MM-DD'.
+ * @param {Date} now - The current date.
+ * @returns {Record<string, number>}
+ */
+function pruneWaterHistory(history, now) {
+  const cutoff = formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - WATER_HISTORY_RETENTION_DAYS + 1));
+  return Object.fromEntries(Object.entries(history ?? {}).filter(([dateKey]) => dateKey >= cutoff));
+}
+
+/**
+ * Stores the day's water totals in the history as [count, volumeMl]. Totals are
+ * written as absolute values, so repeating the write after a failure is harmless.
+ * Best effort: the sync counter stays the source of truth for today.
+ * @param {Date} date - The day being logged.
+ * @param {number} count - The day's total count.
+ * @param {number} volumeMl - The day's total volume in millilitres.
+ */
+function recordWaterHistory(date, count, volumeMl) {
+  chrome.storage.local.get([WATER_HISTORY_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read water history:', chrome.runtime.lastError);
+      return;
+    }
+    const history = pruneWaterHistory(result?.[WATER_HISTORY_STORAGE_KEY], date);
+    history[formatDateKey(date)] = [count, volumeMl];
+    chrome.storage.local.set({ [WATER_HISTORY_STORAGE_KEY]: history }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save water history:', chrome.runtime.lastError);
+      }
+    });
+  });
+}
+
+/**
+ * Drops reminder log entries fired before the retention window.
+ * @param {Array<[string, number, string]>|undefined} log - Stored entries.
+ * @param {number} now - Current time in ms.
+ * @returns {Array<[string, number, string]>}
+ */
+function pruneReminderLog(log, now) {
+  const today = new Date(now);
+  const cutoff = new Date(today.getFullYear(), today.getMonth(), today.getDate() - REMINDER_LOG_RETENTION_DAYS + 1).getTime();
+  return (Array.isArray(log) ? log : []).filter((entry) => Array.isArray(entry) && entry[1] >= cutoff);
+}
+
+/**
+ * Queues a change to the reminder log. Updates run one at a time so a fire and
+ * a button click landing together cannot overwrite each other.
+ * @param {(log: Array<[string, number, string]>) => void} update - Mutates the log in place.
+ */
+function queueReminderLogUpdate(update) {
+  reminderLogQueue.push(update);
+  processReminderLogQueue();
+}
+
+/**
+ * Applies queued reminder log updates sequentially. Best effort: an update
+ * that fails to read or write is logged and dropped.
+ */
+function processReminderLogQueue() {
+  if (isProcessingReminderLogQueue || reminderLogQueue.length === 0) {
+    return;
+  }
+
+  isProcessingReminderLogQueue = true;
+  const update = reminderLogQueue.shift();
+
+  const finish = () => {
+    isProcessingReminderLogQueue = false;
+    processReminderLogQueue();
+  };
+
+  chrome.storage.local.get([REMINDER_LOG_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read reminder log:', chrome.runtime.lastError);
+      finish();
+      return;
+    }
+    const log = pruneReminderLog(result?.[REMINDER_LOG_STORAGE_KEY], Date.now());
+    update(log);
+    chrome.storage.local.set({ [REMINDER_LOG_STORAGE_KEY]: log }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save reminder log:', chrome.runtime.lastError);
+      }
+      finish();
+    });
+  });
+}
+
+/**
+ * Records a fired reminder notification as 'ignored' until the user acts on it.
+ * @param {string|undefined} notificationId - ID from buildNotificationId.
+ */
+function logReminderFired(notificationId) {
+  const reminder = notificationId ? parseNotificationId(notificationId) : null;
+  if (!reminder) {
+    return;
+  }
+  queueReminderLogUpdate((log) => {
+    log.push([reminder.type, reminder.firedAt, REMINDER_OUTCOME_IGNORED]);
+  });
+}
+
+/**
+ * Sets the outcome of a logged reminder. Only the first interaction counts,
+ * so a later close cannot overwrite Done or Snooze.
+ * @param {string} notificationId - ID from buildNotificationId.
+ * @param {'done'|'snoozed'|'skipped'} outcome - What the user did.
+ */
+function recordReminderOutcome(notificationId, outcome) {
+  const reminder = parseNotificationId(notificationId);
+  if (!reminder) {
+    return;
+  }
+  queueReminderLogUpdate((log) => {
+    const entry = log.find(([type, firedAt]) => type === reminder.type && firedAt === reminder.firedAt);
+    if (entry && entry[2] === REMINDER_OUTCOME_IGNORED) {
+      entry[2] = outcome;
+    }
+  });
+}
+
+/**
+ * Queues a change to the open notifications record.
+ * @param {(records: object) => *} update - Mutates the record in place; its
+ *   return value is passed to the callback.
+ * @param {(result: *) => void} [callback] - Gets the update's result, or null
+ *   if storage failed.
+ */
+function queueOpenNotificationUpdate(update, callback) {
+  openNotificationQueue.push({ update, callback });
+  processOpenNotificationQueue();
+}
+
+/**
+ * Applies queued open notification updates sequentially.
+ */
+function processOpenNotificationQueue() {
+  if (isProcessingOpenNotificationQueue || openNotificationQueue.length === 0) {
+    return;
+  }
+
+  isProcessingOpenNotificationQueue = true;
+  const { update, callback } = openNotificationQueue.shift();
+
+  const finish = (result) => {
+    isProcessingOpenNotificationQueue = false;
+    callback?.(result);
+    processOpenNotificationQueue();
+  };
+
+  chrome.storage.local.get([OPEN_NOTIFICATIONS_STORAGE_KEY], (stored) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read open notifications:', chrome.runtime.lastError);
+      finish(null);
+      return;
+    }
+    const records = { ...stored?.[OPEN_NOTIFICATIONS_STORAGE_KEY] };
+    const result = update(records) ?? null;
+    chrome.storage.local.set({ [OPEN_NOTIFICATIONS_STORAGE_KEY]: records }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save open notifications:', chrome.runtime.lastError);
+        finish(null);
+        return;
+      }
+      finish(result);
+    });
+  });
+}
+
+/**
+ * Starts escalating a reminder notification, when escalation is on. Earlier
+ * notifications of the same reminder stop escalating, since this one
+ * replaces them.
+ * @param {string|undefined} notificationId - ID from buildNotificationId.
+ * @param {string} type - The reminder type (alarm name).
+ * @param {{title?: string, message: string, buttons: object[], requireInteraction: boolean}} options
+ *   - The notification as shown.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ */
+function trackOpenNotification(notificationId, type, options, settings) {
+  if (!notificationId || getSetting(settings, 'escalationRepeats') <= 0) {
+    return;
+  }
+  const { title = 'Recharge', message, buttons, requireInteraction } = options;
+  queueOpenNotificationUpdate((records) => {
+    Object.keys(records)
+      .filter((id) => records[id].type === type)
+      .forEach((id) => {
+        chrome.alarms.clear(getEscalationAlarmName(id));
+        delete records[id];
+      });
+    records[notificationId] = { type, notification: { title, message, buttons, requireInteraction }, escalations: 0 };
+  }, () => {
+    chrome.alarms.create(getEscalationAlarmName(notificationId), { delayInMinutes: getSetting(settings, 'escalationMinutes') });
+  });
+}
+
+/**
+ * Stops escalating a notification the user interacted with.
+ * @param {string} notificationId
+ */
+function stopEscalation(notificationId) {
+  chrome.alarms.clear(getEscalationAlarmName(notificationId));
+  queueOpenNotificationUpdate((records) => {
+    delete records[notificationId];
+  });
+}
+
+/**
+ * Forgets every open notification, e.g. after a browser restart, which takes
+ * the notifications with it.
+ */
+function clearOpenNotifications() {
+  queueOpenNotificationUpdate((records) => {
+    Object.keys(records).forEach((id) => {
+      chrome.alarms.clear(getEscalationAlarmName(id));
+      delete records[id];
+    });
+  });
+}
+
+/**
+ * Shows an ignored reminder again and schedules the next repeat, if any.
+ * Nothing is repeated while reminders are paused or the user is away.
+ * @param {string} notificationId - From the 'escalate|' alarm name.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ */
+function handleEscalationAlarm(notificationId, settings) {
+  const repeats = getSetting(settings, 'escalationRepeats');
+  chrome.storage.local.get(SUSPENSION_STATE_KEYS, (localState) => {
+    const suspensionReason = getSuspensionReason(localState);
+    queueOpenNotificationUpdate((records) => {
+      const record = records[notificationId];
+      if (!record) {
+        return null;
+      }
+      if (suspensionReason || record.escalations >= repeats) {
+        delete records[notificationId];
+        return null;
+      }
+      record.escalations += 1;
+      if (record.escalations >= repeats) {
+        delete records[notificationId];
+      }
+      return { ...record };
+    }, (record) => {
+      if (!record) {
+        if (DEBUG_MODE) console.log(`No escalation for ${notificationId}`);
+        return;
+      }
+      showEscalatedNotification(notificationId, record, settings, repeats);
+      if (record.escalations < repeats) {
+        chrome.alarms.create(getEscalationAlarmName(notificationId), { delayInMinutes: getSetting(settings, 'escalationMinutes') });
+      }
+    });
+  });
+}
+
+/**
+ * Re-shows a reminder notification with stronger wording and sound. Reusing
+ * its ID replaces the earlier notification and keeps the buttons and reminder
+ * log entry working.
+ * @param {string} notificationId
+ * @param {{type: string, notification: object, escalations: number}} record
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {number} repeats - The escalationRepeats setting.
+ */
+function showEscalatedNotification(notificationId, record, settings, repeats) {
+  const soundEnabled = getSetting(settings, 'soundEnabled');
+  const { title, message } = getEscalatedNotification(record.notification, record.escalations, repeats);
+  playNotificationSoundIfNeeded(record.type, soundEnabled, getEscalationSound(getAlarmSound(settings, record.type)));
+  speakReminderIfNeeded(settings, message);
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    ...record.notification,
+    title,
+    message,
+    priority: 2,
+    // The escalation tone plays through the offscreen document
+    silent: true
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Notification error:', chrome.runtime.lastError);
+    }
+  });
+  if (DEBUG_MODE) console.log(`Escalated ${notificationId} (${record.escalations}/${repeats})`);
+}
+
+/**
+ * Increments the retry counter and schedules a delayed retry.
+ * Returns true if another retry will be attempted.
+ */
+function handleWaterLogRetry(operation) {
+  if (!operation) {
+    return false;
+  }
+
+  operation.attempts += 1;
+  if (operation.attempts > WATER_LOG_MAX_RETRIES) {
+    return false;
+  }
+
+  setTimeout(() => {
+    processWaterLogQueue();
+  }, WATER_LOG_RETRY_DELAY_MS);
+  return true;
+}
+
+/**
+ * Picks the next tip for a built-in reminder and advances its stored rotation.
+ * Falls back to the fixed message if the rotation cannot be read.
+ * @param {string} type - Built-in reminder id.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {(tip: string) => void} callback - Receives the tip.
+ */
+function getNextTip(type, settings, callback) {
+  const pool = getTipPool(type, getSetting(settings, `${type}Tips`));
+  if (pool.length === 0) {
+    callback(NOTIFICATION_MESSAGES[type]);
+    return;
+  }
+  tipQueue.push({ type, pool, callback });
+  processTipQueue();
+}
+
+function processTipQueue() {
+  if (isProcessingTipQueue || tipQueue.length === 0) {
+    return;
+  }
+
+  isProcessingTipQueue = true;
+  const { type, pool, callback } = tipQueue.shift();
+
+  const finish = (tip) => {
+    isProcessingTipQueue = false;
+    callback(tip);
+    processTipQueue();
+  };
+
+  chrome.storage.local.get([TIP_ROTATION_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read tip rotation:', chrome.runtime.lastError);
+      finish(NOTIFICATION_MESSAGES[type]);
+      return;
+    }
+    const rotations = result?.[TIP_ROTATION_STORAGE_KEY] ?? {};
+    const { tip, rotation } = pickTip(pool, rotations[type]);
+    chrome.storage.local.set({ [TIP_ROTATION_STORAGE_KEY]: { ...rotations, [type]: rotation } }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save tip rotation:', chrome.runtime.lastError);
+      }
+      finish(tip);
+    });
+  });
+}
+
+function getPrimaryButtonTitle(alarmName) {
+  if (alarmName === 'water') {
+    return 'Log Water';
+  }
+  return ROUTINE_REMINDER_TYPES.includes(alarmName) ? 'Start routine' : 'Done';
+}
+
+/**
+ * Plays the timer sound (where needed) and shows its completion notification,
+ * titled with the timer's label. Timers get no Done/Snooze buttons.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {object|null} timer - The timer's entry; null if it was lost.
+ */
+function showTimerNotification(settings, timer) {
+  const soundEnabled = getSetting(settings, 'soundEnabled');
+  const sound = getAlarmSound(settings, 'oneTime');
+  playNotificationSoundIfNeeded('oneTime', soundEnabled, sound);
+
+  const title = timer ? getTimerTitle(timer) : null;
+  speakReminderIfNeeded(settings, title ? `${title}. ${NOTIFICATION_MESSAGES.oneTime}` : NOTIFICATION_MESSAGES.oneTime);
+  getIsMacOS((isMacOS) => {
+    createNotification('oneTime', soundEnabled, {
+      ...(title && { title: `⏱️ ${title}` }),
+      silent: isNotificationSilent(isMacOS, soundEnabled, sound)
+    });
+  });
+}
+
+/**
+ * Plays the alarm sound (where needed) and shows the notification for a
+ * reminder, with Done/Snooze buttons.
+ * @param {string} alarmName - The reminder type.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {object|null} [customReminder] - The custom reminder definition, if any.
+ */
+function showAlarmNotification(alarmName, settings, customReminder = null) {
+  const soundEnabled = getSetting(settings, 'soundEnabled');
+  const snoozeMinutes = getSetting(settings, 'snoozeMinutes');
+  if (alarmName === 'blink' && !customReminder && getSetting(settings, 'blinkBreakWindowEnabled')) {
+    openBlinkBreakWindow(settings);
+    return;
+  }
+
+  const sound = getAlarmSound(settings, alarmName);
+  playNotificationSoundIfNeeded(alarmName, soundEnabled, sound);
+
+  /*
+   * macOS NOTIFICATION WORKAROUND
+   *
+   * Issue: macOS doesn't handle persistent notifications with buttons reliably.
+   * Buttons may not display or click events may be lost when requireInteraction=true.
+   *
+   * Workaround: Set requireInteraction=false on macOS only.
+   * Trade-off: notifications may auto-dismiss before user sees them.
+   *
+   * Risk: Chrome updates may break this; test on macOS after each Chrome update.
+   * File bugs at: https://bugs.chromium.org
+   */
+  getIsMacOS((isMacOS) => {
+    if (DEBUG_MODE) console.log(`Platform detected: ${isMacOS ? 'macOS' : 'other'}, setting requireInteraction to ${!isMacOS}`);
+
+    const options = {
+      silent: isNotificationSilent(isMacOS, soundEnabled, sound),
+      buttons: [
+        { title: getPrimaryButtonTitle(alarmName) },
+        { title: `Snooze ${snoozeMinutes} min` }
+      ],
+      requireInteraction: !isMacOS, // false on macOS due to platform limitation, true elsewhere
+      withActions: true // Custom property extracted before Chrome API call
+    };
+    const notify = () => {
+      const notificationId = createNotification(alarmName, soundEnabled, options);
+      logReminderFired(notificationId);
+      trackOpenNotification(notificationId, alarmName, options, settings);
+      speakReminderIfNeeded(settings, options.message);
+    };
+    if (customReminder) {
+      options.title = `${customReminder.emoji || ''} ${customReminder.name}`.trim();
+      options.message = customReminder.message || customReminder.name;
+      notify();
+      return;
+    }
+    getNextTip(alarmName, settings, (tip) => {
+      options.message = alarmName === 'water' ? getWaterReminderMessage(settings, new Date(), tip) : tip;
+      notify();
+    });
+  });
+}
+
+/**
+ * Opens the blink break countdown window in place of the blink notification.
+ * A window still open from the previous blink break is closed first and that
+ * break is logged as skipped. Falls back to a notification if the window
+ * cannot be opened.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ */
+function openBlinkBreakWindow(settings) {
+  const notificationId = buildNotificationId('blink', Date.now());
+  const params = new URLSearchParams({
+    notification: notificationId,
+    seconds: String(getSetting(settings, 'blinkBreakSeconds'))
+  });
+
+  chrome.storage.local.get([BLINK_BREAK_STORAGE_KEY], (result) => {
+    const previousBreak = chrome.runtime.lastError ? null : result?.[BLINK_BREAK_STORAGE_KEY];
+    if (Number.isInteger(previousBreak?.windowId)) {
+      // Logged here rather than in onRemoved, which may only run once the new
+      // window has replaced the stored one
+      recordReminderOutcome(previousBreak.notificationId, 'skipped');
+      chrome.windows.remove(previousBreak.windowId, () => {
+        // Ignore errors; the window may already be gone
+        void chrome.runtime.lastError;
+      });
+    }
+
+    chrome.windows.create({
+      url: chrome.runtime.getURL(`${BLINK_BREAK_PAGE_URL}?${params}`),
+      type: 'popup',
+      focused: true,
+      ...BLINK_BREAK_WINDOW_SIZE
+    }, (createdWindow) => {
+      if (chrome.runtime.lastError || !createdWindow) {
+        console.error('Failed to open blink break window:', chrome.runtime.lastError);
+        showAlarmNotification('blink', { ...settings, blinkBreakWindowEnabled: false });
+        return;
+      }
+      logReminderFired(notificationId);
+      speakReminderIfNeeded(settings, NOTIFICATION_MESSAGES.blink);
+      chrome.storage.local.set({
+        [BLINK_BREAK_STORAGE_KEY]: { windowId: createdWindow.id, notificationId }
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save blink break window:', chrome.runtime.lastError);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Re-fires a snoozed reminder once. The regular interval keeps running, and
+ * nothing is shown if the reminder was disabled or it is outside working hours.
+ * @param {string} type - The reminder type.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {object|null} customReminder - The custom reminder definition, if any.
+ */
+function handleSnoozeAlarm(type, settings, customReminder) {
+  const enabled = customReminder ? customReminder.enabled : settings[`${type}Enabled`];
+  const workSchedule = getActiveWorkSchedule(settings[WORK_SCHEDULE_STORAGE_KEY]);
+  if (!enabled || !isWithinWorkSchedule(workSchedule, Date.now())) {
+    if (DEBUG_MODE) console.log(`Dropped snoozed ${type} reminder`);
+    return;
+  }
+  showAlarmNotification(type, settings, customReminder);
+}
+
+/**
+ * Reads Pomodoro settings, replacing missing or out-of-bounds values with defaults.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @returns {{pomodoroWorkMinutes: number, pomodoroShortBreakMinutes: number, pomodoroLongBreakMinutes: number, pomodoroCyclesBeforeLongBreak: number}}
+ */
+function getPomodoroSettings(settings) {
+  return Object.fromEntries(Object.keys(POMODORO_SETTINGS).map((key) => [key, getSetting(settings, key)]));
+}
+
+/**
+ * Returns the phase that follows the one that just ended. A long break replaces
+ * the short break after every `pomodoroCyclesBeforeLongBreak` work sessions.
+ * @param {{phase: string, completedCycles: number}} state - The ended phase.
+ * @param {object} pomodoroSettings - Settings from getPomodoroSettings().
+ * @returns {{phase: 'work'|'shortBreak'|'longBreak', completedCycles: number}}
+ */
+function getNextPomodoroPhase(state, pomodoroSettings) {
+  const completedCycles = Number(state?.completedCycles) || 0;
+  if (state?.phase !== 'work') {
+    return { phase: 'work', completedCycles };
+  }
+  const nextCompleted = completedCycles + 1;
+  const isLongBreak = nextCompleted % pomodoroSettings.pomodoroCyclesBeforeLongBreak === 0;
+  return { phase: isLongBreak ? 'longBreak' : 'shortBreak', completedCycles: nextCompleted };
+}
+
+/**
+ * Returns the duration of a Pomodoro phase in minutes.
+ * @param {string} phase - The phase.
+ * @param {object} pomodoroSettings - Settings from getPomodoroSettings().
+ * @returns {number}
+ */
+function getPomodoroPhaseMinutes(phase, pomodoroSettings) {
+  if (phase === 'shortBreak') {
+    return pomodoroSettings.pomodoroShortBreakMinutes;
+  }
+  if (phase === 'longBreak') {
+    return pomodoroSettings.pomodoroLongBreakMinutes;
+  }
+  return pomodoroSettings.pomodoroWorkMinutes;
+}
+
+/**
+ * Schedules the alarm for a Pomodoro phase and persists the phase state.
+ * @param {{phase: string, completedCycles: number}} phaseState - The phase to start.
+ * @param {object} pomodoroSettings - Settings from getPomodoroSettings().
+ * @param {(state: object) => void} [callback] - Called with the stored state.
+ */
+function startPomodoroPhase(phaseState, pomodoroSettings, callback) {
+  const durationMinutes = getPomodoroPhaseMinutes(phaseState.phase, pomodoroSettings);
+  const state = {
+    ...phaseState,
+    cyclesBeforeLongBreak: pomodoroSettings.pomodoroCyclesBeforeLongBreak,
+    durationMinutes,
+    scheduledTime: Date.now() + durationMinutes * 60 * 1000
   };
-  
-  // Create a clean copy of options without any custom properties
-  const { isWater, ...cleanOptions } = options;
-  const notificationOptions = { ...baseOptions, ...cleanOptions };
-  const notificationId = isWater ? `water_${Date.now()}` : undefined;
-  
-  const createCallback = (createdId) => {
+  chrome.alarms.create(POMODORO_ALARM_NAME, { delayInMinutes: durationMinutes });
+  chrome.storage.local.set({ [POMODORO_STATE_STORAGE_KEY]: state }, () => {
     if (chrome.runtime.lastError) {
-      console.error('Notification error:', chrome.runtime.lastError);
-    } else if (DEBUG_MODE && createdId) {
-      console.log(`Notification created with ID: ${createdId}`);
+      console.error('Failed to persist Pomodoro state:', chrome.runtime.lastError);
     }
-  };
+    callback?.(state);
+  });
+  if (DEBUG_MODE) console.log(`Pomodoro ${state.phase} started for ${durationMinutes} minutes`);
+}
 
-  if (notificationId) {
-    chrome.notifications.create(notificationId, notificationOptions, createCallback);
-  } else {
-    chrome.notifications.create(notificationOptions, createCallback);
-  }
-  
-  if (DEBUG_MODE) {
-    console.log(`Notification created for ${alarmName}, sound ${soundEnabled ? 'enabled' : 'disabled'}`);
-  }
-  
-  return notificationId;
+/**
+ * Advances the Pomodoro cycle when a phase ends and notifies the user.
+ * @param {object} settings - Sound and speech settings read from chrome.storage.sync.
+ */
+function handlePomodoroAlarm(settings) {
+  const soundEnabled = getSetting(settings, 'soundEnabled');
+  const sound = getAlarmSound(settings, POMODORO_ALARM_NAME);
+  chrome.storage.local.get([POMODORO_STATE_STORAGE_KEY], (localState) => {
+    const state = localState?.[POMODORO_STATE_STORAGE_KEY];
+    if (chrome.runtime.lastError || !state) {
+      // Stopped while the alarm was firing.
+      return;
+    }
+    chrome.storage.sync.get(Object.keys(POMODORO_SETTINGS), (result) => {
+      const pomodoroSettings = getPomodoroSettings(result);
+      const next = getNextPomodoroPhase(state, pomodoroSettings);
+      const minutes = getPomodoroPhaseMinutes(next.phase, pomodoroSettings);
+
+      const message = POMODORO_PHASE_MESSAGES[next.phase](minutes);
+      playNotificationSoundIfNeeded(POMODORO_ALARM_NAME, soundEnabled, sound);
+      speakReminderIfNeeded(settings, message);
+      getIsMacOS((isMacOS) => {
+        createNotification(POMODORO_ALARM_NAME, soundEnabled, {
+          title: '🍅 Pomodoro',
+          message,
+          silent: isNotificationSilent(isMacOS, soundEnabled, sound)
+        });
+      });
+
+      startPomodoroPhase(next, pomodoroSettings, (nextState) => {
+        chrome.runtime.sendMessage({ action: 'pomodoroPhaseChanged', state: nextState }, () => {
+          if (chrome.runtime.lastError) {
+            if (DEBUG_MODE) console.log('Popup not open, could not send Pomodoro phase message');
+          }
+        });
+      });
+    });
+  });
 }
 
 /**
- * Processes water log increment queue sequentially to prevent race conditions.
- * Each operation performs an atomic read-modify-write on the water log counter.
- * Operations are only removed from queue after successful completion.
+ * Makes reminder jitter repeatable, for tests.
+ * @param {number} seed - Seed for createSeededRandom().
  */
-function processWaterLogQueue() {
-  if (isProcessingWaterLogQueue || waterLogQueue.length === 0) {
+function seedJitter(seed) {
+  jitterRandom = createSeededRandom(seed);
+}
+
+/**
+ * Notifies for a fired repeating reminder and schedules its next occurrence,
+ * spread by the reminder's jitter if it has any.
+ * Reminders are suppressed outside working hours; the reschedule then defers
+ * them to the next working window.
+ * @param {chrome.alarms.Alarm} alarm - The fired alarm.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @param {object|null} customReminder - The custom reminder definition, if any.
+ */
+function handleRepeatingAlarm(alarm, settings, customReminder) {
+  const workSchedule = getActiveWorkSchedule(settings[WORK_SCHEDULE_STORAGE_KEY]);
+  if (isWithinWorkSchedule(workSchedule, Date.now())) {
+    showAlarmNotification(alarm.name, settings, customReminder);
+  } else if (DEBUG_MODE) {
+    console.log(`Suppressed ${alarm.name} alarm outside working hours`);
+  }
+
+  if (customReminder) {
+    const interval = Number(customReminder.interval);
+    if (customReminder.enabled && interval > 0) {
+      const delay = getJitteredInterval(interval, customReminder.jitterPercent ?? DEFAULT_JITTER_PERCENT, jitterRandom);
+      scheduleRepeatingAlarm(alarm.name, delay, workSchedule);
+      if (DEBUG_MODE) console.log(`Alarm reset: ${alarm.name} for ${delay} minutes`);
+    }
     return;
   }
 
-  isProcessingWaterLogQueue = true;
+  // Restart repeating alarms as before
+  chrome.storage.sync.get([`${alarm.name}Interval`, `${alarm.name}JitterPercent`], (result) => {
+    const interval = result[`${alarm.name}Interval`];
+    if (interval && isValidRepeatingInterval(interval)) {
+      const delay = getJitteredInterval(interval, getSetting(result, `${alarm.name}JitterPercent`), jitterRandom);
+      scheduleRepeatingAlarm(alarm.name, delay, workSchedule);
+      if (DEBUG_MODE) console.log(`Alarm reset: ${alarm.name} for ${delay} minutes`);
+    } else if (interval) {
+      console.error(`Invalid ${alarm.name} interval in storage: ${interval}. Must be between ${REPEATING_INTERVAL_MIN} and ${REPEATING_INTERVAL_MAX} minutes.`);
+    }
+  });
+}
 
-  // Perform atomic read-modify-write
-  chrome.storage.sync.get(['waterLogCount', 'waterLogDate'], (result) => {
-    const currentOperation = waterLogQueue[0];
-    if (chrome.runtime.lastError) {
-      console.error('Failed to read water log:', chrome.runtime.lastError);
-      if (!handleWaterLogRetry(currentOperation)) {
-        console.error('Dropping water log operation after max retries.');
-        waterLogQueue.shift();
-      }
-      isProcessingWaterLogQueue = false;
-      processWaterLogQueue();
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (DEBUG_MODE) console.log(`Alarm triggered: ${alarm.name}`);
+
+  if (alarm.name === BADGE_REFRESH_ALARM_NAME) {
+    refreshBadge();
+    return;
+  }
+
+  chrome.storage.sync.get(ALARM_NOTIFICATION_SETTINGS_KEYS, (result) => {
+    const soundEnabled = getSetting(result, 'soundEnabled');
+
+    if (alarm.name === POMODORO_ALARM_NAME) {
+      handlePomodoroAlarm(result);
       return;
     }
 
-    const today = new Date().toDateString();
-    let waterLogCount = result.waterLogCount || 0;
-    const waterLogDate = result.waterLogDate || '';
-
-    // Reset counter if it's a new day
-    if (waterLogDate !== today) {
-      waterLogCount = 0;
+    if (alarm.name === PAUSE_END_ALARM_NAME) {
+      resumeReminders();
+      return;
     }
 
-    // Increment water log count
-    waterLogCount++;
+    const escalatedId = parseEscalationAlarmName(alarm.name);
+    if (escalatedId) {
+      handleEscalationAlarm(escalatedId, result);
+      return;
+    }
 
-    // Save updated count and date
-    chrome.storage.sync.set({
-      waterLogCount: waterLogCount,
-      waterLogDate: today
-    }, () => {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to save water log:', chrome.runtime.lastError);
-        if (!handleWaterLogRetry(currentOperation)) {
-          console.error('Dropping water log operation after max retries.');
-          waterLogQueue.shift();
+    const timerId = parseTimerAlarmName(alarm.name);
+    if (timerId) {
+      // Removing the entry also tells an open popup the timer is done. An
+      // alarm that raced with pausing the timer is ignored.
+      let firedTimer = null;
+      queueTimerUpdate((timers) => {
+        firedTimer = timers.find(({ id }) => id === timerId) ?? null;
+        return firedTimer && isTimerPaused(firedTimer) ? timers : timers.filter(({ id }) => id !== timerId);
+      }, () => {
+        if (firedTimer && isTimerPaused(firedTimer)) {
+          if (DEBUG_MODE) console.log(`Ignored alarm for paused timer ${timerId}`);
+          return;
         }
-        isProcessingWaterLogQueue = false;
-        processWaterLogQueue();
+        showTimerNotification(result, firedTimer);
+      });
+      return;
+    }
+
+    const isSnooze = isSnoozeAlarm(alarm.name);
+    const reminderType = isSnooze ? alarm.name.slice(SNOOZE_ALARM_PREFIX.length) : alarm.name;
+    let customReminder = null;
+    if (isCustomReminderType(reminderType)) {
+      customReminder = getValidCustomReminders(result[CUSTOM_REMINDERS_STORAGE_KEY])
+        .find((reminder) => reminder.id === reminderType);
+      if (!customReminder) {
+        // The reminder was deleted after its alarm was scheduled.
+        chrome.alarms.clear(alarm.name);
+        if (DEBUG_MODE) console.log(`Cleared orphaned custom alarm: ${alarm.name}`);
         return;
       }
-
-      // Only remove from queue after successful write
-      waterLogQueue.shift();
-
-      if (DEBUG_MODE) {
-        console.log(`Water logged! Count: ${waterLogCount}, Queue remaining: ${waterLogQueue.length}`);
+    } else if (isClockReminderType(reminderType)) {
+      customReminder = getValidClockReminders(result[CLOCK_REMINDERS_STORAGE_KEY])
+        .find((reminder) => reminder.id === reminderType);
+      if (!customReminder) {
+        chrome.alarms.clear(alarm.name);
+        if (DEBUG_MODE) console.log(`Cleared orphaned clock alarm: ${alarm.name}`);
+        return;
       }
+    }
 
-      // Notify popup to update the counter display
-      chrome.runtime.sendMessage({ action: 'waterLogged', count: waterLogCount }, () => {
-        if (chrome.runtime.lastError) {
-          if (DEBUG_MODE) console.log('Popup not open, could not send water logged message');
-        }
-      });
-
-      // Process next operation in queue
-      isProcessingWaterLogQueue = false;
-      processWaterLogQueue();
+    // Ignore an alarm that raced with suspension; it is recreated on resume.
+    chrome.storage.local.get(SUSPENSION_STATE_KEYS, (localState) => {
+      if (!isSnooze && isClockReminderType(reminderType)) {
+        handleClockAlarm(alarm, result, customReminder, getSuspensionReason(localState));
+        return;
+      }
+      if (getSuspensionReason(localState)) {
+        if (DEBUG_MODE) console.log(`Ignored ${alarm.name} alarm while suspended`);
+        return;
+      }
+      if (isSnooze) {
+        handleSnoozeAlarm(reminderType, result, customReminder);
+        return;
+      }
+      handleRepeatingAlarm(alarm, result, customReminder);
     });
   });
+});
+
+/**
+ * Checks whether an alarm name belongs to a repeating reminder.
+ * @param {string} name - The alarm name.
+ * @returns {boolean}
+ */
+function isRepeatingReminderAlarm(name) {
+  return BUILT_IN_REMINDER_TYPES.includes(name) || isCustomReminderType(name);
 }
 
 /**
- * Increments the retry counter and schedules a delayed retry.
- * Returns true if another retry will be attempted.
+ * Returns why repeating reminders are currently suspended, if they are.
+ * A timed pause that has already ended no longer counts.
+ * @param {object} localState - Values read from chrome.storage.local.
+ * @returns {'paused'|'idle'|null}
  */
-function handleWaterLogRetry(operation) {
-  if (!operation) {
-    return false;
+function getSuspensionReason(localState) {
+  const pauseState = localState?.[PAUSE_STATE_STORAGE_KEY];
+  if (pauseState && (pauseState.pausedUntil == null || pauseState.pausedUntil > Date.now())) {
+    return 'paused';
   }
-
-  operation.attempts += 1;
-  if (operation.attempts > WATER_LOG_MAX_RETRIES) {
-    return false;
+  if (localState?.[IDLE_STATE_STORAGE_KEY]) {
+    return 'idle';
   }
+  return null;
+}
 
-  setTimeout(() => {
-    processWaterLogQueue();
-  }, WATER_LOG_RETRY_DELAY_MS);
-  return true;
+/**
+ * Computes when a pause preset ends.
+ * @param {string} preset - '30m', '1h', '2h', 'tomorrow' or 'indefinite'.
+ * @param {number} now - Epoch milliseconds.
+ * @returns {number|null|undefined} End time, null for indefinite, undefined if unknown.
+ */
+function getPauseUntil(preset, now) {
+  if (preset === 'indefinite') {
+    return null;
+  }
+  if (preset === 'tomorrow') {
+    const date = new Date(now);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+  }
+  const minutes = PAUSE_PRESET_MINUTES[preset];
+  return minutes ? now + minutes * 60 * 1000 : undefined;
 }
 
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (DEBUG_MODE) console.log(`Alarm triggered: ${alarm.name}`);
+/**
+ * Pauses all repeating reminders. Settings and alarm state are left untouched
+ * so reminders resume with the same configuration.
+ * @param {string} preset - A pause preset accepted by getPauseUntil().
+ * @param {(pauseState: object|null) => void} callback - Called with the stored state, or null if the preset is invalid.
+ */
+function pauseReminders(preset, callback) {
+  const now = Date.now();
+  const pausedUntil = getPauseUntil(preset, now);
+  if (pausedUntil === undefined) {
+    console.error(`Invalid pause preset: ${preset}`);
+    callback(null);
+    return;
+  }
 
-  chrome.storage.sync.get(['soundEnabled'], (result) => {
-    const soundEnabled = result.soundEnabled ?? DEFAULT_SOUND_ENABLED;
-    playNotificationSoundIfNeeded(alarm.name, soundEnabled);
-    if (alarm.name === 'water') {
-      /*
-       * macOS NOTIFICATION WORKAROUND
-       *
-       * Issue: macOS doesn't handle persistent notifications with buttons reliably.
-       * Buttons may not display or click events may be lost when requireInteraction=true.
-       *
-       * Workaround: Set requireInteraction=false on macOS only.
-       * Trade-off: notifications may auto-dismiss before user sees them.
-       *
-       * Risk: Chrome updates may break this; test on macOS after each Chrome update.
-       * File bugs at: https://bugs.chromium.org
-       */
-      getIsMacOS((isMacOS) => {
-        if (DEBUG_MODE) console.log(`Platform detected: ${isMacOS ? 'macOS' : 'other'}, setting requireInteraction to ${!isMacOS}`);
-
-        createNotification(alarm.name, soundEnabled, {
-          silent: isMacOS ? true : !soundEnabled,
-          buttons: [
-            { title: 'Log Water' },
-            { title: 'Skip' }
-          ],
-          requireInteraction: !isMacOS, // false on macOS due to platform limitation, true elsewhere
-          isWater: true // Custom property extracted before Chrome API call
-        });
-      });
+  const pauseState = { pausedAt: now, pausedUntil };
+  chrome.storage.local.set({ [PAUSE_STATE_STORAGE_KEY]: pauseState }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to save pause state:', chrome.runtime.lastError);
+      callback(null);
+      return;
+    }
+    clearRepeatingAlarms();
+    if (pausedUntil === null) {
+      chrome.alarms.clear(PAUSE_END_ALARM_NAME);
     } else {
-      // Regular notification for other alarms
-      getIsMacOS((isMacOS) => {
-        createNotification(alarm.name, soundEnabled, {
-          silent: isMacOS ? true : !soundEnabled
-        });
-      });
+      chrome.alarms.create(PAUSE_END_ALARM_NAME, { when: pausedUntil });
     }
+    if (DEBUG_MODE) console.log(`Paused reminders until ${pausedUntil === null ? 'resumed' : new Date(pausedUntil).toString()}`);
+    callback(pauseState);
+  });
+}
 
-    if (alarm.name === 'oneTime') {
-      // Notify popup that timer is complete
-      chrome.runtime.sendMessage({ action: 'timerComplete' }, () => {
-        if (chrome.runtime.lastError) {
-          if (DEBUG_MODE) console.log('Popup not open, could not send timer complete message');
+/**
+ * Ends a pause and restarts the repeating reminders from now.
+ * @param {() => void} [callback] - Called once the pause state is cleared.
+ */
+function resumeReminders(callback) {
+  chrome.alarms.clear(PAUSE_END_ALARM_NAME);
+  chrome.storage.local.remove([PAUSE_STATE_STORAGE_KEY], () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to clear pause state:', chrome.runtime.lastError);
+    }
+    if (DEBUG_MODE) console.log('Resumed reminders');
+    restartRepeatingAlarms();
+    chrome.runtime.sendMessage({ action: 'remindersResumed' }, () => {
+      if (chrome.runtime.lastError) {
+        if (DEBUG_MODE) console.log('Popup not open, could not send resume message');
+      }
+    });
+    callback?.();
+  });
+}
+
+/**
+ * Clears every repeating reminder alarm and pending snooze. Stored settings and
+ * alarm state are kept so the alarms can be recreated later.
+ */
+function clearRepeatingAlarms() {
+  chrome.alarms.getAll((alarms) => {
+    (alarms ?? [])
+      .filter((alarm) => isRepeatingReminderAlarm(alarm.name) || isSnoozeAlarm(alarm.name))
+      .forEach((alarm) => chrome.alarms.clear(alarm.name));
+    requestBadgeRefresh();
+  });
+}
+
+/**
+ * Recreates every enabled repeating reminder alarm with its full interval
+ * starting from now. Does nothing while reminders are still suspended.
+ */
+function restartRepeatingAlarms() {
+  chrome.storage.local.get(SUSPENSION_STATE_KEYS, (localState) => {
+    const suspensionReason = getSuspensionReason(localState);
+    if (suspensionReason) {
+      if (DEBUG_MODE) console.log(`Not restarting alarms (suspended: ${suspensionReason})`);
+      return;
+    }
+
+    chrome.storage.sync.get(REPEATING_ALARM_SETTINGS_KEYS, (settings) => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to read settings for alarm restart:', chrome.runtime.lastError);
+        return;
+      }
+
+      const workSchedule = getActiveWorkSchedule(settings[WORK_SCHEDULE_STORAGE_KEY]);
+      getRepeatingAlarmConfigs(settings).forEach(({ type, enabled, interval }) => {
+        if (!enabled || interval <= 0 || !isValidRepeatingInterval(interval)) {
+          chrome.alarms.clear(type);
+          return;
         }
+        scheduleRepeatingAlarm(type, interval, workSchedule);
       });
-      chrome.storage.local.remove([ONE_TIME_STATE_STORAGE_KEY], () => {
+      requestBadgeRefresh();
+      if (DEBUG_MODE) console.log('Restarted repeating alarms');
+    });
+  });
+}
+
+/**
+ * Suspends repeating alarms while the user is away and restarts each interval
+ * from zero on return, since stepping away already counts as a break.
+ * @param {'active'|'idle'|'locked'} state - The new idle state.
+ */
+function handleIdleStateChange(state) {
+  chrome.storage.local.get([IDLE_STATE_STORAGE_KEY], (localState) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read idle state:', chrome.runtime.lastError);
+      return;
+    }
+    const isSuspended = Boolean(localState?.[IDLE_STATE_STORAGE_KEY]);
+
+    if (state === 'active') {
+      if (!isSuspended) {
+        return;
+      }
+      chrome.storage.local.remove([IDLE_STATE_STORAGE_KEY], () => {
         if (chrome.runtime.lastError) {
-          console.error('Failed to clear one-time timer state:', chrome.runtime.lastError);
+          console.error('Failed to clear idle state:', chrome.runtime.lastError);
+          return;
         }
+        if (DEBUG_MODE) console.log('User returned; restarting repeating alarms');
+        restartRepeatingAlarms();
       });
-    } else {
-      // Restart repeating alarms as before
-      chrome.storage.sync.get([`${alarm.name}Interval`], (result) => {
-        const interval = result[`${alarm.name}Interval`];
-        if (interval && isValidRepeatingInterval(interval)) {
-          chrome.alarms.create(alarm.name, {
-            delayInMinutes: interval
-          });
-          if (DEBUG_MODE) console.log(`Alarm reset: ${alarm.name} for ${interval} minutes`);
-        } else if (interval) {
-          console.error(`Invalid ${alarm.name} interval in storage: ${interval}. Must be between ${REPEATING_INTERVAL_MIN} and ${REPEATING_INTERVAL_MAX} minutes.`);
+      return;
+    }
+
+    if (isSuspended) {
+      return;
+    }
+    chrome.storage.sync.get(['idlePauseEnabled'], (result) => {
+      if (chrome.runtime.lastError || !getSetting(result, 'idlePauseEnabled')) {
+        return;
+      }
+      chrome.storage.local.set({ [IDLE_STATE_STORAGE_KEY]: { since: Date.now(), state } }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save idle state:', chrome.runtime.lastError);
+          return;
         }
+        if (DEBUG_MODE) console.log(`User ${state}; suspending repeating alarms`);
+        clearRepeatingAlarms();
       });
+    });
+  });
+}
+
+/**
+ * Returns the idle detection threshold in seconds.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ * @returns {number}
+ */
+function getIdleThresholdSeconds(settings) {
+  return getSetting(settings, 'idleThresholdMinutes') * 60;
+}
+
+/**
+ * Applies the configured idle threshold to chrome.idle.
+ * @param {object} settings - Settings read from chrome.storage.sync.
+ */
+function applyIdleDetectionInterval(settings) {
+  chrome.idle?.setDetectionInterval?.(getIdleThresholdSeconds(settings));
+}
+
+if (chrome.idle?.onStateChanged) {
+  chrome.idle.setDetectionInterval(getIdleThresholdSeconds({}));
+  chrome.idle.onStateChanged.addListener(handleIdleStateChange);
+  chrome.storage.sync.get(['idleThresholdMinutes'], (result) => {
+    if (!chrome.runtime.lastError) {
+      applyIdleDetectionInterval(result);
+    }
+  });
+}
+
+// The idle state may have changed, or a timed pause may have ended, while the
+// browser was closed; re-check both so reminders are not left suspended.
+chrome.runtime.onStartup?.addListener(() => {
+  // Chrome does not keep the badge text across restarts
+  requestBadgeRefresh();
+  reconcileOneTimeTimers();
+  syncClockAlarms();
+  clearOpenNotifications();
+  chrome.storage.local.get([PAUSE_STATE_STORAGE_KEY], (localState) => {
+    const pauseState = localState?.[PAUSE_STATE_STORAGE_KEY];
+    if (pauseState && getSuspensionReason({ [PAUSE_STATE_STORAGE_KEY]: pauseState }) !== 'paused') {
+      resumeReminders();
     }
   });
+
+  if (!chrome.idle?.queryState) {
+    return;
+  }
+  chrome.storage.sync.get(['idleThresholdMinutes'], (result) => {
+    chrome.idle.queryState(getIdleThresholdSeconds(chrome.runtime.lastError ? {} : result), (state) => {
+      if (chrome.runtime.lastError) {
+        return;
+      }
+      handleIdleStateChange(state);
+    });
+  });
 });
 
 function updateAlarms(settings) {
-  // Define alarm types to iterate through
-  const alarmTypes = ['blink', 'water', 'up', 'stretch'];
+  // Built-in and custom reminders, each with its own repeating alarm
+  const alarmConfigs = getRepeatingAlarmConfigs(settings);
+  const configuredTypes = new Set(alarmConfigs.map(config => config.type));
+  const workSchedule = getActiveWorkSchedule(settings[WORK_SCHEDULE_STORAGE_KEY]);
+  const scheduleSignature = workSchedule ? JSON.stringify(workSchedule) : null;
 
   // Get existing alarms to compare
   chrome.alarms.getAll((existingAlarms) => {
     const existingAlarmNames = new Set(
       existingAlarms
-        .filter(alarm => alarm.name !== 'oneTime')
+        .filter(alarm => isRepeatingReminderAlarm(alarm.name))
         .map(alarm => alarm.name)
     );
 
-    chrome.storage.local.get([ALARM_STATE_STORAGE_KEY], (result) => {
+    chrome.storage.local.get([ALARM_STATE_STORAGE_KEY, CLOCK_SKIPS_STORAGE_KEY, ...SUSPENSION_STATE_KEYS], (result) => {
       if (chrome.runtime.lastError) {
         console.error('Failed to read alarm state:', chrome.runtime.lastError);
       }
 
       const previousState = result?.[ALARM_STATE_STORAGE_KEY] ?? {};
       const nextState = {};
+      const suspensionReason = getSuspensionReason(result);
 
-      // Update alarms based on settings
-      alarmTypes.forEach(type => {
-        const enabled = Boolean(settings[`${type}Enabled`]);
-        const interval = Number(settings[`${type}Interval`]);
+      // Clear alarms of custom reminders that have been deleted
+      existingAlarmNames.forEach(name => {
+        if (isCustomReminderType(name) && !configuredTypes.has(name)) {
+          chrome.alarms.clear(name);
+          if (DEBUG_MODE) console.log(`Cleared ${name} alarm (reminder deleted)`);
+        }
+      });
 
-        nextState[type] = { enabled, interval };
+      // Update alarms based on settings
+      alarmConfigs.forEach(({ type, enabled, interval }) => {
+        nextState[type] = { enabled, interval, schedule: scheduleSignature };
 
         // If alarm is disabled or interval is 0, clear it
         if (!enabled || interval <= 0) {
@@ -677,9 +2909,16 @@ function updateAlarms(settings) {
           return;
         }
 
+        // Keep the new settings but leave alarms off until reminders resume
+        if (suspensionReason) {
+          chrome.alarms.clear(type);
+          if (DEBUG_MODE) console.log(`Skipped ${type} alarm (suspended: ${suspensionReason})`);
+          return;
+        }
+
         // Create new alarm if missing
         if (!existingAlarmNames.has(type)) {
-          chrome.alarms.create(type, { delayInMinutes: interval });
+          scheduleRepeatingAlarm(type, interval, workSchedule);
           if (DEBUG_MODE) console.log(`Created ${type} alarm: ${interval} minutes`);
           return;
         }
@@ -688,38 +2927,96 @@ function updateAlarms(settings) {
         const previous = previousState[type];
         const shouldReschedule = previous && (
           Boolean(previous.enabled) !== enabled ||
-          Number(previous.interval) !== interval
+          Number(previous.interval) !== interval ||
+          (previous.schedule ?? null) !== scheduleSignature
         );
 
         if (shouldReschedule) {
           chrome.alarms.clear(type, (wasCleared) => {
             if (wasCleared) {
-              chrome.alarms.create(type, { delayInMinutes: interval });
+              scheduleRepeatingAlarm(type, interval, workSchedule);
               if (DEBUG_MODE) console.log(`Updated ${type} alarm: ${interval} minutes`);
             }
           });
         }
       });
 
+      updateClockAlarms(settings, existingAlarms, result?.[CLOCK_SKIPS_STORAGE_KEY]);
+
       chrome.storage.local.set({ [ALARM_STATE_STORAGE_KEY]: nextState }, () => {
         if (chrome.runtime.lastError) {
           console.error('Failed to save alarm state:', chrome.runtime.lastError);
         }
       });
+      requestBadgeRefresh();
     });
   });
 }
 
-// Expose selected helpers for unit tests without affecting extension runtime.
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    isValidAlarmInterval,
-    isValidRepeatingInterval,
-    updateAlarms,
-    createNotification,
-    processWaterLogQueue,
-    handleWaterLogRetry,
-    getIsMacOS,
-    playNotificationSoundIfNeeded
-  };
+/**
+ * Schedules a badge refresh shortly, after pending alarm changes are applied.
+ * Call it whenever alarms are created or cleared.
+ */
+function requestBadgeRefresh() {
+  clearTimeout(badgeRefreshTimeoutId);
+  badgeRefreshTimeoutId = setTimeout(refreshBadge, BADGE_REFRESH_DELAY_MS);
 }
+
+/**
+ * Shows the time left on the toolbar badge for the configured badgeMode, and
+ * sets the 'badgeRefresh' alarm for when the text next changes. With nothing
+ * to count down to, the badge is emptied and no refresh is scheduled.
+ */
+function refreshBadge() {
+  if (!chrome.action?.setBadgeText) {
+    return;
+  }
+  chrome.storage.sync.get(['badgeMode'], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read badge setting:', chrome.runtime.lastError);
+      return;
+    }
+    chrome.alarms.getAll((alarms) => {
+      const badge = getBadgeState(alarms ?? [], getSetting(result, 'badgeMode'), Date.now());
+      chrome.action.setBadgeText({ text: badge?.text ?? '' });
+      if (!badge) {
+        chrome.alarms.clear(BADGE_REFRESH_ALARM_NAME);
+        return;
+      }
+      chrome.action.setBadgeBackgroundColor({ color: badge.color });
+      chrome.action.setBadgeTextColor?.({ color: BADGE_TEXT_COLOR });
+      chrome.alarms.create(BADGE_REFRESH_ALARM_NAME, { when: badge.refreshAt });
+      if (DEBUG_MODE) console.log(`Badge ${badge.text}; next refresh at ${new Date(badge.refreshAt).toString()}`);
+    });
+  });
+}
+
+// Expose selected helpers for unit tests without affecting extension runtime.
+export {
+  isValidAlarmInterval,
+  isValidRepeatingInterval,
+  getRepeatingAlarmConfigs,
+  isWithinWorkSchedule,
+  getWorkScheduleStatus,
+  handleIdleStateChange,
+  restartRepeatingAlarms,
+  getPauseUntil,
+  pauseReminders,
+  resumeReminders,
+  buildNotificationId,
+  parseNotificationId,
+  snoozeReminder,
+  getPomodoroSettings,
+  getNextPomodoroPhase,
+  updateAlarms,
+  createNotification,
+  processWaterLogQueue,
+  handleWaterLogRetry,
+  pruneWaterHistory,
+  pruneReminderLog,
+  recordReminderOutcome,
+  getWaterReminderMessage,
+  getIsMacOS,
+  playNotificationSoundIfNeeded,
+  seedJitter
+};
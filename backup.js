@@ -0,0 +1,168 @@
+/**
+ * backup.js - Settings and history backup format for Recharge Chrome Extension
+ *
+ * Builds and validates versioned JSON backups of the chrome.storage.sync
+ * settings, the water history and the reminder log, and converts the logs to
+ * CSV. Imported settings are migrated and then checked against the settings
+ * schema, the same bounds the popup and service worker use.
+ */
+
+import {
+  SETTINGS_KEYS,
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_VERSION_KEY,
+  isValidSetting,
+  migrateSettings
+} from './settings-schema.js';
+
+const BACKUP_FORMAT = 'recharge-backup';
+const BACKUP_VERSION = 1;
+const WATER_HISTORY_STORAGE_KEY = 'waterHistoryV1';
+const REMINDER_LOG_STORAGE_KEY = 'reminderLogV1';
+const REMINDER_OUTCOMES = ['done', 'snoozed', 'skipped', 'ignored'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Builds a backup object from stored settings and history.
+ * @param {object} settings - Values read from chrome.storage.sync.
+ * @param {object} waterHistory - The waterHistoryV1 record.
+ * @param {Array<[string, number, string]>} reminderLog - The reminderLogV1 entries.
+ * @param {Date} [exportedAt] - Export time.
+ * @returns {object}
+ */
+function buildBackup(settings, waterHistory, reminderLog, exportedAt = new Date()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    settingsVersion: SETTINGS_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    settings: Object.fromEntries(SETTINGS_KEYS
+      .filter((key) => settings?.[key] !== undefined)
+      .map((key) => [key, settings[key]])),
+    waterHistory: waterHistory ?? {},
+    reminderLog: Array.isArray(reminderLog) ? reminderLog : []
+  };
+}
+
+function isValidWaterHistoryEntry([dateKey, value]) {
+  const values = Array.isArray(value) ? value : [value];
+  return DATE_KEY_PATTERN.test(dateKey) &&
+    values.length <= 2 &&
+    values.every((number) => Number.isFinite(number) && number >= 0);
+}
+
+function isValidReminderLogEntry(entry) {
+  return Array.isArray(entry) &&
+    entry.length === 3 &&
+    typeof entry[0] === 'string' &&
+    Number.isFinite(entry[1]) &&
+    REMINDER_OUTCOMES.includes(entry[2]);
+}
+
+/**
+ * Checks a parsed backup file. Any invalid value rejects the whole import so
+ * a damaged file cannot half-apply.
+ * @param {unknown} data - Parsed JSON.
+ * @returns {{ok: true, backup: {settings: object, waterHistory: object, reminderLog: Array}}|{ok: false, error: string}}
+ */
+function validateBackup(data) {
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    return { ok: false, error: 'This file is not a Recharge backup.' };
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return { ok: false, error: `Unsupported backup version: ${data.version}.` };
+  }
+
+  if (typeof (data.settings ?? {}) !== 'object' || Array.isArray(data.settings)) {
+    return { ok: false, error: 'Backup settings are malformed.' };
+  }
+  if (Number.isInteger(data.settingsVersion) && data.settingsVersion > SETTINGS_SCHEMA_VERSION) {
+    return { ok: false, error: 'This backup was made by a newer version of Recharge.' };
+  }
+  // Backups made before settings were versioned carry no settingsVersion.
+  const { settings } = migrateSettings({ ...data.settings, [SETTINGS_VERSION_KEY]: data.settingsVersion ?? 0 });
+  for (const [key, value] of Object.entries(settings)) {
+    if (!SETTINGS_KEYS.includes(key)) {
+      return { ok: false, error: `Unknown setting: ${key}.` };
+    }
+    if (!isValidSetting(key, value)) {
+      return { ok: false, error: `Invalid value for ${key}.` };
+    }
+  }
+
+  const waterHistory = data.waterHistory ?? {};
+  if (typeof waterHistory !== 'object' || Array.isArray(waterHistory) ||
+      !Object.entries(waterHistory).every(isValidWaterHistoryEntry)) {
+    return { ok: false, error: 'Water history is malformed.' };
+  }
+
+  const reminderLog = data.reminderLog ?? [];
+  if (!Array.isArray(reminderLog) || !reminderLog.every(isValidReminderLogEntry)) {
+    return { ok: false, error: 'Reminder log is malformed.' };
+  }
+
+  return { ok: true, backup: { settings, waterHistory, reminderLog } };
+}
+
+/**
+ * Merges imported reminder log entries into the existing log, oldest first.
+ * Entries for the same reminder and fire time keep the imported outcome.
+ * @param {Array<[string, number, string]>} existing - Current entries.
+ * @param {Array<[string, number, string]>} imported - Entries from the backup.
+ * @returns {Array<[string, number, string]>}
+ */
+function mergeReminderLogs(existing, imported) {
+  const byKey = new Map();
+  [...(existing ?? []), ...imported].forEach((entry) => {
+    byKey.set(`${entry[0]}|${entry[1]}`, entry);
+  });
+  return [...byKey.values()].sort((a, b) => a[1] - b[1]);
+}
+
+function toCsvValue(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return `${rows.map((row) => row.map(toCsvValue).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Converts reminder log entries to CSV with ISO fire times.
+ * @param {Array<[string, number, string]>} reminderLog - Log entries.
+ * @returns {string}
+ */
+function reminderLogToCsv(reminderLog) {
+  return toCsv([
+    ['type', 'fired_at', 'outcome'],
+    ...reminderLog.map(([type, firedAt, outcome]) => [type, new Date(firedAt).toISOString(), outcome])
+  ]);
+}
+
+/**
+ * Converts the water history to CSV, one row per day in date order.
+ * @param {object} waterHistory - The waterHistoryV1 record.
+ * @returns {string}
+ */
+function waterHistoryToCsv(waterHistory) {
+  return toCsv([
+    ['date', 'glasses', 'volume_ml'],
+    ...Object.keys(waterHistory ?? {}).sort().map((dateKey) => {
+      const value = waterHistory[dateKey];
+      return Array.isArray(value) ? [dateKey, value[0], value[1] ?? ''] : [dateKey, value, ''];
+    })
+  ]);
+}
+
+export {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  WATER_HISTORY_STORAGE_KEY,
+  REMINDER_LOG_STORAGE_KEY,
+  buildBackup,
+  validateBackup,
+  mergeReminderLogs,
+  reminderLogToCsv,
+  waterHistoryToCsv
+};
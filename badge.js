@@ -0,0 +1,105 @@
+/**
+ * badge.js - Toolbar badge countdown for Recharge Chrome Extension
+ *
+ * Works out what the action badge shows from the scheduled alarms: the time
+ * left on the one-time timer ending first or until the next reminder, in the
+ * colour of that reminder. Also says when the text next changes, so
+ * background.js can wake up only then instead of ticking every second.
+ */
+
+import { BUILT_IN_REMINDERS, CUSTOM_REMINDER_ID_PREFIX, CLOCK_REMINDER_ID_PREFIX } from './constants.js';
+import { parseTimerAlarmName } from './timers.js';
+
+export const BADGE_COLORS = {
+  blink: '#7E57C2',
+  water: '#1E88E5',
+  up: '#43A047',
+  stretch: '#FB8C00',
+  custom: '#00897B',
+  oneTime: '#E53935'
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MINUTES = 60;
+const DAY_MINUTES = 24 * HOUR_MINUTES;
+
+function isReminderAlarmName(name) {
+  return BUILT_IN_REMINDERS.some(({ id }) => id === name) ||
+    name.startsWith(CUSTOM_REMINDER_ID_PREFIX) || name.startsWith(CLOCK_REMINDER_ID_PREFIX);
+}
+
+function getSoonestAlarm(alarms) {
+  return alarms.reduce((next, alarm) => (!next || alarm.scheduledTime < next.scheduledTime ? alarm : next), null);
+}
+
+/**
+ * Picks the alarm the badge counts down to.
+ * @param {chrome.alarms.Alarm[]} alarms - From chrome.alarms.getAll().
+ * @param {string} mode - The badgeMode setting (a BADGE_MODES id).
+ * @returns {chrome.alarms.Alarm|null}
+ */
+export function getBadgeAlarm(alarms, mode) {
+  const timer = getSoonestAlarm(alarms.filter((alarm) => parseTimerAlarmName(alarm.name)));
+  const nextReminder = getSoonestAlarm(alarms.filter((alarm) => isReminderAlarmName(alarm.name)));
+
+  switch (mode) {
+    case 'timer':
+      return timer;
+    case 'reminder':
+      return nextReminder;
+    case 'auto':
+      return timer ?? nextReminder;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the minutes covered by one step of the badge text: minutes up to an
+ * hour, then hours up to a day, then days.
+ * @param {number} minutes - Minutes left, rounded up.
+ * @returns {number}
+ */
+function getBadgeUnitMinutes(minutes) {
+  if (minutes <= HOUR_MINUTES) {
+    return 1;
+  }
+  return minutes <= DAY_MINUTES ? HOUR_MINUTES : DAY_MINUTES;
+}
+
+/**
+ * Formats the time left as short badge text such as "12m", "2h" or "3d".
+ * Values are rounded up, so "1m" shows until the alarm fires.
+ * @param {number} remainingMs - Time left in milliseconds.
+ * @returns {string}
+ */
+export function formatBadgeText(remainingMs) {
+  const minutes = Math.max(1, Math.ceil(remainingMs / MINUTE_MS));
+  const unit = getBadgeUnitMinutes(minutes);
+  const suffix = { 1: 'm', [HOUR_MINUTES]: 'h', [DAY_MINUTES]: 'd' }[unit];
+  return `${Math.ceil(minutes / unit)}${suffix}`;
+}
+
+/**
+ * Describes the badge for the current alarms.
+ * @param {chrome.alarms.Alarm[]} alarms - From chrome.alarms.getAll().
+ * @param {string} mode - The badgeMode setting.
+ * @param {number} now - Current time (epoch milliseconds).
+ * @returns {{text: string, color: string, refreshAt: number}|null} Null when
+ *   the badge should be empty. refreshAt is when the text next changes.
+ */
+export function getBadgeState(alarms, mode, now) {
+  const alarm = getBadgeAlarm(alarms, mode);
+  if (!alarm) {
+    return null;
+  }
+  const remainingMs = Math.max(0, alarm.scheduledTime - now);
+  const minutes = Math.max(1, Math.ceil(remainingMs / MINUTE_MS));
+  const unit = getBadgeUnitMinutes(minutes);
+  const steps = Math.ceil(minutes / unit);
+  return {
+    text: formatBadgeText(remainingMs),
+    color: parseTimerAlarmName(alarm.name) ? BADGE_COLORS.oneTime : (BADGE_COLORS[alarm.name] ?? BADGE_COLORS.custom),
+    refreshAt: alarm.scheduledTime - (steps - 1) * unit * MINUTE_MS
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * blink.js - Blink break countdown window for Recharge Chrome Extension
+ *
+ * Counts down the blink break, then sends 'blinkBreakCompleted' so
+ * background.js logs the break as done and plays a soft tone through the
+ * offscreen document, and closes the window. Closing the window early (or
+ * clicking Skip) leaves background.js to log the break as skipped.
+ */
+
+import { BLINK_BREAK_SECONDS } from './constants.js';
+import { formatRoutineTime } from './routine-library.js';
+
+const TIMER_TICK_MS = 250;
+const CLOSE_DELAY_MS = 1500;
+
+/**
+ * Reads the notification ID and break length from the window URL.
+ * @param {string} search - location.search.
+ * @returns {{notificationId: string|null, seconds: number}}
+ */
+function parseBlinkBreakParams(search) {
+  const params = new URLSearchParams(search);
+  const seconds = Number(params.get('seconds'));
+  const isValidSeconds = Number.isInteger(seconds) &&
+    seconds >= BLINK_BREAK_SECONDS.min &&
+    seconds <= BLINK_BREAK_SECONDS.max;
+  return {
+    notificationId: params.get('notification'),
+    seconds: isValidSeconds ? seconds : BLINK_BREAK_SECONDS.default
+  };
+}
+
+function initializeBlinkBreakPage() {
+  const { notificationId, seconds } = parseBlinkBreakParams(window.location.search);
+  const endsAt = Date.now() + seconds * 1000;
+  const countdown = document.getElementById('blinkCountdown');
+  const progressBar = document.getElementById('blinkProgressBar');
+
+  function render(remainingMs) {
+    countdown.textContent = formatRoutineTime(remainingMs / 1000);
+    progressBar.style.width = `${Math.min(100, (1 - remainingMs / (seconds * 1000)) * 100)}%`;
+  }
+
+  function complete() {
+    clearInterval(timerId);
+    render(0);
+    document.getElementById('skipBlinkBreakBtn').disabled = true;
+    document.getElementById('blinkStatus').textContent = 'Nice, your eyes thank you.';
+    chrome.runtime.sendMessage({ action: 'blinkBreakCompleted', notificationId }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to report blink break:', chrome.runtime.lastError);
+      }
+      setTimeout(() => window.close(), CLOSE_DELAY_MS);
+    });
+  }
+
+  const timerId = setInterval(() => {
+    const remainingMs = endsAt - Date.now();
+    if (remainingMs <= 0) {
+      complete();
+      return;
+    }
+    render(remainingMs);
+  }, TIMER_TICK_MS);
+
+  document.getElementById('skipBlinkBreakBtn').addEventListener('click', () => window.close());
+  render(seconds * 1000);
+}
+
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeBlinkBreakPage);
+  } else {
+    initializeBlinkBreakPage();
+  }
+}
+
+export {
+  parseBlinkBreakParams
+};
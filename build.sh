@@ -19,6 +19,30 @@ INCLUDE_FILES=(
   constants.js
   offscreen.html
   offscreen.js
+  history.html
+  history.js
+  history.css
+  stats.html
+  stats.js
+  charts.js
+  options.html
+  options.js
+  backup.js
+  validation.js
+  settings-schema.js
+  tips.js
+  routine.html
+  routine.js
+  routine-library.js
+  blink.html
+  blink.js
+  sounds.js
+  speech.js
+  badge.js
+  timers.js
+  clock-reminders.js
+  jitter.js
+  escalation.js
   README.md
   icons
 )
@@ -0,0 +1,68 @@
+/**
+ * charts.js - Shared chart helpers for Recharge history and statistics pages
+ *
+ * Bar charts are plain flexbox columns styled by history.css; callers pass
+ * the bars already labelled so the same renderer serves counts and rates.
+ */
+
+/**
+ * Formats a date as a local 'YYYY-MM-DD' key. background.js keys the water
+ * history with it too.
+ * @param {Date} date - The date to format.
+ * @returns {string}
+ */
+function formatDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the label shown under a bar: weekday for short ranges, otherwise the
+ * day of month on every fifth bar to avoid crowding.
+ * @param {Date} date - The bar's day.
+ * @param {number} index - The bar's position in the series.
+ * @param {number} days - The series length.
+ * @returns {string}
+ */
+function getBarLabel(date, index, days) {
+  if (days <= 7) {
+    return date.toLocaleDateString([], { weekday: 'short' });
+  }
+  return (index % 5 === 0 || index === days - 1) ? String(date.getDate()) : '';
+}
+
+/**
+ * Renders a bar chart into a container.
+ * @param {HTMLElement} container - The chart element.
+ * @param {{value: number, label?: string, title?: string, text?: string}[]} bars - Bars in display order.
+ * @param {number} [max] - Value drawn at full height; defaults to the largest value.
+ */
+function renderBarChart(container, bars, max = Math.max(1, ...bars.map((bar) => bar.value))) {
+  container.replaceChildren(...bars.map((entry) => {
+    const column = document.createElement('div');
+    column.className = 'bar-column';
+    column.title = entry.title ?? '';
+
+    const value = document.createElement('div');
+    value.className = 'bar-value';
+    value.textContent = entry.text ?? (entry.value > 0 ? String(entry.value) : '');
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.style.height = `${(entry.value / max) * 100}%`;
+
+    const label = document.createElement('div');
+    label.className = 'bar-label';
+    label.textContent = entry.label ?? '';
+
+    column.append(value, bar, label);
+    return column;
+  }));
+}
+
+export {
+  formatDateKey,
+  getBarLabel,
+  renderBarChart
+};
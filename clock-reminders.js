@@ -0,0 +1,97 @@
+/**
+ * clock-reminders.js - Clock-time reminders for Recharge Chrome Extension
+ *
+ * Works out when a clock reminder ("water at 10:00, 12:30 and 15:00 on
+ * weekdays") fires next. background.js keeps one alarm per reminder, created
+ * with `when` for the next occurrence and re-armed each time it fires; the
+ * popup describes the schedule.
+ *
+ * Occurrences are built from local calendar dates and times, so they stay at
+ * the same wall-clock time across midnight and daylight saving changes. A time
+ * skipped by a DST change fires at the equivalent moment (02:30 becomes 03:30).
+ */
+
+import { CLOCK_REMINDER_ID_PREFIX, CLOCK_REMINDER_REPEATS } from './constants.js';
+import { parseTimeOfDay } from './validation.js';
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Checks whether an alarm name belongs to a clock reminder.
+ * @param {string} name - The alarm name.
+ * @returns {boolean}
+ */
+export function isClockReminderType(name) {
+  return typeof name === 'string' && name.startsWith(CLOCK_REMINDER_ID_PREFIX);
+}
+
+/**
+ * @param {{repeat: string, days?: number[]}} reminder
+ * @returns {number[]} Date#getDay() numbers the reminder fires on.
+ */
+export function getClockReminderDays(reminder) {
+  if (reminder.repeat === 'daily') {
+    return ALL_DAYS;
+  }
+  if (reminder.repeat === 'weekdays') {
+    return WEEKDAYS;
+  }
+  return Array.isArray(reminder.days) ? reminder.days : [];
+}
+
+/**
+ * Finds the first occurrence strictly after a moment.
+ * @param {{times: string[], repeat: string, days?: number[]}} reminder
+ * @param {number} from - Epoch milliseconds.
+ * @returns {number|null} Epoch milliseconds, or null if it never fires.
+ */
+export function getNextClockTime(reminder, from) {
+  const days = getClockReminderDays(reminder);
+  const minutesOfDay = reminder.times.map(parseTimeOfDay).filter((minutes) => !isNaN(minutes)).sort((a, b) => a - b);
+  const start = new Date(from);
+
+  // A week ahead covers every day once, plus today's later times.
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+    if (!days.includes(day.getDay())) {
+      continue;
+    }
+    const next = minutesOfDay
+      .map((minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60).getTime())
+      .find((time) => time > from);
+    if (next !== undefined) {
+      return next;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes a reminder's schedule, e.g. "10:00, 12:30 · Weekdays".
+ * @param {{times: string[], repeat: string, days?: number[]}} reminder
+ * @returns {string}
+ */
+export function formatClockSchedule(reminder) {
+  const times = [...reminder.times].sort((a, b) => parseTimeOfDay(a) - parseTimeOfDay(b)).join(', ');
+  const repeat = reminder.repeat === 'days'
+    ? [...getClockReminderDays(reminder)].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map((day) => DAY_NAMES[day]).join(', ')
+    : CLOCK_REMINDER_REPEATS.find(({ id }) => id === reminder.repeat)?.name;
+  return repeat ? `${times} · ${repeat}` : times;
+}
+
+/**
+ * Reads "10:00, 12:30 15:00" as a sorted list of distinct "HH:MM" times.
+ * Accepts single-digit hours ("9:55").
+ * @param {string} text
+ * @returns {string[]|null} Null if any entry is not a valid time.
+ */
+export function parseClockTimes(text) {
+  const entries = String(text).split(/[\s,;]+/).filter(Boolean);
+  const times = entries.map((entry) => entry.replace(/^(\d):/, '0$1:'));
+  if (times.length === 0 || times.some((time) => isNaN(parseTimeOfDay(time)))) {
+    return null;
+  }
+  return [...new Set(times)].sort((a, b) => parseTimeOfDay(a) - parseTimeOfDay(b));
+}
@@ -8,8 +8,17 @@
 // Validation limits for interval sliders
 export const ONE_TIME_MIN = 1;
 export const ONE_TIME_MAX = 120;
+// One-time timer length when none has been picked yet (matches the popup slider)
+export const DEFAULT_ONE_TIME_MINUTES = 30;
+// Several one-time timers can run at once, each with its own alarm
+// ('oneTime|<id>') and an optional label
+export const ONE_TIME_ALARM_PREFIX = 'oneTime|';
+export const MAX_ONE_TIME_TIMERS = 10;
+export const ONE_TIME_LABEL_MAX_LENGTH = 40;
+// Repeating reminder intervals in whole minutes (0 turns a reminder off). The
+// popup sliders, the typed interval fields and every validator use these.
 export const REPEATING_INTERVAL_MIN = 0;
-export const REPEATING_INTERVAL_MAX = 60;
+export const REPEATING_INTERVAL_MAX = 240;
 
 // Default values for interval sliders (in minutes)
 export const DEFAULT_BLINK_INTERVAL = 20;
@@ -23,3 +32,158 @@ export const DEFAULT_BLINK_ENABLED = false;
 export const DEFAULT_WATER_ENABLED = false;
 export const DEFAULT_UP_ENABLED = false;
 export const DEFAULT_STRETCH_ENABLED = false;
+export const DEFAULT_IDLE_PAUSE_ENABLED = true;
+
+// Snooze button length (minutes) on reminder notifications
+export const SNOOZE_MINUTES_OPTIONS = [5, 10];
+export const DEFAULT_SNOOZE_MINUTES = 5;
+
+// A reminder notification left alone is shown again every escalationMinutes,
+// at most escalationRepeats times (0 turns escalation off). Each repeat has
+// its own 'escalate|<notificationId>' alarm.
+export const ESCALATION_REPEATS = { default: 0, min: 0, max: 5 };
+export const ESCALATION_MINUTES = { default: 5, min: 1, max: 30 };
+export const ESCALATION_ALARM_PREFIX = 'escalate|';
+
+// Built-in reminders rendered as popup cards. Each id maps to the
+// `${id}Enabled` / `${id}Interval` keys in chrome.storage.sync.
+export const BUILT_IN_REMINDERS = [
+  { id: 'blink', name: 'Blink Break', emoji: '👀', defaultInterval: DEFAULT_BLINK_INTERVAL, defaultEnabled: DEFAULT_BLINK_ENABLED },
+  { id: 'water', name: 'Water Break', emoji: '💧', defaultInterval: DEFAULT_WATER_INTERVAL, defaultEnabled: DEFAULT_WATER_ENABLED },
+  { id: 'up', name: 'Movement Break', emoji: '🚶', defaultInterval: DEFAULT_UP_INTERVAL, defaultEnabled: DEFAULT_UP_ENABLED },
+  { id: 'stretch', name: 'Stretch Break', emoji: '🧘', defaultInterval: DEFAULT_STRETCH_INTERVAL, defaultEnabled: DEFAULT_STRETCH_ENABLED }
+];
+
+// Optional random spread of a repeating reminder's interval, in percent either
+// way: built-in reminders use the `${id}JitterPercent` setting, custom ones a
+// jitterPercent property. 0 keeps the interval exact.
+export const JITTER_PERCENT_OPTIONS = [0, 10, 20, 30];
+export const DEFAULT_JITTER_PERCENT = 0;
+
+// User-defined reminders are stored as an array of
+// { id, name, emoji, message, interval, enabled, jitterPercent? } under this
+// sync key.
+export const CUSTOM_REMINDERS_STORAGE_KEY = 'customReminders';
+export const CUSTOM_REMINDER_ID_PREFIX = 'custom_';
+export const MAX_CUSTOM_REMINDERS = 20;
+export const CUSTOM_REMINDER_NAME_MAX_LENGTH = 40;
+export const CUSTOM_REMINDER_MESSAGE_MAX_LENGTH = 200;
+export const DEFAULT_CUSTOM_REMINDER_EMOJI = '⏰';
+export const DEFAULT_CUSTOM_REMINDER_INTERVAL = 30;
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM: the UTF-8 size of a key plus the
+// JSON of its value. A list stored under one key must fit within it, or the
+// whole chrome.storage.sync.set call fails.
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+// Clock reminders fire at fixed times of day instead of after an interval,
+// stored as an array of { id, name, emoji, message, times, repeat, days,
+// enabled } under this sync key. Times are "HH:MM" in local time and days use
+// Date#getDay() numbering; name and message share the custom reminder limits.
+export const CLOCK_REMINDERS_STORAGE_KEY = 'clockReminders';
+export const CLOCK_REMINDER_ID_PREFIX = 'clock_';
+export const MAX_CLOCK_REMINDERS = 20;
+export const MAX_CLOCK_REMINDER_TIMES = 12;
+export const DEFAULT_CLOCK_REMINDER_EMOJI = '🕙';
+export const CLOCK_REMINDER_REPEATS = [
+  { id: 'daily', name: 'Every day' },
+  { id: 'weekdays', name: 'Weekdays' },
+  { id: 'days', name: 'Chosen days' }
+];
+
+// Working-hours schedule stored under this sync key. Days use Date#getDay()
+// numbering (0 = Sunday); times are "HH:MM" in local time.
+export const WORK_SCHEDULE_STORAGE_KEY = 'workSchedule';
+export const DEFAULT_WORK_SCHEDULE = {
+  enabled: false,
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '18:00',
+  lunchEnabled: false,
+  lunchStart: '12:00',
+  lunchEnd: '13:00'
+};
+
+// Pomodoro durations (minutes) and long-break cadence, with validation bounds
+export const POMODORO_SETTINGS = {
+  pomodoroWorkMinutes: { default: 25, min: 1, max: 120 },
+  pomodoroShortBreakMinutes: { default: 5, min: 1, max: 60 },
+  pomodoroLongBreakMinutes: { default: 15, min: 1, max: 60 },
+  pomodoroCyclesBeforeLongBreak: { default: 4, min: 2, max: 10 }
+};
+
+// Hydration goal and glass size are stored in millilitres, with validation
+// bounds; waterUnit ('ml' or 'floz') only changes how volumes are shown.
+export const WATER_VOLUME_SETTINGS = {
+  waterGoalMl: { default: 2000, min: 250, max: 6000 },
+  waterGlassMl: { default: 250, min: 50, max: 1000 }
+};
+export const WATER_UNITS = ['ml', 'floz'];
+export const DEFAULT_WATER_UNIT = 'ml';
+export const ML_PER_FL_OZ = 29.5735;
+
+// Notification tip pools per built-in reminder. A stored `${id}Tips` value of
+// null means the bundled library in tips.js is used.
+export const MAX_TIPS_PER_TYPE = 20;
+export const MAX_TIP_LENGTH = 150;
+// Full pools of non-ASCII tips can exceed a sync item, so the stored JSON is
+// also capped in bytes, leaving room for the `${id}Tips` key
+export const MAX_TIP_POOL_BYTES = SYNC_QUOTA_BYTES_PER_ITEM - 64;
+
+// Guided routines opened from stretch and movement reminders. Custom routines
+// are stored in chrome.storage.sync alongside the bundled ones in
+// routine-library.js, one item per routine because a full list would exceed
+// the per-item quota; `${type}Routine` keys hold the selected routine id.
+export const ROUTINE_REMINDER_TYPES = ['stretch', 'up'];
+export const CUSTOM_ROUTINE_ID_PREFIX = 'routine_';
+export const MAX_CUSTOM_ROUTINES = 5;
+export const CUSTOM_ROUTINE_STORAGE_KEYS = Array.from({ length: MAX_CUSTOM_ROUTINES }, (_, index) => `customRoutine${index + 1}`);
+export const MAX_ROUTINE_STEPS = 8;
+export const ROUTINE_NAME_MAX_LENGTH = 40;
+export const ROUTINE_INSTRUCTIONS_MAX_LENGTH = 120;
+export const ROUTINE_STEP_SECONDS = { min: 5, max: 300 };
+
+// Optional blink break window: the blink reminder opens a small countdown
+// window instead of a notification.
+export const BLINK_BREAK_SECONDS = { default: 20, min: 5, max: 120 };
+
+// Notification sounds. Each entry in SOUND_SETTING_TYPES has a `${id}Sound`
+// key holding a SOUND_PRESETS id; 'system' keeps Chrome's notification sound
+// (with the offscreen beep on macOS), the others play through offscreen.js.
+export const SOUND_PRESETS = [
+  { id: 'system', name: 'System default' },
+  { id: 'beep', name: 'Beep' },
+  { id: 'chime', name: 'Chime' },
+  { id: 'doubleBeep', name: 'Double beep' },
+  { id: 'softBell', name: 'Soft bell' },
+  { id: 'file', name: 'My sound file' }
+];
+export const DEFAULT_SOUND_PRESET = 'system';
+export const SOUND_SETTING_TYPES = [
+  ...BUILT_IN_REMINDERS.map(({ id, name, emoji }) => ({ id, name, emoji })),
+  { id: 'customReminder', name: 'Custom and clock reminders', emoji: '⏰' },
+  { id: 'oneTime', name: 'One-time timer', emoji: '⏱️' },
+  { id: 'pomodoro', name: 'Pomodoro', emoji: '🍅' }
+];
+export const SOUND_VOLUME = { default: 60, min: 0, max: 100 };
+
+// Uploaded sound file, kept in chrome.storage.local as { name, dataUrl }
+export const CUSTOM_SOUND_STORAGE_KEY = 'customSoundV1';
+export const CUSTOM_SOUND_MAX_BYTES = 512 * 1024;
+export const CUSTOM_SOUND_MAX_SECONDS = 10;
+
+// Spoken reminders: rate and volume as percentages of the voice's normal level
+export const SPEECH_RATE = { default: 100, min: 50, max: 200 };
+export const SPEECH_VOLUME = { default: 80, min: 0, max: 100 };
+export const SPEECH_VOICE_NAME_MAX_LENGTH = 200;
+
+// What the toolbar badge counts down to: the one-time timer, the next
+// repeating reminder, the timer when one is running and otherwise the next
+// reminder ('auto'), or nothing
+export const BADGE_MODES = [
+  { id: 'auto', name: 'Timer, otherwise the next reminder' },
+  { id: 'timer', name: 'One-time timer only' },
+  { id: 'reminder', name: 'Next reminder only' },
+  { id: 'off', name: 'Nothing' }
+];
+export const DEFAULT_BADGE_MODE = 'auto';
@@ -0,0 +1,57 @@
+/**
+ * escalation.js - Escalating re-notification for Recharge Chrome Extension
+ *
+ * A reminder notification that is neither acted on nor dismissed is shown
+ * again after escalationMinutes, with stronger wording and a louder sound, up
+ * to escalationRepeats times. background.js keeps the notifications that may
+ * still escalate in the openNotificationsV1 record in chrome.storage.local and
+ * schedules each repeat with an 'escalate|<notificationId>' alarm; any
+ * interaction with the notification stops it.
+ */
+
+import { ESCALATION_ALARM_PREFIX } from './constants.js';
+
+// Repeats play this tone, louder than the reminder's own sound
+const ESCALATION_TONE = 'doubleBeep';
+const ESCALATION_VOLUME_BOOST = 20;
+
+/**
+ * @param {string} notificationId - The reminder notification ID.
+ * @returns {string} The name of its escalation alarm.
+ */
+export function getEscalationAlarmName(notificationId) {
+  return `${ESCALATION_ALARM_PREFIX}${notificationId}`;
+}
+
+/**
+ * @param {string} alarmName
+ * @returns {string|null} The notification ID, or null for other alarms.
+ */
+export function parseEscalationAlarmName(alarmName) {
+  if (typeof alarmName !== 'string' || !alarmName.startsWith(ESCALATION_ALARM_PREFIX)) {
+    return null;
+  }
+  return alarmName.slice(ESCALATION_ALARM_PREFIX.length) || null;
+}
+
+/**
+ * Rewords a reminder notification for a repeat.
+ * @param {{title: string, message: string}} notification - As first shown.
+ * @param {number} escalation - Which repeat this is, from 1.
+ * @param {number} repeats - The escalationRepeats setting.
+ * @returns {{title: string, message: string}}
+ */
+export function getEscalatedNotification({ title, message }, escalation, repeats) {
+  return {
+    title: `❗ ${title}`,
+    message: `${escalation >= repeats ? 'Last reminder' : 'Still waiting'}: ${message}`
+  };
+}
+
+/**
+ * @param {{volume: number}} sound - The reminder's sound, from getAlarmSound().
+ * @returns {{tone: string, volume: number}} The sound for a repeat.
+ */
+export function getEscalationSound({ volume }) {
+  return { tone: ESCALATION_TONE, volume: Math.min(100, volume + ESCALATION_VOLUME_BOOST) };
+}
@@ -0,0 +1,101 @@
+/**
+ * history.js - Water history page for Recharge Chrome Extension
+ *
+ * Renders a bar chart of glasses logged per day from the waterHistoryV1
+ * record kept by background.js. Today's count comes from the sync counter,
+ * which remains the source of truth for the current day.
+ */
+
+import { formatDateKey, getBarLabel, renderBarChart } from './charts.js';
+
+const WATER_HISTORY_STORAGE_KEY = 'waterHistoryV1';
+const DEFAULT_RANGE_DAYS = 7;
+
+/**
+ * Reads one history value. Entries are [count, volumeMl]; older entries are a
+ * bare count with no recorded volume.
+ * @param {number|number[]|undefined} value - The stored value.
+ * @returns {{count: number, volumeMl: number}}
+ */
+function parseHistoryEntry(value) {
+  if (Array.isArray(value)) {
+    return { count: Number(value[0]) || 0, volumeMl: Number(value[1]) || 0 };
+  }
+  return { count: Number(value) || 0, volumeMl: 0 };
+}
+
+/**
+ * Builds one entry per day for the `days` days ending on `endDate`, oldest
+ * first. Days without a history entry count as zero.
+ * @param {Record<string, number|number[]>} history - Entries keyed by 'YYYY-MM-DD'.
+ * @param {number} days - Number of days to include.
+ * @param {Date} endDate - The last day in the series.
+ * @returns {{dateKey: string, date: Date, count: number, volumeMl: number}[]}
+ */
+function buildDailySeries(history, days, endDate) {
+  const series = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - offset);
+    const dateKey = formatDateKey(date);
+    series.push({ dateKey, date, ...parseHistoryEntry(history?.[dateKey]) });
+  }
+  return series;
+}
+
+function initializeHistoryPage() {
+  let history = {};
+  let rangeDays = DEFAULT_RANGE_DAYS;
+
+  function render() {
+    const series = buildDailySeries(history, rangeDays, new Date());
+    const total = series.reduce((sum, entry) => sum + entry.count, 0);
+    renderBarChart(document.getElementById('waterChart'), series.map((entry, index) => {
+      const volume = entry.volumeMl > 0 ? ` (${(entry.volumeMl / 1000).toFixed(1)} L)` : '';
+      return {
+        value: entry.count,
+        label: getBarLabel(entry.date, index, series.length),
+        title: `${entry.date.toLocaleDateString()}: ${entry.count}${volume}`
+      };
+    }));
+    document.getElementById('todayCount').textContent = String(series.at(-1).count);
+    document.getElementById('totalCount').textContent = String(total);
+    document.getElementById('averageCount').textContent = (total / rangeDays).toFixed(1);
+  }
+
+  document.querySelectorAll('.range-button').forEach((button) => {
+    button.addEventListener('click', () => {
+      rangeDays = Number(button.dataset.days);
+      document.querySelectorAll('.range-button').forEach((other) => {
+        other.classList.toggle('active', other === button);
+      });
+      render();
+    });
+  });
+
+  chrome.storage.local.get([WATER_HISTORY_STORAGE_KEY], (localResult) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to load water history:', chrome.runtime.lastError);
+    }
+    history = { ...(localResult?.[WATER_HISTORY_STORAGE_KEY] ?? {}) };
+
+    chrome.storage.sync.get(['waterLogCount', 'waterLogDate', 'waterLogVolumeMl'], (syncResult) => {
+      if (!chrome.runtime.lastError && syncResult.waterLogDate === new Date().toDateString()) {
+        history[formatDateKey(new Date())] = [syncResult.waterLogCount || 0, syncResult.waterLogVolumeMl || 0];
+      }
+      render();
+    });
+  });
+}
+
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeHistoryPage);
+  } else {
+    initializeHistoryPage();
+  }
+}
+
+export {
+  parseHistoryEntry,
+  buildDailySeries
+};
@@ -0,0 +1,43 @@
+/**
+ * jitter.js - Randomized reminder intervals for Recharge Chrome Extension
+ *
+ * A reminder with jitter fires up to its jitter percentage of the interval
+ * early or late, so it is harder to tune out and reminders drift apart instead
+ * of settling into one rhythm. background.js applies it when it re-creates an
+ * alarm that fired. The random source is injectable and can be seeded, which
+ * keeps the delays repeatable in tests.
+ */
+
+// chrome.alarms does not fire sooner than 30 seconds after being created
+const MIN_DELAY_MINUTES = 0.5;
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32).
+ * @param {number} seed - Any integer; the same seed gives the same sequence.
+ * @returns {() => number} Returns numbers in [0, 1), like Math.random.
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Spreads an interval evenly within ±jitterPercent, to the second.
+ * @param {number} interval - Interval in minutes.
+ * @param {number} jitterPercent - From JITTER_PERCENT_OPTIONS; 0 for none.
+ * @param {() => number} [random] - Returns a number in [0, 1).
+ * @returns {number} Delay in minutes, never under 30 seconds.
+ */
+export function getJitteredInterval(interval, jitterPercent, random = Math.random) {
+  if (!(jitterPercent > 0)) {
+    return interval;
+  }
+  const factor = 1 + ((random() * 2 - 1) * jitterPercent) / 100;
+  return Math.max(MIN_DELAY_MINUTES, Math.round(interval * factor * 60) / 60);
+}
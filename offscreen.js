@@ -1,20 +1,37 @@
 /**
  * offscreen.js - Offscreen audio playback for Recharge Chrome extension
  *
- * Plays a short synthesized "beep" using Web Audio APIs when the service worker
- * requests it. This avoids relying on platform-specific notification sounds.
+ * Plays the notification sound picked for an alarm when the service worker
+ * requests it: a synthesized tone from sounds.js, or the user's uploaded sound
+ * file passed in the message as a data URL (offscreen documents cannot read
+ * chrome.storage). This avoids relying on platform-specific notification sounds.
+ * Spoken reminders are read aloud here too (speech.js), after any sound that
+ * is still playing.
  */
 
-const DEBUG_MODE = false; // Temporarily set true when diagnosing sound playback.
+import { playTone, getToneDurationMs } from './sounds.js';
+import { speakText } from './speech.js';
 
-const BEEP_DURATION_MS = 420;
+const DEBUG_MODE = false; // Temporarily set true when diagnosing sound playback.
 
 const BEEP_FREQUENCY_BY_ALARM_HZ = {
   water: 660,
   oneTime: 880,
+  pomodoro: 523,
+  routine: 988,
+  blinkBreak: 440,
   default: 784
 };
 
+// The blink break end tone is played while the user is resting their eyes,
+// so it is kept quieter than reminder sounds.
+const VOLUME_SCALE_BY_ALARM = {
+  blinkBreak: 0.33,
+  default: 1
+};
+
+const DEFAULT_VOLUME_PERCENT = 60;
+
 function debugLog(...args) {
   if (DEBUG_MODE) {
     // eslint-disable-next-line no-console
@@ -24,6 +41,9 @@ function debugLog(...args) {
 
 let sharedAudioContext = null;
 
+// The sound being played, so speech starts after the alarm tone instead of over it
+let currentSoundPlayback = Promise.resolve();
+
 async function getOrCreateAudioContext() {
   if (sharedAudioContext) {
     return sharedAudioContext;
@@ -56,54 +76,82 @@ async function ensureAudioContextRunning(audioContext) {
 }
 
 /**
- * Plays a short beep via Web Audio.
+ * Plays an uploaded sound file at the given volume.
+ * @param {string} dataUrl - The audio file as a data URL.
+ * @param {number} volume - From 0 to 1.
+ * @returns {Promise<number>} Resolves with the played length in ms.
+ */
+async function playAudioFile(dataUrl, volume) {
+  const audio = new Audio(dataUrl);
+  audio.volume = volume;
+  await audio.play();
+  await new Promise((resolve, reject) => {
+    audio.onended = resolve;
+    audio.onerror = () => reject(new Error('Audio file could not be played'));
+  });
+  return Math.round(audio.duration * 1000);
+}
+
+/**
+ * Plays the requested sound.
  * Attempts to resume AudioContext (autoplay policies may start it suspended).
- * @param {string | undefined} alarmName
- * @returns {Promise<{state: string, frequency: number, durationMs: number}>}
+ * @param {{alarmName?: string, tone?: string, volume?: number, audioDataUrl?: string}} request
+ * @returns {Promise<{state: string, tone: string, durationMs: number}>}
  */
-async function playBeep(alarmName) {
+async function playSound({ alarmName, tone = 'beep', volume = DEFAULT_VOLUME_PERCENT, audioDataUrl }) {
+  const scale = VOLUME_SCALE_BY_ALARM[alarmName] ?? VOLUME_SCALE_BY_ALARM.default;
+  const gain = Math.min(1, Math.max(0, (volume / 100) * scale));
+
+  if (audioDataUrl) {
+    debugLog('Playing sound file, alarm:', alarmName);
+    const durationMs = await playAudioFile(audioDataUrl, gain);
+    return { state: 'file', tone: 'file', durationMs };
+  }
+
   const audioContext = await getOrCreateAudioContext();
   await ensureAudioContextRunning(audioContext);
   const frequency = BEEP_FREQUENCY_BY_ALARM_HZ[alarmName] ?? BEEP_FREQUENCY_BY_ALARM_HZ.default;
-  debugLog('Beep frequency:', frequency, 'alarm:', alarmName);
+  debugLog('Tone:', tone, 'frequency:', frequency, 'alarm:', alarmName);
 
-  const oscillator = audioContext.createOscillator();
-  const gain = audioContext.createGain();
-
-  try {
-    oscillator.type = 'sine';
-    oscillator.frequency.value = frequency;
-
-    const now = audioContext.currentTime;
-    gain.gain.setValueAtTime(0.0001, now);
-    gain.gain.exponentialRampToValueAtTime(0.6, now + 0.02);
-    gain.gain.exponentialRampToValueAtTime(0.0001, now + (BEEP_DURATION_MS / 1000));
-
-    oscillator.connect(gain);
-    gain.connect(audioContext.destination);
-
-    oscillator.start();
-    oscillator.stop(now + (BEEP_DURATION_MS / 1000));
+  await playTone(audioContext, tone, frequency, gain);
+  debugLog('Tone finished');
+  return { state: audioContext.state, tone, durationMs: getToneDurationMs(tone) };
+}
 
-    await new Promise((resolve) => {
-      oscillator.onended = resolve;
-    });
-    debugLog('Beep finished');
-  } finally {
-    try { oscillator.disconnect(); } catch {}
-    try { gain.disconnect(); } catch {}
+/**
+ * Reads text aloud once the current sound has finished.
+ * @param {{text: string, voice?: string, rate?: number, volume?: number}} request
+ * @returns {Promise<{voice: string|null}>}
+ */
+async function speak(request) {
+  if (!globalThis.speechSynthesis || !globalThis.SpeechSynthesisUtterance) {
+    throw new Error('Speech synthesis not available');
   }
-
-  return { state: audioContext.state, frequency, durationMs: BEEP_DURATION_MS };
+  await currentSoundPlayback.catch(() => {});
+  return speakText(globalThis.speechSynthesis, globalThis.SpeechSynthesisUtterance, request);
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.action === 'speakNotificationText') {
+    debugLog('Received speakNotificationText message', message);
+    speak(message)
+      .then((details) => {
+        sendResponse?.({ ok: true, ...details });
+      })
+      .catch((error) => {
+        console.error('Failed to speak reminder:', error);
+        sendResponse?.({ ok: false, error: String(error?.message ?? error) });
+      });
+    return true;
+  }
+
   if (message?.action !== 'playNotificationSound') {
     return;
   }
 
   debugLog('Received playNotificationSound message', message);
-  playBeep(message?.alarmName)
+  currentSoundPlayback = playSound(message);
+  currentSoundPlayback
     .then((details) => {
       debugLog('Responding ok:true');
       sendResponse?.({ ok: true, ...details, alarmName: message?.alarmName });
@@ -0,0 +1,662 @@
+/**
+ * options.js - Options page for Recharge Chrome Extension
+ *
+ * Builds the advanced settings form from SETTINGS_SCHEMA, edits notification
+ * sounds (previewed through background.js with 'previewSound'), spoken
+ * reminders (previewed with 'previewSpeech') and the reminder tip pools, lists
+ * the keyboard shortcuts, exports settings and history as a versioned JSON
+ * backup (plus CSV for the logs) and imports a backup. After any change it asks
+ * background.js to re-apply alarms via 'updateAlarms' the same way the popup
+ * does after saving.
+ */
+
+import {
+  WATER_HISTORY_STORAGE_KEY,
+  REMINDER_LOG_STORAGE_KEY,
+  buildBackup,
+  validateBackup,
+  mergeReminderLogs,
+  reminderLogToCsv,
+  waterHistoryToCsv
+} from './backup.js';
+import { formatDateKey } from './charts.js';
+import {
+  BUILT_IN_REMINDERS,
+  MAX_TIPS_PER_TYPE,
+  MAX_TIP_LENGTH,
+  SOUND_SETTING_TYPES,
+  CUSTOM_SOUND_STORAGE_KEY,
+  CUSTOM_SOUND_MAX_BYTES,
+  CUSTOM_SOUND_MAX_SECONDS
+} from './constants.js';
+import { DEFAULT_TIPS, getTipPool } from './tips.js';
+import { loadVoices } from './speech.js';
+import {
+  SETTINGS_SCHEMA,
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_KEYS,
+  isValidSetting,
+  describeSetting,
+  normalizeSettings
+} from './settings-schema.js';
+
+const SPEECH_PREVIEW_TEXT = 'Time to drink some water! Stay hydrated!';
+const SHORTCUTS_PAGE_URL = 'chrome://extensions/shortcuts';
+
+// Form sections for the scalar settings. List and object settings (custom
+// reminders, working hours) have their own editors in the popup.
+const SETTINGS_SECTIONS = [
+  { title: 'Reminders', keys: BUILT_IN_REMINDERS.flatMap(({ id }) => [`${id}Enabled`, `${id}Interval`, `${id}JitterPercent`]) },
+  { title: 'Blink break', keys: ['blinkBreakWindowEnabled', 'blinkBreakSeconds'] },
+  { title: 'Notifications', keys: ['soundEnabled', 'snoozeMinutes', 'escalationRepeats', 'escalationMinutes'] },
+  { title: 'Toolbar badge', keys: ['badgeMode'] },
+  { title: 'Away', keys: ['idlePauseEnabled', 'idleThresholdMinutes'] },
+  { title: 'Pomodoro', keys: ['pomodoroWorkMinutes', 'pomodoroShortBreakMinutes', 'pomodoroLongBreakMinutes', 'pomodoroCyclesBeforeLongBreak'] },
+  { title: 'Hydration', keys: ['waterGoalMl', 'waterGlassMl', 'waterUnit'] }
+];
+
+function showStatus(message, isError = false, elementId = 'backupStatus') {
+  const status = document.getElementById(elementId);
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Sends the full stored settings to background.js so alarms pick up changes.
+ */
+function reapplyAlarms() {
+  chrome.storage.sync.get(SETTINGS_KEYS, (settings) => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+    chrome.runtime.sendMessage({ action: 'updateAlarms', settings }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to re-apply alarms:', chrome.runtime.lastError);
+      }
+    });
+  });
+}
+
+/**
+ * Reads a form control as the value type its schema entry expects.
+ * @param {HTMLInputElement|HTMLSelectElement} control - Form control.
+ * @param {object} definition - Schema entry.
+ * @returns {unknown}
+ */
+function readControlValue(control, definition) {
+  if (definition.type === 'boolean') {
+    return control.checked;
+  }
+  if (definition.type === 'integer') {
+    return control.value.trim() === '' ? NaN : Number(control.value);
+  }
+  if (definition.type === 'string') {
+    return control.value;
+  }
+  const option = definition.options.find((candidate) => String(candidate.value) === control.value);
+  return option ? option.value : control.value;
+}
+
+function writeControlValue(control, definition, value) {
+  if (definition.type === 'boolean') {
+    control.checked = value;
+  } else {
+    control.value = String(value);
+  }
+}
+
+function createSettingControl(key, definition) {
+  if (definition.type === 'enum') {
+    const select = document.createElement('select');
+    definition.options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.id = `setting-${key}`;
+    return select;
+  }
+  const input = document.createElement('input');
+  input.id = `setting-${key}`;
+  if (definition.type === 'boolean') {
+    input.type = 'checkbox';
+  } else {
+    input.type = 'number';
+    input.min = String(definition.min);
+    input.max = String(definition.max);
+    input.step = '1';
+  }
+  return input;
+}
+
+/**
+ * Validates and stores one changed setting, restoring the last saved value
+ * when the input is out of bounds.
+ * @param {string} key - Storage key.
+ * @param {HTMLInputElement|HTMLSelectElement} control - Form control.
+ * @param {{value: unknown}} saved - Last saved value, updated on success.
+ * @param {string} [statusId] - Element that shows the result.
+ */
+function saveSetting(key, control, saved, statusId = 'settingsStatus') {
+  const definition = SETTINGS_SCHEMA[key];
+  const value = readControlValue(control, definition);
+  if (!isValidSetting(key, value)) {
+    writeControlValue(control, definition, saved.value);
+    showStatus(describeSetting(key), true, statusId);
+    return;
+  }
+  chrome.storage.sync.set({ [key]: value }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to save setting:', chrome.runtime.lastError);
+      writeControlValue(control, definition, saved.value);
+      showStatus('Could not save the setting.', true, statusId);
+      return;
+    }
+    saved.value = value;
+    showStatus(`Saved: ${definition.label}.`, false, statusId);
+    reapplyAlarms();
+  });
+}
+
+function renderSettingsForm(settings) {
+  const form = document.getElementById('settingsForm');
+  form.replaceChildren();
+  SETTINGS_SECTIONS.forEach(({ title, keys }) => {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+
+    keys.forEach((key) => {
+      const definition = SETTINGS_SCHEMA[key];
+      const row = document.createElement('label');
+      row.className = 'setting-row';
+      row.htmlFor = `setting-${key}`;
+      const text = document.createElement('span');
+      text.textContent = definition.label;
+      const control = createSettingControl(key, definition);
+      const saved = { value: settings[key] };
+      writeControlValue(control, definition, saved.value);
+      control.addEventListener('change', () => saveSetting(key, control, saved));
+      row.append(text, control);
+      fieldset.appendChild(row);
+    });
+    form.appendChild(fieldset);
+  });
+}
+
+/**
+ * Parses a tip pool textarea, one tip per line. A pool matching the bundled
+ * tips is stored as null so it keeps following library updates.
+ * @param {string} type - Built-in reminder id.
+ * @param {string} text - Textarea contents.
+ * @returns {string[]|null}
+ */
+function parseTipPool(type, text) {
+  const tips = text.split('\n').map((line) => line.trim()).filter(Boolean);
+  const defaults = DEFAULT_TIPS[type];
+  const isDefault = tips.length === defaults.length && tips.every((tip, index) => tip === defaults[index]);
+  return isDefault ? null : tips;
+}
+
+function saveTipPool(type, tips, textarea) {
+  const key = `${type}Tips`;
+  if (!isValidSetting(key, tips)) {
+    showStatus(`Use 1 to ${MAX_TIPS_PER_TYPE} tips of at most ${MAX_TIP_LENGTH} characters each ` +
+      '(fewer or shorter tips if they use many non-Latin characters or emoji).', true, 'tipsStatus');
+    return;
+  }
+  chrome.storage.sync.set({ [key]: tips }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to save tips:', chrome.runtime.lastError);
+      showStatus('Could not save the tips.', true, 'tipsStatus');
+      return;
+    }
+    textarea.value = getTipPool(type, tips).join('\n');
+    showStatus(`Saved: ${SETTINGS_SCHEMA[key].label}.`, false, 'tipsStatus');
+  });
+}
+
+function renderTipsForm(settings) {
+  const form = document.getElementById('tipsForm');
+  form.replaceChildren();
+  BUILT_IN_REMINDERS.forEach(({ id, name, emoji }) => {
+    const pool = document.createElement('div');
+    pool.className = 'tip-pool';
+
+    const header = document.createElement('div');
+    header.className = 'tip-pool-header';
+    const label = document.createElement('label');
+    label.htmlFor = `tips-${id}`;
+    label.textContent = `${emoji} ${name}`;
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'page-button';
+    restoreButton.textContent = 'Restore built-in tips';
+    header.append(label, restoreButton);
+
+    const textarea = document.createElement('textarea');
+    textarea.id = `tips-${id}`;
+    textarea.rows = 6;
+    textarea.value = getTipPool(id, settings[`${id}Tips`]).join('\n');
+    textarea.addEventListener('change', () => saveTipPool(id, parseTipPool(id, textarea.value), textarea));
+    restoreButton.addEventListener('click', () => saveTipPool(id, null, textarea));
+
+    pool.append(header, textarea);
+    form.appendChild(pool);
+  });
+}
+
+/**
+ * Wires a percentage range input (`${key}Input`) and its value label
+ * (`${key}Value`) to an integer setting.
+ * @param {string} key - Storage key.
+ * @param {object} settings - Normalized settings.
+ * @param {string} statusId - Element that shows the result.
+ * @returns {HTMLInputElement} The range input.
+ */
+function renderRangeSetting(key, settings, statusId) {
+  const input = document.getElementById(`${key}Input`);
+  const valueLabel = document.getElementById(`${key}Value`);
+  const definition = SETTINGS_SCHEMA[key];
+  const saved = { value: settings[key] };
+  input.min = String(definition.min);
+  input.max = String(definition.max);
+  input.value = String(saved.value);
+  valueLabel.textContent = `${saved.value}%`;
+  input.oninput = () => { valueLabel.textContent = `${input.value}%`; };
+  input.onchange = () => saveSetting(key, input, saved, statusId);
+  return input;
+}
+
+function renderSoundForm(settings, customSound) {
+  const volumeInput = renderRangeSetting('soundVolume', settings, 'soundStatus');
+
+  document.getElementById('customSoundName').textContent = customSound?.name ?? 'none';
+  document.getElementById('removeSoundBtn').disabled = !customSound;
+
+  const form = document.getElementById('soundForm');
+  form.replaceChildren(...SOUND_SETTING_TYPES.map(({ id, name, emoji }) => {
+    const key = `${id}Sound`;
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+    row.htmlFor = `setting-${key}`;
+    const text = document.createElement('span');
+    text.textContent = `${emoji} ${name}`;
+
+    const select = createSettingControl(key, SETTINGS_SCHEMA[key]);
+    const fileOption = select.querySelector('option[value="file"]');
+    fileOption.disabled = !customSound;
+    const saved = { value: settings[key] };
+    writeControlValue(select, SETTINGS_SCHEMA[key], saved.value);
+    select.addEventListener('change', () => saveSetting(key, select, saved, 'soundStatus'));
+
+    const previewButton = document.createElement('button');
+    previewButton.className = 'page-button';
+    previewButton.textContent = '▶ Preview';
+    previewButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.sendMessage({
+        action: 'previewSound',
+        alarmName: id,
+        tone: select.value,
+        volume: Number(volumeInput.value)
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to preview sound:', chrome.runtime.lastError);
+        }
+      });
+    });
+
+    const picker = document.createElement('span');
+    picker.className = 'sound-picker';
+    picker.append(select, previewButton);
+    row.append(text, picker);
+    return row;
+  }));
+}
+
+/**
+ * Fills the voice picker with the voices installed in this browser. A saved
+ * voice that is missing here (for example one synced from another device)
+ * stays selectable so it is not overwritten by opening the page.
+ * @param {HTMLSelectElement} select - The voice picker.
+ * @param {string} savedVoice - The speechVoice setting.
+ */
+function renderVoiceOptions(select, savedVoice) {
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+  select.replaceChildren();
+  addOption('', 'Browser default');
+  if (!globalThis.speechSynthesis) {
+    select.value = savedVoice;
+    return;
+  }
+  loadVoices(globalThis.speechSynthesis).then((voices) => {
+    voices.forEach((voice) => addOption(voice.name, `${voice.name} (${voice.lang})`));
+    if (savedVoice && !voices.some((voice) => voice.name === savedVoice)) {
+      addOption(savedVoice, `${savedVoice} (not on this device)`);
+    }
+    select.value = savedVoice;
+  });
+}
+
+function renderSpeechForm(settings) {
+  const enabledToggle = document.getElementById('speechEnabledInput');
+  const savedEnabled = { value: settings.speechEnabled };
+  enabledToggle.checked = savedEnabled.value;
+  enabledToggle.onchange = () => saveSetting('speechEnabled', enabledToggle, savedEnabled, 'speechStatus');
+
+  const voiceSelect = document.getElementById('speechVoiceInput');
+  const savedVoice = { value: settings.speechVoice };
+  renderVoiceOptions(voiceSelect, savedVoice.value);
+  voiceSelect.onchange = () => saveSetting('speechVoice', voiceSelect, savedVoice, 'speechStatus');
+
+  const rateInput = renderRangeSetting('speechRate', settings, 'speechStatus');
+  const volumeInput = renderRangeSetting('speechVolume', settings, 'speechStatus');
+
+  document.getElementById('previewSpeechBtn').onclick = () => {
+    chrome.runtime.sendMessage({
+      action: 'previewSpeech',
+      text: SPEECH_PREVIEW_TEXT,
+      voice: voiceSelect.value,
+      rate: Number(rateInput.value),
+      volume: Number(volumeInput.value)
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to preview speech:', chrome.runtime.lastError);
+      }
+    });
+  };
+}
+
+/**
+ * Reads an uploaded audio file as a data URL after checking its size and
+ * length, so it fits in chrome.storage.local and stays a short alert.
+ * @param {File} file - The chosen file.
+ * @param {(result: {ok: true, dataUrl: string}|{ok: false, error: string}) => void} callback
+ */
+function readSoundFile(file, callback) {
+  if (!file.type.startsWith('audio/')) {
+    callback({ ok: false, error: 'Choose an audio file.' });
+    return;
+  }
+  if (file.size > CUSTOM_SOUND_MAX_BYTES) {
+    callback({ ok: false, error: `Sound files can be at most ${Math.round(CUSTOM_SOUND_MAX_BYTES / 1024)} KB.` });
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => {
+    const audio = new Audio(reader.result);
+    audio.onloadedmetadata = () => {
+      if (!(audio.duration <= CUSTOM_SOUND_MAX_SECONDS)) {
+        callback({ ok: false, error: `Sounds can be at most ${CUSTOM_SOUND_MAX_SECONDS} seconds long.` });
+        return;
+      }
+      callback({ ok: true, dataUrl: reader.result });
+    };
+    audio.onerror = () => callback({ ok: false, error: 'This audio file cannot be played.' });
+  };
+  reader.onerror = () => callback({ ok: false, error: 'Could not read the file.' });
+  reader.readAsDataURL(file);
+}
+
+function uploadSound(file) {
+  readSoundFile(file, (result) => {
+    if (!result.ok) {
+      showStatus(result.error, true, 'soundStatus');
+      return;
+    }
+    chrome.storage.local.set({ [CUSTOM_SOUND_STORAGE_KEY]: { name: file.name, dataUrl: result.dataUrl } }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save sound file:', chrome.runtime.lastError);
+        showStatus('Could not save the sound file.', true, 'soundStatus');
+        return;
+      }
+      showStatus(`Saved ${file.name}. Pick "My sound file" for the reminders that should use it.`, false, 'soundStatus');
+      loadSettingsForm();
+    });
+  });
+}
+
+/**
+ * Deletes the uploaded sound and moves reminders that used it back to the
+ * default sound.
+ */
+function removeSound() {
+  chrome.storage.sync.get(SETTINGS_KEYS, (stored) => {
+    if (chrome.runtime.lastError) {
+      showStatus('Could not read settings.', true, 'soundStatus');
+      return;
+    }
+    const { settings } = normalizeSettings(stored);
+    const resetItems = Object.fromEntries(SOUND_SETTING_TYPES
+      .filter(({ id }) => settings[`${id}Sound`] === 'file')
+      .map(({ id }) => [`${id}Sound`, SETTINGS_SCHEMA[`${id}Sound`].default]));
+    chrome.storage.sync.set(resetItems, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to reset sound settings:', chrome.runtime.lastError);
+      }
+      chrome.storage.local.remove([CUSTOM_SOUND_STORAGE_KEY], () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to remove sound file:', chrome.runtime.lastError);
+        }
+        showStatus('Sound file removed.', false, 'soundStatus');
+        loadSettingsForm();
+      });
+    });
+  });
+}
+
+function loadSettingsForm() {
+  document.getElementById('schemaVersion').textContent = String(SETTINGS_SCHEMA_VERSION);
+  chrome.storage.sync.get(SETTINGS_KEYS, (stored) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read settings:', chrome.runtime.lastError);
+      showStatus('Could not read settings.', true, 'settingsStatus');
+      return;
+    }
+    const { settings } = normalizeSettings(stored);
+    renderSettingsForm(settings);
+    renderSpeechForm(settings);
+    renderTipsForm(settings);
+    chrome.storage.local.get([CUSTOM_SOUND_STORAGE_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to read sound file:', chrome.runtime.lastError);
+      }
+      renderSoundForm(settings, result?.[CUSTOM_SOUND_STORAGE_KEY] ?? null);
+    });
+  });
+}
+
+/**
+ * Lists the extension's keyboard shortcuts with the keys currently assigned.
+ */
+function renderShortcuts() {
+  chrome.commands.getAll((commands) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read shortcuts:', chrome.runtime.lastError);
+      return;
+    }
+    const list = document.getElementById('shortcutList');
+    list.replaceChildren(...(commands ?? [])
+      .filter((command) => command.description)
+      .map((command) => {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+        const text = document.createElement('span');
+        text.textContent = command.description;
+        const keys = document.createElement('kbd');
+        keys.textContent = command.shortcut || 'Not set';
+        row.append(text, keys);
+        return row;
+      }));
+  });
+}
+
+/**
+ * Saves text as a file through a temporary object URL.
+ * @param {string} contents - File contents.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} type - MIME type.
+ */
+function downloadFile(contents, fileName, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Reads the stored history records.
+ * @param {(result: {waterHistory: object, reminderLog: Array}|null) => void} callback
+ */
+function loadHistory(callback) {
+  chrome.storage.local.get([WATER_HISTORY_STORAGE_KEY, REMINDER_LOG_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read history:', chrome.runtime.lastError);
+      callback(null);
+      return;
+    }
+    callback({
+      waterHistory: result[WATER_HISTORY_STORAGE_KEY] ?? {},
+      reminderLog: result[REMINDER_LOG_STORAGE_KEY] ?? []
+    });
+  });
+}
+
+function exportJson() {
+  chrome.storage.sync.get(SETTINGS_KEYS, (settings) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to read settings:', chrome.runtime.lastError);
+      showStatus('Could not read settings.', true);
+      return;
+    }
+    loadHistory((history) => {
+      if (!history) {
+        showStatus('Could not read history.', true);
+        return;
+      }
+      const backup = buildBackup(settings, history.waterHistory, history.reminderLog);
+      downloadFile(JSON.stringify(backup, null, 2), `recharge-backup-${formatDateKey(new Date())}.json`, 'application/json');
+      showStatus('Backup exported.');
+    });
+  });
+}
+
+function exportCsv(kind) {
+  loadHistory((history) => {
+    if (!history) {
+      showStatus('Could not read history.', true);
+      return;
+    }
+    const today = formatDateKey(new Date());
+    if (kind === 'reminders') {
+      downloadFile(reminderLogToCsv(history.reminderLog), `recharge-reminder-log-${today}.csv`, 'text/csv');
+    } else {
+      downloadFile(waterHistoryToCsv(history.waterHistory), `recharge-water-history-${today}.csv`, 'text/csv');
+    }
+  });
+}
+
+/**
+ * Stores a validated backup and re-applies alarms from the resulting settings.
+ * @param {{settings: object, waterHistory: object, reminderLog: Array}} backup
+ */
+function applyBackup(backup) {
+  chrome.storage.sync.set(backup.settings, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to save imported settings:', chrome.runtime.lastError);
+      showStatus('Could not save the imported settings.', true);
+      return;
+    }
+    loadHistory((history) => {
+      if (!history) {
+        showStatus('Settings imported, but history could not be read.', true);
+        return;
+      }
+      chrome.storage.local.set({
+        [WATER_HISTORY_STORAGE_KEY]: { ...history.waterHistory, ...backup.waterHistory },
+        [REMINDER_LOG_STORAGE_KEY]: mergeReminderLogs(history.reminderLog, backup.reminderLog)
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save imported history:', chrome.runtime.lastError);
+        }
+      });
+
+      reapplyAlarms();
+      loadSettingsForm();
+
+      showStatus(`Imported ${Object.keys(backup.settings).length} settings, ` +
+        `${Object.keys(backup.waterHistory).length} days of water history and ` +
+        `${backup.reminderLog.length} reminder log entries.`);
+    });
+  });
+}
+
+function importFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let data;
+    try {
+      data = JSON.parse(reader.result);
+    } catch {
+      showStatus('This file is not valid JSON.', true);
+      return;
+    }
+    const result = validateBackup(data);
+    if (!result.ok) {
+      showStatus(result.error, true);
+      return;
+    }
+    applyBackup(result.backup);
+  };
+  reader.onerror = () => showStatus('Could not read the file.', true);
+  reader.readAsText(file);
+}
+
+function initializeOptionsPage() {
+  loadSettingsForm();
+
+  const soundInput = document.getElementById('customSoundFile');
+  document.getElementById('uploadSoundBtn').addEventListener('click', () => soundInput.click());
+  soundInput.addEventListener('change', () => {
+    if (soundInput.files.length > 0) {
+      uploadSound(soundInput.files[0]);
+    }
+    soundInput.value = '';
+  });
+  document.getElementById('removeSoundBtn').addEventListener('click', removeSound);
+
+  renderShortcuts();
+  document.getElementById('editShortcutsBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: SHORTCUTS_PAGE_URL });
+  });
+
+  document.getElementById('exportJsonBtn').addEventListener('click', exportJson);
+  document.getElementById('exportReminderCsvBtn').addEventListener('click', () => exportCsv('reminders'));
+  document.getElementById('exportWaterCsvBtn').addEventListener('click', () => exportCsv('water'));
+
+  const fileInput = document.getElementById('importFile');
+  document.getElementById('importBtn').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) {
+      importFile(fileInput.files[0]);
+    }
+    fileInput.value = '';
+  });
+}
+
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeOptionsPage);
+  } else {
+    initializeOptionsPage();
+  }
+}
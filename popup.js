@@ -2,53 +2,570 @@
  * popup.js - Popup UI for Recharge Chrome Extension
  *
  * Renders settings interface, persists to chrome.storage.sync, and handles
- * real-time updates for water log counter and one-time timer countdown.
+ * real-time updates for water log counter and one-time timer countdowns.
  *
  * Key patterns:
- * - Settings save immediately on any input change
- * - Receives 'timerComplete' and 'waterLogged' messages from background
+ * - Settings save immediately on any input change and are validated against
+ *   SETTINGS_SCHEMA from settings-schema.js
+ * - Reminder cards are rendered from BUILT_IN_REMINDERS plus custom reminders
+ * - Clock reminders (fixed times of day) get their own cards and add form;
+ *   background.js arms their alarms when settings are saved
+ * - One-time timers are started, listed and cancelled through background.js,
+ *   which owns their stored list and sends it as 'oneTimeTimersChanged';
+ *   paused timers show their frozen time left
+ * - Receives 'oneTimeTimersChanged', 'waterLogged', 'pomodoroPhaseChanged'
+ *   and 'remindersResumed' messages from background
  */
 
 // Import shared constants
 import {
   ONE_TIME_MIN,
   ONE_TIME_MAX,
+  MAX_ONE_TIME_TIMERS,
+  ONE_TIME_LABEL_MAX_LENGTH,
   REPEATING_INTERVAL_MIN,
   REPEATING_INTERVAL_MAX,
-  DEFAULT_BLINK_INTERVAL,
-  DEFAULT_WATER_INTERVAL,
-  DEFAULT_UP_INTERVAL,
-  DEFAULT_STRETCH_INTERVAL,
-  DEFAULT_SOUND_ENABLED,
-  DEFAULT_BLINK_ENABLED,
-  DEFAULT_WATER_ENABLED,
-  DEFAULT_UP_ENABLED,
-  DEFAULT_STRETCH_ENABLED
+  BUILT_IN_REMINDERS,
+  CUSTOM_REMINDERS_STORAGE_KEY,
+  CUSTOM_REMINDER_ID_PREFIX,
+  MAX_CUSTOM_REMINDERS,
+  CUSTOM_REMINDER_NAME_MAX_LENGTH,
+  CUSTOM_REMINDER_MESSAGE_MAX_LENGTH,
+  DEFAULT_CUSTOM_REMINDER_EMOJI,
+  DEFAULT_CUSTOM_REMINDER_INTERVAL,
+  JITTER_PERCENT_OPTIONS,
+  DEFAULT_JITTER_PERCENT,
+  CLOCK_REMINDERS_STORAGE_KEY,
+  CLOCK_REMINDER_ID_PREFIX,
+  MAX_CLOCK_REMINDERS,
+  MAX_CLOCK_REMINDER_TIMES,
+  CLOCK_REMINDER_REPEATS,
+  DEFAULT_CLOCK_REMINDER_EMOJI,
+  WORK_SCHEDULE_STORAGE_KEY,
+  DEFAULT_WORK_SCHEDULE,
+  POMODORO_SETTINGS,
+  WATER_VOLUME_SETTINGS,
+  ML_PER_FL_OZ
 } from './constants.js';
+import {
+  isValidInterval,
+  parseIntervalText,
+  isValidCustomReminder,
+  fitsSyncItem,
+  isValidClockReminder,
+  isValidWorkSchedule
+} from './validation.js';
+import {
+  SETTINGS_KEYS,
+  isValidSetting,
+  describeSetting,
+  getSetting,
+  normalizeSettings
+} from './settings-schema.js';
+import { getTimerTitle, isTimerPaused, getTimerRemainingMs } from './timers.js';
+import { formatClockSchedule, parseClockTimes } from './clock-reminders.js';
 
 // Local-only state keys (do not sync across devices).
-const ONE_TIME_STATE_STORAGE_KEY = 'oneTimeStateV1';
 const SOUND_SUPPORT_STORAGE_KEY = 'soundPlaybackSupportedV1';
+const SPEECH_SUPPORT_STORAGE_KEY = 'speechPlaybackSupportedV1';
 const ONE_TIME_LAST_MINUTES_STORAGE_KEY = 'oneTimeLastMinutesV1';
+const POMODORO_STATE_STORAGE_KEY = 'pomodoroStateV1';
+const POMODORO_ALARM_NAME = 'pomodoro';
+const PAUSE_STATE_STORAGE_KEY = 'pauseStateV1';
+
+// Custom reminder definitions loaded from sync; enabled/interval are refreshed
+// from the rendered cards on save.
+let customReminders = [];
+// Clock reminder definitions loaded from sync; enabled is refreshed from the
+// rendered cards on save.
+let clockReminders = [];
+
+// Next fire time per reminder alarm, from chrome.alarms. Cards re-render from
+// this every second and it is re-read every few seconds, since alarms are
+// recreated by the service worker when they fire.
+const upcomingReminders = new Map();
+const UPCOMING_REFRESH_SECONDS = 5;
+// Jitter percentage per repeating reminder; jittered cards show the exact
+// next time, since it no longer follows from the interval.
+const jitterPercents = new Map();
+
+// Today's water totals plus the goal/unit they are displayed against.
+const waterProgress = {
+  count: 0,
+  volumeMl: 0,
+  goalMl: getSetting({}, 'waterGoalMl'),
+  unit: getSetting({}, 'waterUnit')
+};
+
+/**
+ * Returns every reminder shown as a card: built-in first, then custom.
+ * @returns {{id: string, name: string, emoji: string}[]}
+ */
+function getReminderDefinitions() {
+  return [...BUILT_IN_REMINDERS, ...customReminders];
+}
 
 // Initialize slider min/max attributes from constants
 function initializeSliderConstraints() {
-  // Repeating interval sliders (blink, water, up, stretch)
-  const repeatingSliderIds = ['blinkInterval', 'waterInterval', 'upInterval', 'stretchInterval'];
-  repeatingSliderIds.forEach(id => {
-    const element = document.getElementById(id);
+  // Repeating interval sliders (built-in and custom reminders)
+  getReminderDefinitions().forEach(({ id }) => {
+    const element = document.getElementById(`${id}Interval`);
     if (element) {
       element.min = REPEATING_INTERVAL_MIN;
       element.max = REPEATING_INTERVAL_MAX;
     }
   });
 
+  // Pomodoro duration inputs
+  Object.entries(POMODORO_SETTINGS).forEach(([id, { min, max }]) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.min = min;
+      element.max = max;
+    }
+  });
+
   // One-time timer slider
   const oneTimeSlider = document.getElementById('oneTimeInterval');
   if (oneTimeSlider) {
     oneTimeSlider.min = ONE_TIME_MIN;
     oneTimeSlider.max = ONE_TIME_MAX;
   }
+  const timerLabelInput = document.getElementById('timerLabelInput');
+  if (timerLabelInput) {
+    timerLabelInput.maxLength = ONE_TIME_LABEL_MAX_LENGTH;
+  }
+}
+
+/**
+ * Renders a reminder card from #reminderCardTemplate and appends it to the list.
+ * @param {{id: string, name: string, emoji: string}} definition
+ */
+function renderReminderCard(definition) {
+  const template = document.getElementById('reminderCardTemplate');
+  const card = template.content.firstElementChild.cloneNode(true);
+  const { id } = definition;
+
+  card.dataset.reminderId = id;
+  card.querySelector('.reminder-title').textContent = `${definition.emoji || DEFAULT_CUSTOM_REMINDER_EMOJI} ${definition.name}`;
+
+  const toggle = card.querySelector('.reminder-toggle');
+  toggle.id = `${id}Toggle`;
+  toggle.addEventListener('change', saveSettings);
+
+  const slider = card.querySelector('.reminder-interval');
+  slider.id = `${id}Interval`;
+  slider.min = REPEATING_INTERVAL_MIN;
+  slider.max = REPEATING_INTERVAL_MAX;
+  slider.addEventListener('input', updateDisplayValues);
+  slider.addEventListener('change', saveSettings);
+
+  const valueInput = card.querySelector('.reminder-value');
+  valueInput.id = `${id}Value`;
+  valueInput.addEventListener('change', () => applyTypedInterval(id));
+
+  const header = card.querySelector('.reminder-header');
+  if (id === 'water') {
+    const badge = document.createElement('div');
+    badge.className = 'water-log-badge';
+    badge.id = 'waterLogBadge';
+    badge.textContent = '0';
+    header.insertBefore(badge, header.querySelector('.switch'));
+  }
+
+  card.querySelector('.reminder-fire').addEventListener('click', () => runReminderAction('fireReminderNow', id));
+  card.querySelector('.reminder-skip').addEventListener('click', () => runReminderAction('skipNextReminder', id));
+  card.querySelector('.reminder-restart').addEventListener('click', () => runReminderAction('restartReminder', id));
+
+  if (id.startsWith(CUSTOM_REMINDER_ID_PREFIX)) {
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'icon-button';
+    deleteButton.title = 'Delete reminder';
+    deleteButton.textContent = '✕';
+    deleteButton.addEventListener('click', () => deleteCustomReminder(id));
+    header.insertBefore(deleteButton, header.querySelector('.switch'));
+  }
+
+  document.getElementById('reminderCards').appendChild(card);
+}
+
+/**
+ * Renders all reminder cards and applies stored toggle/interval values.
+ * @param {object} result - Settings read from chrome.storage.sync.
+ */
+function renderReminderCards(result) {
+  document.getElementById('reminderCards').replaceChildren();
+
+  BUILT_IN_REMINDERS.forEach((definition) => {
+    renderReminderCard(definition);
+    document.getElementById(`${definition.id}Toggle`).checked = result[`${definition.id}Enabled`] ?? definition.defaultEnabled;
+    document.getElementById(`${definition.id}Interval`).value = result[`${definition.id}Interval`] ?? definition.defaultInterval;
+    jitterPercents.set(definition.id, result[`${definition.id}JitterPercent`] ?? DEFAULT_JITTER_PERCENT);
+  });
+
+  customReminders.forEach((reminder) => {
+    renderReminderCard(reminder);
+    document.getElementById(`${reminder.id}Toggle`).checked = Boolean(reminder.enabled);
+    document.getElementById(`${reminder.id}Interval`).value = reminder.interval;
+    jitterPercents.set(reminder.id, reminder.jitterPercent ?? DEFAULT_JITTER_PERCENT);
+  });
+
+  updateDisplayValues();
+}
+
+/**
+ * Renders a card per clock reminder from #clockReminderCardTemplate.
+ */
+function renderClockReminderCards() {
+  const template = document.getElementById('clockReminderCardTemplate');
+  document.getElementById('clockReminderCards').replaceChildren(...clockReminders.map((reminder) => {
+    const card = template.content.firstElementChild.cloneNode(true);
+    card.dataset.reminderId = reminder.id;
+    card.querySelector('.reminder-title').textContent = `${reminder.emoji || DEFAULT_CLOCK_REMINDER_EMOJI} ${reminder.name}`;
+    card.querySelector('.clock-reminder-schedule').textContent = formatClockSchedule(reminder);
+
+    const toggle = card.querySelector('.reminder-toggle');
+    toggle.id = `${reminder.id}Toggle`;
+    toggle.checked = Boolean(reminder.enabled);
+    toggle.addEventListener('change', saveSettings);
+    card.querySelector('.clock-reminder-delete').addEventListener('click', () => deleteClockReminder(reminder.id));
+    card.querySelector('.reminder-fire').addEventListener('click', () => runReminderAction('fireReminderNow', reminder.id));
+    card.querySelector('.reminder-skip').addEventListener('click', () => runReminderAction('skipNextReminder', reminder.id));
+    return card;
+  }));
+  renderUpcomingReminders();
+}
+
+/**
+ * Describes when a reminder fires next, for its card.
+ * @param {number|undefined} scheduledTime - The alarm's scheduledTime, if any.
+ * @param {number} now - Current time (epoch milliseconds).
+ * @param {boolean} enabled - Whether the reminder is switched on.
+ * @param {number} [jitterPercent] - The reminder's jitter; when set, the
+ *   clock time is always shown.
+ * @returns {string}
+ */
+function formatNextReminder(scheduledTime, now, enabled, jitterPercent = 0) {
+  if (!enabled) {
+    return 'Off';
+  }
+  if (typeof scheduledTime !== 'number') {
+    return 'Not scheduled';
+  }
+  const remaining = scheduledTime - now;
+  if (remaining < 60000) {
+    return 'Next in less than a minute';
+  }
+  if (jitterPercent > 0) {
+    return `Next at ${formatUpcomingTime(scheduledTime)} (±${jitterPercent}%)`;
+  }
+  const minutes = Math.ceil(remaining / 60000);
+  return minutes < 60 ? `Next in ${minutes} min` : `Next at ${formatUpcomingTime(scheduledTime)}`;
+}
+
+/**
+ * Updates the "Next in" line and action buttons on every reminder card.
+ */
+function renderUpcomingReminders() {
+  const now = Date.now();
+  document.querySelectorAll('#reminderCards [data-reminder-id]').forEach((card) => {
+    const id = card.dataset.reminderId;
+    const enabled = document.getElementById(`${id}Toggle`)?.checked ?? false;
+    const scheduledTime = upcomingReminders.get(id);
+    card.querySelector('.reminder-next-text').textContent = formatNextReminder(scheduledTime, now, enabled, jitterPercents.get(id));
+    card.querySelector('.reminder-skip').disabled = !enabled || scheduledTime === undefined;
+    card.querySelector('.reminder-restart').disabled = !enabled;
+  });
+  document.querySelectorAll('#clockReminderCards [data-reminder-id]').forEach((card) => {
+    const id = card.dataset.reminderId;
+    const enabled = document.getElementById(`${id}Toggle`)?.checked ?? false;
+    const scheduledTime = upcomingReminders.get(id);
+    card.querySelector('.reminder-next-text').textContent = formatNextReminder(scheduledTime, now, enabled);
+    card.querySelector('.reminder-skip').disabled = !enabled || scheduledTime === undefined;
+  });
+}
+
+/**
+ * Re-reads reminder alarms and re-renders the cards.
+ */
+function refreshUpcomingReminders() {
+  chrome.alarms.getAll((alarms) => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+    const ids = new Set([...getReminderDefinitions(), ...clockReminders].map(({ id }) => id));
+    upcomingReminders.clear();
+    (alarms ?? [])
+      .filter((alarm) => ids.has(alarm.name))
+      .forEach((alarm) => upcomingReminders.set(alarm.name, alarm.scheduledTime));
+    renderUpcomingReminders();
+  });
+}
+
+/**
+ * Asks the service worker to fire, skip or restart a reminder.
+ * @param {'fireReminderNow'|'skipNextReminder'|'restartReminder'} action
+ * @param {string} id - Reminder id (alarm name).
+ */
+function runReminderAction(action, id) {
+  chrome.runtime.sendMessage({ action, type: id }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      console.error(`Failed to ${action}:`, chrome.runtime.lastError ?? response?.error);
+    }
+    refreshUpcomingReminders();
+  });
+}
+
+/**
+ * Adds a custom reminder from the popup form and saves settings.
+ * @param {SubmitEvent} event
+ */
+function addCustomReminder(event) {
+  event.preventDefault();
+
+  if (customReminders.length >= MAX_CUSTOM_REMINDERS) {
+    alert(`You can add up to ${MAX_CUSTOM_REMINDERS} custom reminders.`);
+    return;
+  }
+
+  const nameInput = document.getElementById('customReminderName');
+  const emojiInput = document.getElementById('customReminderEmoji');
+  const messageInput = document.getElementById('customReminderMessage');
+  const intervalInput = document.getElementById('customReminderInterval');
+  const jitterSelect = document.getElementById('customReminderJitter');
+
+  const name = nameInput.value.trim();
+  const reminder = {
+    id: `${CUSTOM_REMINDER_ID_PREFIX}${Date.now()}`,
+    name,
+    emoji: emojiInput.value.trim() || DEFAULT_CUSTOM_REMINDER_EMOJI,
+    message: messageInput.value.trim() || `Time for: ${name}`,
+    interval: parseIntervalText(intervalInput.value),
+    enabled: true,
+    jitterPercent: Number(jitterSelect.value)
+  };
+
+  if (!isValidCustomReminder(reminder)) {
+    alert(`Invalid reminder. Name must be 1-${CUSTOM_REMINDER_NAME_MAX_LENGTH} characters, message at most ${CUSTOM_REMINDER_MESSAGE_MAX_LENGTH} characters, and interval between ${formatIntervalText(REPEATING_INTERVAL_MIN)} and ${formatIntervalText(REPEATING_INTERVAL_MAX)} (e.g. 45m or 1h30).`);
+    return;
+  }
+
+  saveSettings({
+    customReminders: [...customReminders, reminder],
+    onSaved: () => {
+      renderReminderCard(reminder);
+      document.getElementById(`${reminder.id}Toggle`).checked = true;
+      document.getElementById(`${reminder.id}Interval`).value = reminder.interval;
+      jitterPercents.set(reminder.id, reminder.jitterPercent);
+      updateDisplayValues();
+
+      nameInput.value = '';
+      emojiInput.value = '';
+      messageInput.value = '';
+      intervalInput.value = formatIntervalText(DEFAULT_CUSTOM_REMINDER_INTERVAL);
+      jitterSelect.value = String(DEFAULT_JITTER_PERCENT);
+    }
+  });
+}
+
+/**
+ * Removes a custom reminder card and saves settings so its alarm is cleared.
+ * @param {string} id - The custom reminder id.
+ */
+function deleteCustomReminder(id) {
+  saveSettings({
+    customReminders: customReminders.filter((reminder) => reminder.id !== id),
+    onSaved: () => document.querySelector(`[data-reminder-id="${id}"]`)?.remove()
+  });
+}
+
+/**
+ * Adds a clock reminder from the popup form and saves settings.
+ * @param {SubmitEvent} event
+ */
+function addClockReminder(event) {
+  event.preventDefault();
+
+  if (clockReminders.length >= MAX_CLOCK_REMINDERS) {
+    alert(`You can add up to ${MAX_CLOCK_REMINDERS} clock reminders.`);
+    return;
+  }
+
+  const nameInput = document.getElementById('clockReminderName');
+  const emojiInput = document.getElementById('clockReminderEmoji');
+  const messageInput = document.getElementById('clockReminderMessage');
+  const timesInput = document.getElementById('clockReminderTimes');
+  const repeatSelect = document.getElementById('clockReminderRepeat');
+
+  const name = nameInput.value.trim();
+  const reminder = {
+    id: `${CLOCK_REMINDER_ID_PREFIX}${Date.now()}`,
+    name,
+    emoji: emojiInput.value.trim() || DEFAULT_CLOCK_REMINDER_EMOJI,
+    message: messageInput.value.trim() || `Time for: ${name}`,
+    times: parseClockTimes(timesInput.value),
+    repeat: repeatSelect.value,
+    days: repeatSelect.value === 'days'
+      ? Array.from(document.querySelectorAll('.clock-reminder-day'))
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => Number(checkbox.value))
+        .sort()
+      : [],
+    enabled: true
+  };
+
+  if (!isValidClockReminder(reminder)) {
+    alert(`Invalid clock reminder. Name must be 1-${CUSTOM_REMINDER_NAME_MAX_LENGTH} characters, message at most ${CUSTOM_REMINDER_MESSAGE_MAX_LENGTH} characters, times 1-${MAX_CLOCK_REMINDER_TIMES} values like 09:55, and chosen days at least one day.`);
+    return;
+  }
+
+  saveSettings({
+    clockReminders: [...clockReminders, reminder],
+    onSaved: () => {
+      renderClockReminderCards();
+
+      nameInput.value = '';
+      emojiInput.value = '';
+      messageInput.value = '';
+      timesInput.value = '';
+    }
+  });
+}
+
+/**
+ * Removes a clock reminder card and saves settings so its alarm is cleared.
+ * @param {string} id - The clock reminder id.
+ */
+function deleteClockReminder(id) {
+  saveSettings({
+    clockReminders: clockReminders.filter((reminder) => reminder.id !== id),
+    onSaved: renderClockReminderCards
+  });
+}
+
+/**
+ * Fills the clock reminder repeat picker; day checkboxes only show for
+ * 'Chosen days'.
+ */
+function initializeClockReminderForm() {
+  const repeatSelect = document.getElementById('clockReminderRepeat');
+  repeatSelect.replaceChildren(...CLOCK_REMINDER_REPEATS.map(({ id, name }) => new Option(name, id)));
+  repeatSelect.addEventListener('change', () => {
+    document.getElementById('clockReminderDays').hidden = repeatSelect.value !== 'days';
+  });
+  document.getElementById('clockReminderForm').addEventListener('submit', addClockReminder);
+}
+
+/**
+ * Applies a stored working-hours schedule to the schedule form.
+ * @param {object} schedule - The stored schedule (falls back to defaults).
+ */
+function renderWorkSchedule(schedule) {
+  const value = { ...DEFAULT_WORK_SCHEDULE, ...(schedule ?? {}) };
+  document.getElementById('scheduleToggle').checked = Boolean(value.enabled);
+  document.querySelectorAll('.schedule-day').forEach((checkbox) => {
+    checkbox.checked = value.days.includes(Number(checkbox.value));
+  });
+  document.getElementById('scheduleStart').value = value.start;
+  document.getElementById('scheduleEnd').value = value.end;
+  document.getElementById('lunchToggle').checked = Boolean(value.lunchEnabled);
+  document.getElementById('lunchStart').value = value.lunchStart;
+  document.getElementById('lunchEnd').value = value.lunchEnd;
+}
+
+/**
+ * Reads the working-hours schedule from the schedule form.
+ * @returns {object}
+ */
+function readWorkScheduleFromForm() {
+  return {
+    enabled: document.getElementById('scheduleToggle').checked,
+    days: Array.from(document.querySelectorAll('.schedule-day'))
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => Number(checkbox.value))
+      .sort(),
+    start: document.getElementById('scheduleStart').value,
+    end: document.getElementById('scheduleEnd').value,
+    lunchEnabled: document.getElementById('lunchToggle').checked,
+    lunchStart: document.getElementById('lunchStart').value,
+    lunchEnd: document.getElementById('lunchEnd').value
+  };
+}
+
+/**
+ * Asks the service worker whether reminders are active and updates the banner.
+ */
+function refreshScheduleStatus() {
+  chrome.runtime.sendMessage({ action: 'getScheduleStatus' }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      return;
+    }
+    updateScheduleStatus(response);
+  });
+}
+
+/**
+ * Renders the working-hours status banner.
+ * @param {{scheduleEnabled: boolean, active: boolean, nextChange: number|null}} status
+ */
+function updateScheduleStatus(status) {
+  const banner = document.getElementById('scheduleStatus');
+  if (!banner) {
+    return;
+  }
+  if (!status.scheduleEnabled) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  banner.style.display = 'block';
+  banner.classList.toggle('inactive', !status.active);
+  const when = status.nextChange ? formatUpcomingTime(status.nextChange) : null;
+  if (status.active) {
+    banner.textContent = when ? `🟢 Reminders active until ${when}` : '🟢 Reminders active';
+  } else {
+    banner.textContent = when ? `🌙 Outside working hours, resumes ${when}` : '🌙 Outside working hours';
+  }
+}
+
+/**
+ * Renders the "Paused until" banner, or the pause controls when not paused.
+ * @param {{pausedUntil: number|null}|null} pauseState - The stored pause state.
+ */
+function updatePauseBanner(pauseState) {
+  const isPaused = Boolean(pauseState) &&
+    (pauseState.pausedUntil == null || pauseState.pausedUntil > Date.now());
+  document.getElementById('pauseBanner').style.display = isPaused ? 'flex' : 'none';
+  document.getElementById('pauseControls').style.display = isPaused ? 'none' : 'flex';
+  if (isPaused) {
+    document.getElementById('pauseBannerText').textContent = formatPauseBanner(pauseState);
+  }
+}
+
+/**
+ * Describes an active pause for the banner.
+ * @param {{pausedUntil: number|null}} pauseState - The stored pause state.
+ * @returns {string}
+ */
+function formatPauseBanner(pauseState) {
+  if (pauseState.pausedUntil == null) {
+    return '⏸️ Paused until you resume';
+  }
+  return `⏸️ Paused until ${formatUpcomingTime(pauseState.pausedUntil)}`;
+}
+
+/**
+ * Formats a timestamp as "HH:MM", prefixed with the weekday when not today.
+ * @param {number} time - Epoch milliseconds.
+ * @returns {string}
+ */
+function formatUpcomingTime(time) {
+  const date = new Date(time);
+  const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return clock;
+  }
+  return `${date.toLocaleDateString([], { weekday: 'short' })} ${clock}`;
 }
 
 function initializePopup() {
@@ -57,11 +574,35 @@ function initializePopup() {
 
   const startTimerBtn = document.getElementById('startTimerBtn');
   const oneTimeInterval = document.getElementById('oneTimeInterval');
+  const timerLabelInput = document.getElementById('timerLabelInput');
   const soundWarning = document.getElementById('soundWarning');
+  const speechWarning = document.getElementById('speechWarning');
   const oneTimeValue = document.getElementById('oneTimeValue');
 
-  let countdownInterval;
-  let oneTimeScheduledTime = null;
+  // Running and paused timers, least time left first, in the order of the
+  // #timerList rows
+  let oneTimeTimers = [];
+  const pomodoroBtn = document.getElementById('pomodoroBtn');
+  let pomodoroCountdownInterval;
+  let pomodoroScheduledTime = null;
+  let upcomingInterval;
+
+  function renderPomodoroState(state) {
+    clearInterval(pomodoroCountdownInterval);
+    if (!state) {
+      pomodoroScheduledTime = null;
+      pomodoroBtn.title = 'Start Pomodoro';
+      pomodoroBtn.textContent = 'Start';
+      document.getElementById('pomodoroStatus').textContent = 'Not running';
+      return;
+    }
+
+    pomodoroScheduledTime = state.scheduledTime;
+    pomodoroBtn.title = 'Stop Pomodoro';
+    document.getElementById('pomodoroStatus').textContent = formatPomodoroStatus(state);
+    updateButtonCountdown(pomodoroScheduledTime, 'pomodoroBtn');
+    pomodoroCountdownInterval = setInterval(() => updateButtonCountdown(pomodoroScheduledTime, 'pomodoroBtn'), 1000);
+  }
 
   function setOneTimeSliderValue(minutes) {
     const numericMinutes = Number(minutes);
@@ -75,24 +616,68 @@ function initializePopup() {
     }
   }
 
-  function clearCountdown() {
-    oneTimeScheduledTime = null;
-    clearInterval(countdownInterval);
-    startTimerBtn.disabled = false;
-    startTimerBtn.title = 'Start timer';
-    startTimerBtn.textContent = 'Start';
-    oneTimeInterval.disabled = false;
+  function renderTimers(timers) {
+    const now = Date.now();
+    oneTimeTimers = [...timers].sort((a, b) => getTimerRemainingMs(a, now) - getTimerRemainingMs(b, now));
+    const template = document.getElementById('timerRowTemplate');
+    document.getElementById('timerList').replaceChildren(...oneTimeTimers.map((timer) => {
+      const row = template.content.firstElementChild.cloneNode(true);
+      const isPaused = isTimerPaused(timer);
+      row.classList.toggle('paused', isPaused);
+      row.querySelector('.timer-title').textContent = getTimerTitle(timer);
+      const toggle = row.querySelector('.timer-toggle');
+      toggle.textContent = isPaused ? '▶' : '⏸';
+      toggle.title = isPaused ? 'Resume timer' : 'Pause timer';
+      toggle.addEventListener('click', () => setTimerPaused(timer.id, !isPaused));
+      row.querySelector('.timer-cancel').addEventListener('click', () => cancelTimer(timer.id));
+      return row;
+    }));
+    updateTimerCountdowns();
+
+    const isFull = oneTimeTimers.length >= MAX_ONE_TIME_TIMERS;
+    startTimerBtn.disabled = isFull;
+    startTimerBtn.title = isFull ? `Up to ${MAX_ONE_TIME_TIMERS} timers can run at once` : 'Start timer';
   }
 
-  function startCountdown(scheduledTime) {
-    oneTimeScheduledTime = scheduledTime;
-    startTimerBtn.disabled = false;
-    startTimerBtn.title = 'Stop timer';
-    oneTimeInterval.disabled = true;
+  function updateTimerCountdowns() {
+    const rows = document.getElementById('timerList').children;
+    oneTimeTimers.forEach((timer, index) => {
+      rows[index].querySelector('.timer-countdown').textContent = formatCountdown(getTimerRemainingMs(timer, Date.now()));
+    });
+  }
 
-    clearInterval(countdownInterval);
-    updateButtonCountdown(oneTimeScheduledTime);
-    countdownInterval = setInterval(() => updateButtonCountdown(oneTimeScheduledTime), 1000);
+  function refreshTimers() {
+    chrome.runtime.sendMessage({ action: 'getOneTimeTimers' }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error('Failed to load timers:', chrome.runtime.lastError ?? response?.error);
+        return;
+      }
+      renderTimers(response.timers);
+    });
+  }
+
+  function setTimerPaused(id, paused) {
+    const action = paused ? 'pauseOneTimeTimer' : 'resumeOneTimeTimer';
+    chrome.runtime.sendMessage({ action, id }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error(`Failed to ${paused ? 'pause' : 'resume'} timer:`, chrome.runtime.lastError ?? response?.error);
+        refreshTimers();
+        return;
+      }
+      renderTimers(response.timers);
+    });
+  }
+
+  function cancelTimer(id) {
+    renderTimers(oneTimeTimers.filter((timer) => timer.id !== id));
+    chrome.runtime.sendMessage({ action: 'cancelOneTimeTimer', id }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error('Failed to cancel timer:', chrome.runtime.lastError ?? response?.error);
+        refreshTimers();
+        return;
+      }
+      renderTimers(response.timers);
+    });
   }
 
   function updateSoundWarningVisibility(isSupported) {
@@ -102,61 +687,122 @@ function initializePopup() {
     soundWarning.style.display = isSupported === false ? 'block' : 'none';
   }
 
+  function updateSpeechWarningVisibility(isSupported) {
+    if (!speechWarning) {
+      return;
+    }
+    speechWarning.style.display = isSupported === false ? 'block' : 'none';
+  }
+
   // Load saved settings
   chrome.storage.sync.get([
-    'blinkEnabled', 'blinkInterval',
-    'waterEnabled', 'waterInterval',
-    'upEnabled', 'upInterval',
-    'stretchEnabled', 'stretchInterval',
-    'soundEnabled',
-    'waterLogCount', 'waterLogDate'
+    ...SETTINGS_KEYS,
+    'waterLogCount', 'waterLogDate', 'waterLogVolumeMl'
   ], (result) => {
     if (chrome.runtime.lastError) {
       console.error('Failed to load settings:', chrome.runtime.lastError);
       return;
     }
 
-    // Set toggle states
-    document.getElementById('blinkToggle').checked = result.blinkEnabled ?? DEFAULT_BLINK_ENABLED;
-    document.getElementById('waterToggle').checked = result.waterEnabled ?? DEFAULT_WATER_ENABLED;
-    document.getElementById('upToggle').checked = result.upEnabled ?? DEFAULT_UP_ENABLED;
-    document.getElementById('stretchToggle').checked = result.stretchEnabled ?? DEFAULT_STRETCH_ENABLED;
-    document.getElementById('soundToggle').checked = result.soundEnabled ?? DEFAULT_SOUND_ENABLED;
+    // Missing or invalid values fall back to the schema defaults
+    const { settings } = normalizeSettings(result);
 
-    // Set slider values
-    document.getElementById('blinkInterval').value = result.blinkInterval ?? DEFAULT_BLINK_INTERVAL;
-    document.getElementById('waterInterval').value = result.waterInterval ?? DEFAULT_WATER_INTERVAL;
-    document.getElementById('upInterval').value = result.upInterval ?? DEFAULT_UP_INTERVAL;
-    document.getElementById('stretchInterval').value = result.stretchInterval ?? DEFAULT_STRETCH_INTERVAL;
+    renderWorkSchedule(settings[WORK_SCHEDULE_STORAGE_KEY]);
+    Object.keys(POMODORO_SETTINGS).forEach((id) => {
+      document.getElementById(id).value = settings[id];
+    });
 
-    // Update display values
-    updateDisplayValues();
+    customReminders = settings[CUSTOM_REMINDERS_STORAGE_KEY];
+    clockReminders = settings[CLOCK_REMINDERS_STORAGE_KEY];
 
-    // Update water log counter
+    // Render reminder cards with their toggle states and slider values
+    renderReminderCards(settings);
+    renderClockReminderCards();
+    document.getElementById('soundToggle').checked = settings.soundEnabled;
+    document.getElementById('idlePauseToggle').checked = settings.idlePauseEnabled;
+    document.getElementById('snoozeMinutes').value = String(settings.snoozeMinutes);
+
+    renderHydrationSettings(settings);
+
+    // Update water log progress; counts logged before volumes were tracked
+    // are treated as one glass each.
     const today = new Date().toDateString();
     const waterLogDate = result.waterLogDate || '';
     const waterLogCount = (waterLogDate === today) ? (result.waterLogCount || 0) : 0;
+    const waterLogVolumeMl = (waterLogDate === today)
+      ? (result.waterLogVolumeMl ?? waterLogCount * settings.waterGlassMl)
+      : 0;
 
-    updateWaterLogBadge(waterLogCount);
+    updateWaterLogBadge(waterLogCount, waterLogVolumeMl);
+    refreshUpcomingReminders();
   });
 
-  chrome.storage.local.get([SOUND_SUPPORT_STORAGE_KEY], (result) => {
+  let upcomingTicks = 0;
+  upcomingInterval = setInterval(() => {
+    upcomingTicks += 1;
+    updateTimerCountdowns();
+    if (upcomingTicks % UPCOMING_REFRESH_SECONDS === 0) {
+      refreshUpcomingReminders();
+    } else {
+      renderUpcomingReminders();
+    }
+  }, 1000);
+
+  chrome.storage.local.get([SOUND_SUPPORT_STORAGE_KEY, SPEECH_SUPPORT_STORAGE_KEY], (result) => {
     if (chrome.runtime.lastError) {
       return;
     }
     updateSoundWarningVisibility(result?.[SOUND_SUPPORT_STORAGE_KEY]);
+    updateSpeechWarningVisibility(result?.[SPEECH_SUPPORT_STORAGE_KEY]);
   });
 
-  // Add event listeners for all inputs
-  const inputs = document.querySelectorAll('input');
-  inputs.forEach(input => {
+  // Add event listeners for static inputs (reminder cards wire their own)
+  document.getElementById('soundToggle').addEventListener('change', saveSettings);
+  document.getElementById('idlePauseToggle').addEventListener('change', saveSettings);
+  document.getElementById('snoozeMinutes').addEventListener('change', saveSettings);
+  document.getElementById('waterUnit').addEventListener('change', changeWaterUnit);
+  document.querySelectorAll('.hydration-input').forEach((input) => {
+    input.addEventListener('change', saveSettings);
+  });
+  document.getElementById('customReminderJitter').replaceChildren(...JITTER_PERCENT_OPTIONS.map((percent) => (
+    new Option(percent ? `±${percent}% jitter` : 'No jitter', percent, false, percent === DEFAULT_JITTER_PERCENT)
+  )));
+  document.getElementById('customReminderForm').addEventListener('submit', addCustomReminder);
+  initializeClockReminderForm();
+  document.querySelectorAll('.schedule-section input, .pomodoro-input').forEach((input) => {
     input.addEventListener('change', saveSettings);
   });
 
-  // Add event listeners for range inputs to update display values
-  const ranges = document.querySelectorAll('input[type="range"]');
-  ranges.forEach(range => {
-    range.addEventListener('input', updateDisplayValues);
+  refreshScheduleStatus();
+
+  chrome.storage.local.get([PAUSE_STATE_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+    updatePauseBanner(result?.[PAUSE_STATE_STORAGE_KEY] ?? null);
+  });
+
+  document.getElementById('pauseBtn').addEventListener('click', () => {
+    const preset = document.getElementById('pausePreset').value;
+    chrome.runtime.sendMessage({ action: 'pauseReminders', preset }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error('Failed to pause reminders:', chrome.runtime.lastError ?? response?.error);
+        return;
+      }
+      updatePauseBanner(response.pauseState);
+      refreshUpcomingReminders();
+    });
+  });
+
+  document.getElementById('resumeBtn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'resumeReminders' }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to resume reminders:', chrome.runtime.lastError);
+        return;
+      }
+      updatePauseBanner(null);
+      refreshUpcomingReminders();
+    });
   });
 
   // Add one-time timer functionality
@@ -170,106 +816,103 @@ function initializePopup() {
   });
 
   startTimerBtn.addEventListener('click', () => {
-    if (oneTimeScheduledTime) {
-      chrome.runtime.sendMessage({ action: 'cancelOneTimeTimer' }, () => {
-        // Ignore delivery errors (popup may be closing) and reset UI locally.
-      });
-      chrome.storage.local.remove([ONE_TIME_STATE_STORAGE_KEY], () => {});
-      clearCountdown();
-      return;
-    }
-
     const minutes = parseInt(oneTimeInterval.value);
     if (isNaN(minutes) || minutes < ONE_TIME_MIN || minutes > ONE_TIME_MAX) {
       alert(`Invalid timer value: ${minutes}. Must be between ${ONE_TIME_MIN} and ${ONE_TIME_MAX} minutes.`);
       return;
     }
 
-    // Clear any existing interval to prevent memory leaks
-    clearInterval(countdownInterval);
-
-    // Calculate end time
-    const endTime = Date.now() + minutes * 60 * 1000;
-    startCountdown(endTime);
-
-    chrome.storage.local.set({
-      [ONE_TIME_STATE_STORAGE_KEY]: { scheduledTime: endTime, durationMinutes: minutes },
-      [ONE_TIME_LAST_MINUTES_STORAGE_KEY]: minutes
-    }, () => {
-      // Ignore write errors; alarm state is still source-of-truth.
-    });
-
-    // Send message to create one-time alarm
+    chrome.storage.local.set({ [ONE_TIME_LAST_MINUTES_STORAGE_KEY]: minutes }, () => {});
+    startTimerBtn.disabled = true;
     chrome.runtime.sendMessage({
       action: 'createOneTimeTimer',
-      minutes: minutes
+      minutes,
+      label: timerLabelInput.value
     }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to create timer:', chrome.runtime.lastError);
-        // Re-enable button and reset countdown on failure
-        chrome.storage.local.remove([ONE_TIME_STATE_STORAGE_KEY], () => {});
-        clearCountdown();
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error('Failed to create timer:', chrome.runtime.lastError ?? response?.error);
+        if (response?.error === 'too_many_timers') {
+          alert(`Up to ${MAX_ONE_TIME_TIMERS} timers can run at once.`);
+        }
+        renderTimers(oneTimeTimers);
+        return;
       }
+      timerLabelInput.value = '';
+      renderTimers(response.timers);
     });
   });
 
-  // Restore one-time timer state when popup is opened.
-  chrome.storage.local.get([ONE_TIME_STATE_STORAGE_KEY, ONE_TIME_LAST_MINUTES_STORAGE_KEY], (result) => {
+  timerLabelInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !startTimerBtn.disabled) {
+      startTimerBtn.click();
+    }
+  });
+
+  pomodoroBtn.addEventListener('click', () => {
+    const action = pomodoroScheduledTime ? 'stopPomodoro' : 'startPomodoro';
+    pomodoroBtn.disabled = true;
+    chrome.runtime.sendMessage({ action }, (response) => {
+      pomodoroBtn.disabled = false;
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error(`Failed to ${action}:`, chrome.runtime.lastError ?? response?.error);
+        return;
+      }
+      renderPomodoroState(action === 'startPomodoro' ? response.state : null);
+    });
+  });
+
+  // Restore Pomodoro phase when popup is opened; the alarm is the source of truth.
+  chrome.storage.local.get([POMODORO_STATE_STORAGE_KEY], (result) => {
     if (chrome.runtime.lastError) {
       return;
     }
+    const storedState = result?.[POMODORO_STATE_STORAGE_KEY];
+    chrome.alarms.get(POMODORO_ALARM_NAME, (alarm) => {
+      if (storedState && alarm?.scheduledTime) {
+        renderPomodoroState({ ...storedState, scheduledTime: alarm.scheduledTime });
+        return;
+      }
+      if (storedState) {
+        chrome.storage.local.remove([POMODORO_STATE_STORAGE_KEY], () => {});
+      }
+      renderPomodoroState(null);
+    });
+  });
 
+  // Restore the last picked timer length and list the running timers.
+  chrome.storage.local.get([ONE_TIME_LAST_MINUTES_STORAGE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
     const lastMinutes = result?.[ONE_TIME_LAST_MINUTES_STORAGE_KEY];
     if (typeof lastMinutes === 'number') {
       setOneTimeSliderValue(lastMinutes);
     }
-
-    const storedState = result?.[ONE_TIME_STATE_STORAGE_KEY];
-    const storedScheduledTime = storedState?.scheduledTime;
-    const storedDurationMinutes = storedState?.durationMinutes;
-
-    chrome.alarms.get('oneTime', (alarm) => {
-      const now = Date.now();
-      const scheduledTime = alarm?.scheduledTime ?? storedScheduledTime;
-
-      if (typeof scheduledTime === 'number' && scheduledTime > now) {
-        if (typeof storedDurationMinutes === 'number') {
-          setOneTimeSliderValue(storedDurationMinutes);
-        } else {
-          const remainingMinutes = Math.ceil((scheduledTime - now) / 60000);
-          setOneTimeSliderValue(remainingMinutes);
-        }
-
-        startCountdown(scheduledTime);
-        chrome.storage.local.set({
-          [ONE_TIME_STATE_STORAGE_KEY]: {
-            scheduledTime,
-            durationMinutes: typeof storedDurationMinutes === 'number' ? storedDurationMinutes : undefined
-          }
-        }, () => {});
-        return;
-      }
-
-      chrome.storage.local.remove([ONE_TIME_STATE_STORAGE_KEY], () => {});
-      clearCountdown();
-    });
   });
+  refreshTimers();
 
-  // Listen for timer completion and water logged events
+  // Listen for timer changes and water logged events
   chrome.runtime.onMessage.addListener((message) => {
-    if (message.action === 'timerComplete') {
-      chrome.storage.local.remove([ONE_TIME_STATE_STORAGE_KEY], () => {});
-      clearCountdown();
+    if (message.action === 'oneTimeTimersChanged') {
+      renderTimers(message.timers);
     } else if (message.action === 'waterLogged') {
-      updateWaterLogBadge(message.count);
+      updateWaterLogBadge(message.count, message.volumeMl);
+    } else if (message.action === 'remindersResumed') {
+      updatePauseBanner(null);
+      refreshUpcomingReminders();
+    } else if (message.action === 'pomodoroPhaseChanged') {
+      renderPomodoroState(message.state);
     } else if (message.action === 'soundPlaybackUnsupported') {
       updateSoundWarningVisibility(false);
+    } else if (message.action === 'speechPlaybackUnsupported') {
+      updateSpeechWarningVisibility(false);
     }
   });
 
   // Clear interval when popup is closed
   window.addEventListener('unload', () => {
-    clearInterval(countdownInterval);
+    clearInterval(pomodoroCountdownInterval);
+    clearInterval(upcomingInterval);
   });
 }
 
@@ -282,67 +925,241 @@ if (typeof document !== 'undefined') {
 }
 
 function updateDisplayValues() {
-  document.getElementById('blinkValue').textContent = document.getElementById('blinkInterval').value;
-  document.getElementById('waterValue').textContent = document.getElementById('waterInterval').value;
-  document.getElementById('upValue').textContent = document.getElementById('upInterval').value;
-  document.getElementById('stretchValue').textContent = document.getElementById('stretchInterval').value;
+  getReminderDefinitions().forEach(({ id }) => {
+    const slider = document.getElementById(`${id}Interval`);
+    const value = document.getElementById(`${id}Value`);
+    if (slider && value) {
+      value.value = formatIntervalText(Number(slider.value));
+    }
+  });
+}
+
+/**
+ * Moves a reminder's slider to the interval typed next to it and saves, or
+ * restores the field when the value is malformed or out of range.
+ * @param {string} id - Reminder ID.
+ */
+function applyTypedInterval(id) {
+  const input = document.getElementById(`${id}Value`);
+  const minutes = parseIntervalText(input.value);
+  if (!isValidInterval(minutes)) {
+    alert(`Invalid interval: ${input.value}. Enter minutes or hours such as 45m or 1h30, between ${formatIntervalText(REPEATING_INTERVAL_MIN)} and ${formatIntervalText(REPEATING_INTERVAL_MAX)}.`);
+    updateDisplayValues();
+    return;
+  }
+  document.getElementById(`${id}Interval`).value = minutes;
+  updateDisplayValues();
+  saveSettings();
 }
 
-function updateWaterLogBadge(count) {
+/**
+ * Formats a reminder interval the way it can be typed back, e.g. "45m",
+ * "2h" or "1h30".
+ * @param {number} minutes - Whole minutes.
+ * @returns {string}
+ */
+function formatIntervalText(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) {
+    return `${rest}m`;
+  }
+  return rest === 0 ? `${hours}h` : `${hours}h${String(rest).padStart(2, '0')}`;
+}
+
+/**
+ * Shows today's water progress against the goal, e.g. "1.2 / 2.0 L".
+ * @param {number} count - Glasses logged today.
+ * @param {number} [volumeMl] - Volume logged today in millilitres.
+ */
+function updateWaterLogBadge(count, volumeMl = 0) {
+  waterProgress.count = count;
+  waterProgress.volumeMl = volumeMl;
   const badge = document.getElementById('waterLogBadge');
-  badge.textContent = count;
-  badge.style.display = count > 0 ? 'flex' : 'none';
+  if (!badge) {
+    return;
+  }
+  const { goalMl, unit } = waterProgress;
+  const percent = Math.min(100, Math.round((volumeMl / goalMl) * 100));
+  badge.textContent = formatWaterProgress(volumeMl, goalMl, unit);
+  badge.title = `${count} ${count === 1 ? 'glass' : 'glasses'} today`;
+  badge.style.setProperty('--progress', `${percent}%`);
+  badge.style.display = 'flex';
+}
+
+/**
+ * Formats logged volume against the goal: litres with one decimal, or whole fl oz.
+ * @param {number} volumeMl - Logged volume in millilitres.
+ * @param {number} goalMl - Daily goal in millilitres.
+ * @param {'ml'|'floz'} unit - Display unit.
+ * @returns {string}
+ */
+function formatWaterProgress(volumeMl, goalMl, unit) {
+  if (unit === 'floz') {
+    return `${toDisplayVolume(volumeMl, unit)} / ${toDisplayVolume(goalMl, unit)} fl oz`;
+  }
+  return `${(volumeMl / 1000).toFixed(1)} / ${(goalMl / 1000).toFixed(1)} L`;
+}
+
+// Hydration inputs show the selected unit; storage is always millilitres.
+function toDisplayVolume(volumeMl, unit) {
+  return Math.round(unit === 'floz' ? volumeMl / ML_PER_FL_OZ : volumeMl);
+}
+
+function fromDisplayVolume(value, unit) {
+  return Math.round(unit === 'floz' ? value * ML_PER_FL_OZ : value);
+}
+
+function renderHydrationSettings(settings) {
+  waterProgress.goalMl = getSetting(settings, 'waterGoalMl');
+  waterProgress.unit = getSetting(settings, 'waterUnit');
+  document.getElementById('waterUnit').value = waterProgress.unit;
+  document.getElementById('waterGoal').value = toDisplayVolume(waterProgress.goalMl, waterProgress.unit);
+  document.getElementById('waterGlass').value = toDisplayVolume(getSetting(settings, 'waterGlassMl'), waterProgress.unit);
+  document.querySelectorAll('.water-unit-label').forEach((label) => {
+    label.textContent = waterProgress.unit === 'floz' ? 'fl oz' : 'ml';
+  });
 }
 
 /**
- * Validates if a value is a valid repeating alarm interval (0-60 minutes).
- * @param {number} value - The interval value to validate.
- * @returns {boolean} True if valid, false otherwise.
+ * Converts the hydration inputs to the newly selected unit, then saves.
  */
-function isValidInterval(value) {
-  return !isNaN(value) && value >= REPEATING_INTERVAL_MIN && value <= REPEATING_INTERVAL_MAX;
+function changeWaterUnit() {
+  const unit = document.getElementById('waterUnit').value;
+  const previousUnit = waterProgress.unit;
+  ['waterGoal', 'waterGlass'].forEach((id) => {
+    const input = document.getElementById(id);
+    const value = parseFloat(input.value);
+    if (!isNaN(value)) {
+      input.value = toDisplayVolume(fromDisplayVolume(value, previousUnit), unit);
+    }
+  });
+  document.querySelectorAll('.water-unit-label').forEach((label) => {
+    label.textContent = unit === 'floz' ? 'fl oz' : 'ml';
+  });
+  saveSettings();
 }
 
-function saveSettings() {
-  const blinkInterval = parseInt(document.getElementById('blinkInterval').value);
-  const waterInterval = parseInt(document.getElementById('waterInterval').value);
-  const upInterval = parseInt(document.getElementById('upInterval').value);
-  const stretchInterval = parseInt(document.getElementById('stretchInterval').value);
+/**
+ * Saves every setting shown in the popup. Changed custom or clock reminder
+ * lists only replace the popup's copies once they are stored, so a failed save
+ * leaves the cards as they were.
+ * @param {{customReminders?: object[], clockReminders?: object[], onSaved?: () => void}} [changes] -
+ *   The new reminder lists, and what to update once they are saved.
+ */
+function saveSettings({
+  customReminders: nextCustomReminders = customReminders,
+  clockReminders: nextClockReminders = clockReminders,
+  onSaved
+} = {}) {
+  const waterUnit = document.getElementById('waterUnit').value;
+  const hydrationSettings = {};
+  for (const [id, inputId, label] of [['waterGoalMl', 'waterGoal', 'daily goal'], ['waterGlassMl', 'waterGlass', 'glass size']]) {
+    const { min, max } = WATER_VOLUME_SETTINGS[id];
+    const valueMl = fromDisplayVolume(parseFloat(document.getElementById(inputId).value), waterUnit);
+    if (isNaN(valueMl) || valueMl < min || valueMl > max) {
+      alert(`Invalid ${label}: must be between ${formatWaterVolumeLimit(min, waterUnit, Math.ceil)} and ${formatWaterVolumeLimit(max, waterUnit, Math.floor)}.`);
+      return;
+    }
+    hydrationSettings[id] = valueMl;
+  }
 
-  // Validate all interval values
-  if (!isValidInterval(blinkInterval) || !isValidInterval(waterInterval) ||
-      !isValidInterval(upInterval) || !isValidInterval(stretchInterval)) {
-    alert(`Invalid interval value detected. All intervals must be between ${REPEATING_INTERVAL_MIN} and ${REPEATING_INTERVAL_MAX} minutes.`);
+  const workSchedule = readWorkScheduleFromForm();
+  if (!isValidSetting(WORK_SCHEDULE_STORAGE_KEY, workSchedule)) {
+    alert('Invalid working hours. Pick at least one day, an end time after the start time, and a lunch break inside working hours.');
     return;
   }
 
+  const updatedCustomReminders = nextCustomReminders.map((reminder) => ({
+    ...reminder,
+    enabled: document.getElementById(`${reminder.id}Toggle`)?.checked ?? Boolean(reminder.enabled),
+    interval: parseInt(document.getElementById(`${reminder.id}Interval`)?.value ?? reminder.interval)
+  }));
+
+  const updatedClockReminders = nextClockReminders.map((reminder) => ({
+    ...reminder,
+    enabled: document.getElementById(`${reminder.id}Toggle`)?.checked ?? Boolean(reminder.enabled)
+  }));
+
   const settings = {
-    blinkEnabled: document.getElementById('blinkToggle').checked,
-    blinkInterval: blinkInterval,
-    waterEnabled: document.getElementById('waterToggle').checked,
-    waterInterval: waterInterval,
-    upEnabled: document.getElementById('upToggle').checked,
-    upInterval: upInterval,
-    stretchEnabled: document.getElementById('stretchToggle').checked,
-    stretchInterval: stretchInterval,
-    soundEnabled: document.getElementById('soundToggle').checked
+    ...Object.fromEntries(BUILT_IN_REMINDERS.flatMap(({ id }) => [
+      [`${id}Enabled`, document.getElementById(`${id}Toggle`).checked],
+      [`${id}Interval`, parseInt(document.getElementById(`${id}Interval`).value)]
+    ])),
+    soundEnabled: document.getElementById('soundToggle').checked,
+    idlePauseEnabled: document.getElementById('idlePauseToggle').checked,
+    snoozeMinutes: parseInt(document.getElementById('snoozeMinutes').value),
+    [CUSTOM_REMINDERS_STORAGE_KEY]: updatedCustomReminders,
+    [CLOCK_REMINDERS_STORAGE_KEY]: updatedClockReminders,
+    [WORK_SCHEDULE_STORAGE_KEY]: workSchedule,
+    ...Object.fromEntries(Object.keys(POMODORO_SETTINGS).map((id) => [id, parseInt(document.getElementById(id).value)])),
+    ...hydrationSettings,
+    waterUnit: waterUnit
   };
 
+  // Validate every value against the shared settings schema
+  const invalidKey = Object.keys(settings).find((key) => !isValidSetting(key, settings[key]));
+  if (invalidKey) {
+    alert(`Invalid setting. ${describeSetting(invalidKey)}`);
+    return;
+  }
+
   chrome.storage.sync.set(settings, () => {
     if (chrome.runtime.lastError) {
       console.error('Failed to save settings:', chrome.runtime.lastError);
+      alert('Could not save settings. Please try again.');
       return;
     }
-    chrome.runtime.sendMessage({ action: 'updateAlarms', settings });
+    customReminders = updatedCustomReminders;
+    clockReminders = updatedClockReminders;
+    onSaved?.();
+    waterProgress.goalMl = hydrationSettings.waterGoalMl;
+    waterProgress.unit = waterUnit;
+    updateWaterLogBadge(waterProgress.count, waterProgress.volumeMl);
+    chrome.runtime.sendMessage({ action: 'updateAlarms', settings }, () => {
+      if (chrome.runtime.lastError) {
+        return;
+      }
+      refreshScheduleStatus();
+      refreshUpcomingReminders();
+    });
   });
 }
 
-function updateButtonCountdown(endTime) {
-  const remaining = Math.max(0, endTime - Date.now());
+// Rounds fl oz limits inwards so the suggested value converts back within bounds.
+function formatWaterVolumeLimit(volumeMl, unit, round) {
+  return unit === 'floz' ? `${round(volumeMl / ML_PER_FL_OZ)} fl oz` : `${volumeMl} ml`;
+}
+
+function updateButtonCountdown(endTime, buttonId = 'startTimerBtn') {
+  document.getElementById(buttonId).textContent = formatCountdown(endTime - Date.now());
+}
+
+/**
+ * Formats the time left as m:ss, e.g. "44:05".
+ * @param {number} remainingMs - Negative values show as 0:00.
+ * @returns {string}
+ */
+function formatCountdown(remainingMs) {
+  const remaining = Math.max(0, remainingMs);
   const minutes = Math.floor(remaining / 60000);
   const seconds = Math.floor((remaining % 60000) / 1000);
-  const formattedTime = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  document.getElementById('startTimerBtn').textContent = formattedTime;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Describes the current Pomodoro phase and cycle count.
+ * @param {{phase: string, completedCycles: number, cyclesBeforeLongBreak: number}} state
+ * @returns {string}
+ */
+function formatPomodoroStatus(state) {
+  const completedCycles = Number(state.completedCycles) || 0;
+  if (state.phase === 'work') {
+    const cycles = Number(state.cyclesBeforeLongBreak) || POMODORO_SETTINGS.pomodoroCyclesBeforeLongBreak.default;
+    return `Focus · cycle ${(completedCycles % cycles) + 1} of ${cycles}`;
+  }
+  const label = state.phase === 'longBreak' ? 'Long break' : 'Short break';
+  return `${label} · ${completedCycles} ${completedCycles === 1 ? 'cycle' : 'cycles'} done`;
 }
 
 export {
@@ -350,6 +1167,15 @@ export {
   initializeSliderConstraints,
   updateDisplayValues,
   updateWaterLogBadge,
+  formatWaterProgress,
   isValidInterval,
-  updateButtonCountdown
+  isValidCustomReminder,
+  fitsSyncItem,
+  isValidWorkSchedule,
+  updateButtonCountdown,
+  formatCountdown,
+  formatIntervalText,
+  formatPomodoroStatus,
+  formatPauseBanner,
+  formatNextReminder
 };
@@ -0,0 +1,125 @@
+/**
+ * routine-library.js - Guided break routines for Recharge Chrome Extension
+ *
+ * Bundled stretch and movement routines, plus helpers to list them alongside
+ * the user's custom routines and pick the one selected for a reminder type.
+ */
+
+import { CUSTOM_ROUTINE_STORAGE_KEYS } from './constants.js';
+
+export const DEFAULT_ROUTINES = [
+  {
+    id: 'builtin_desk_stretch',
+    name: 'Desk stretch',
+    steps: [
+      { name: 'Neck tilts', seconds: 30, instructions: 'Tilt your ear towards each shoulder in turn. Hold each side for a few breaths.' },
+      { name: 'Shoulder rolls', seconds: 20, instructions: 'Roll your shoulders slowly backwards, then forwards.' },
+      { name: 'Chest opener', seconds: 20, instructions: 'Clasp your hands behind your back, lift your chest and squeeze your shoulder blades.' },
+      { name: 'Seated twist', seconds: 30, instructions: 'Sit tall and twist gently to one side, then the other. Keep your hips facing forward.' },
+      { name: 'Wrist stretch', seconds: 20, instructions: 'Extend one arm, palm up, and gently pull your fingers back. Switch arms halfway.' }
+    ]
+  },
+  {
+    id: 'builtin_standing_stretch',
+    name: 'Standing stretch',
+    steps: [
+      { name: 'Reach up', seconds: 20, instructions: 'Stand up, interlace your fingers and reach for the ceiling.' },
+      { name: 'Side bends', seconds: 30, instructions: 'Reach one arm overhead and lean to the opposite side. Switch sides halfway.' },
+      { name: 'Forward fold', seconds: 20, instructions: 'Bend your knees slightly and let your upper body hang towards the floor.' },
+      { name: 'Hip circles', seconds: 20, instructions: 'Hands on hips, draw slow circles in each direction.' }
+    ]
+  },
+  {
+    id: 'builtin_walk_break',
+    name: 'Walk break',
+    steps: [
+      { name: 'Stand up', seconds: 10, instructions: 'Push your chair back and stand up tall.' },
+      { name: 'Walk', seconds: 120, instructions: 'Walk around the room, down a corridor, or to refill your water.' },
+      { name: 'Calf raises', seconds: 30, instructions: 'Rise onto your toes and lower slowly. Repeat.' },
+      { name: 'Deep breaths', seconds: 20, instructions: 'Stand still, breathe in for four counts and out for six.' }
+    ]
+  },
+  {
+    id: 'builtin_energy_boost',
+    name: 'Quick energy boost',
+    steps: [
+      { name: 'March in place', seconds: 45, instructions: 'Lift your knees high and swing your arms.' },
+      { name: 'Arm circles', seconds: 30, instructions: 'Arms out to the sides, small circles forwards then backwards.' },
+      { name: 'Squats', seconds: 30, instructions: 'Feet shoulder-width apart, sit back as if onto a chair, then stand.' },
+      { name: 'Shake it out', seconds: 15, instructions: 'Shake out your hands, arms and legs.' }
+    ]
+  }
+];
+
+// Routine used for each reminder type until the user selects another
+export const DEFAULT_ROUTINE_BY_TYPE = {
+  stretch: 'builtin_desk_stretch',
+  up: 'builtin_walk_break'
+};
+
+/**
+ * Collects the custom routines from their storage slots, in slot order.
+ * @param {object} settings - Normalized settings.
+ * @returns {Array<object>}
+ */
+export function getCustomRoutines(settings) {
+  const ids = new Set();
+  return CUSTOM_ROUTINE_STORAGE_KEYS.map((key) => settings?.[key]).filter((routine) => {
+    const keep = Boolean(routine) && !ids.has(routine.id);
+    ids.add(routine?.id);
+    return keep;
+  });
+}
+
+/**
+ * Spreads a custom routine list over the storage slots. Unused slots are
+ * null so a shorter list clears the routines it no longer holds.
+ * @param {Array<object>} customRoutines - At most MAX_CUSTOM_ROUTINES routines.
+ * @returns {object} Items for chrome.storage.sync.set.
+ */
+export function toCustomRoutineItems(customRoutines) {
+  return Object.fromEntries(CUSTOM_ROUTINE_STORAGE_KEYS.map((key, index) => [key, customRoutines[index] ?? null]));
+}
+
+/**
+ * Returns the bundled routines followed by the user's custom ones.
+ * @param {Array<object>} customRoutines - From getCustomRoutines.
+ * @returns {Array<object>}
+ */
+export function getAllRoutines(customRoutines) {
+  return [...DEFAULT_ROUTINES, ...(Array.isArray(customRoutines) ? customRoutines : [])];
+}
+
+/**
+ * Finds the routine to run for a reminder type. A selection that no longer
+ * exists (e.g. a deleted custom routine) falls back to the type's default.
+ * @param {string} type - 'stretch' or 'up'.
+ * @param {string} selectedId - The stored `${type}Routine` setting.
+ * @param {Array<object>} customRoutines - From getCustomRoutines.
+ * @returns {object}
+ */
+export function getRoutineForType(type, selectedId, customRoutines) {
+  const routines = getAllRoutines(customRoutines);
+  return routines.find((routine) => routine.id === selectedId) ??
+    routines.find((routine) => routine.id === DEFAULT_ROUTINE_BY_TYPE[type]) ??
+    routines[0];
+}
+
+/**
+ * Total length of a routine in seconds.
+ * @param {{steps: Array<{seconds: number}>}} routine
+ * @returns {number}
+ */
+export function getRoutineDuration(routine) {
+  return routine.steps.reduce((total, step) => total + step.seconds, 0);
+}
+
+/**
+ * Formats seconds as m:ss.
+ * @param {number} seconds - Non-negative whole seconds.
+ * @returns {string}
+ */
+export function formatRoutineTime(seconds) {
+  const safeSeconds = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(safeSeconds / 60)}:${String(safeSeconds % 60).padStart(2, '0')}`;
+}
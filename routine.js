@@ -0,0 +1,384 @@
+/**
+ * routine.js - Guided break routine page for Recharge Chrome Extension
+ *
+ * Runs a routine step by step with a countdown per step. background.js plays
+ * a chime between steps through the offscreen document ('playRoutineChime')
+ * and records the break as done when the routine finishes ('routineCompleted').
+ * Opened from a stretch or movement notification, the page URL carries the
+ * reminder type and notification ID so that reminder is the one marked done.
+ */
+
+import {
+  ROUTINE_REMINDER_TYPES,
+  CUSTOM_ROUTINE_ID_PREFIX,
+  MAX_CUSTOM_ROUTINES,
+  MAX_ROUTINE_STEPS,
+  ROUTINE_NAME_MAX_LENGTH,
+  ROUTINE_INSTRUCTIONS_MAX_LENGTH,
+  ROUTINE_STEP_SECONDS
+} from './constants.js';
+import { isValidRoutine } from './validation.js';
+import { SETTINGS_KEYS, isValidSetting, getDefaultSetting, normalizeSettings } from './settings-schema.js';
+import {
+  getAllRoutines,
+  getCustomRoutines,
+  toCustomRoutineItems,
+  getRoutineForType,
+  getRoutineDuration,
+  formatRoutineTime
+} from './routine-library.js';
+
+const TIMER_TICK_MS = 250;
+const NEW_STEP_SECONDS = 30;
+
+/**
+ * Reads the reminder type and notification ID from the page URL.
+ * @param {string} search - location.search.
+ * @returns {{type: string, notificationId: string|null}}
+ */
+function parseRoutineParams(search) {
+  const params = new URLSearchParams(search);
+  const type = params.get('type');
+  return {
+    type: ROUTINE_REMINDER_TYPES.includes(type) ? type : ROUTINE_REMINDER_TYPES[0],
+    notificationId: params.get('notification')
+  };
+}
+
+/**
+ * Returns how much of a routine has elapsed, from 0 to 1.
+ * @param {{steps: Array<{seconds: number}>}} routine
+ * @param {number} stepIndex - Current step.
+ * @param {number} remainingMs - Time left in the current step.
+ * @returns {number}
+ */
+function getRoutineProgress(routine, stepIndex, remainingMs) {
+  const totalSeconds = getRoutineDuration(routine);
+  if (totalSeconds === 0) {
+    return 0;
+  }
+  const doneSeconds = routine.steps.slice(0, stepIndex).reduce((total, step) => total + step.seconds, 0);
+  const currentSeconds = routine.steps[stepIndex] ? routine.steps[stepIndex].seconds - remainingMs / 1000 : 0;
+  return Math.min(1, Math.max(0, (doneSeconds + currentSeconds) / totalSeconds));
+}
+
+function showStatus(elementId, message, isError = false) {
+  const status = document.getElementById(elementId);
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+function sendRuntimeMessage(message) {
+  chrome.runtime.sendMessage(message, () => {
+    if (chrome.runtime.lastError) {
+      console.error(`Failed to send ${message.action}:`, chrome.runtime.lastError);
+    }
+  });
+}
+
+function createStepEditorRow(step) {
+  const row = document.createElement('div');
+  row.className = 'routine-step-editor';
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'step-name-input';
+  name.placeholder = 'Step name';
+  name.maxLength = ROUTINE_NAME_MAX_LENGTH;
+  name.value = step.name;
+
+  const seconds = document.createElement('input');
+  seconds.type = 'number';
+  seconds.className = 'step-seconds-input';
+  seconds.min = String(ROUTINE_STEP_SECONDS.min);
+  seconds.max = String(ROUTINE_STEP_SECONDS.max);
+  seconds.value = String(step.seconds);
+  seconds.title = 'Seconds';
+
+  const instructions = document.createElement('input');
+  instructions.type = 'text';
+  instructions.className = 'step-instructions-input';
+  instructions.placeholder = 'Instructions';
+  instructions.maxLength = ROUTINE_INSTRUCTIONS_MAX_LENGTH;
+  instructions.value = step.instructions;
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'page-button';
+  remove.textContent = '✕';
+  remove.title = 'Remove step';
+  remove.addEventListener('click', () => row.remove());
+
+  row.append(name, seconds, instructions, remove);
+  return row;
+}
+
+function readStepEditorRows() {
+  return [...document.querySelectorAll('.routine-step-editor')].map((row) => ({
+    name: row.querySelector('.step-name-input').value.trim(),
+    seconds: Number(row.querySelector('.step-seconds-input').value),
+    instructions: row.querySelector('.step-instructions-input').value.trim()
+  }));
+}
+
+function initializeRoutinePage() {
+  const { type: initialType, notificationId } = parseRoutineParams(window.location.search);
+  let type = initialType;
+  let settings = normalizeSettings({}).settings;
+  let routine = getRoutineForType(type, null, []);
+  let stepIndex = 0;
+  let remainingMs = 0;
+  let endsAt = null;
+  let timerId = null;
+  let editingId = null;
+
+  const breakTypeSelect = document.getElementById('breakTypeSelect');
+  const routineSelect = document.getElementById('routineSelect');
+  const startButton = document.getElementById('startRoutineBtn');
+  const editor = document.getElementById('routineEditor');
+
+  function renderStep() {
+    const step = routine.steps[stepIndex];
+    document.getElementById('stepProgress').textContent = `Step ${stepIndex + 1} of ${routine.steps.length}`;
+    document.getElementById('stepName').textContent = step.name;
+    document.getElementById('stepInstructions').textContent = step.instructions;
+    document.querySelectorAll('#stepList li').forEach((item, index) => {
+      item.classList.toggle('current', index === stepIndex);
+      item.classList.toggle('done', index < stepIndex);
+    });
+    renderTimer();
+  }
+
+  function renderTimer() {
+    document.getElementById('stepTimer').textContent = formatRoutineTime(remainingMs / 1000);
+    document.getElementById('routineProgressBar').style.width = `${getRoutineProgress(routine, stepIndex, remainingMs) * 100}%`;
+  }
+
+  function stopTimer() {
+    clearInterval(timerId);
+    timerId = null;
+    endsAt = null;
+  }
+
+  function resetRun() {
+    stopTimer();
+    stepIndex = 0;
+    remainingMs = routine.steps[0].seconds * 1000;
+    startButton.textContent = 'Start';
+    startButton.disabled = false;
+    showStatus('routineStatus', `${routine.steps.length} steps · ${formatRoutineTime(getRoutineDuration(routine))}`);
+
+    const stepList = document.getElementById('stepList');
+    stepList.replaceChildren(...routine.steps.map((step) => {
+      const item = document.createElement('li');
+      item.textContent = `${step.name} (${formatRoutineTime(step.seconds)})`;
+      return item;
+    }));
+    renderStep();
+  }
+
+  function finishRoutine() {
+    stopTimer();
+    remainingMs = 0;
+    stepIndex = routine.steps.length;
+    document.getElementById('routineProgressBar').style.width = '100%';
+    document.getElementById('stepTimer').textContent = formatRoutineTime(0);
+    document.querySelectorAll('#stepList li').forEach((item) => {
+      item.classList.remove('current');
+      item.classList.add('done');
+    });
+    startButton.disabled = true;
+    sendRuntimeMessage({ action: 'playRoutineChime' });
+    sendRuntimeMessage({ action: 'routineCompleted', type, notificationId });
+    showStatus('routineStatus', notificationId
+      ? 'Routine complete. Nice work, your break has been logged.'
+      : 'Routine complete. Nice work!');
+  }
+
+  function goToStep(index) {
+    if (index >= routine.steps.length) {
+      finishRoutine();
+      return;
+    }
+    sendRuntimeMessage({ action: 'playRoutineChime' });
+    stepIndex = index;
+    remainingMs = routine.steps[index].seconds * 1000;
+    if (endsAt !== null) {
+      endsAt = Date.now() + remainingMs;
+    }
+    renderStep();
+  }
+
+  function tick() {
+    remainingMs = endsAt - Date.now();
+    if (remainingMs <= 0) {
+      goToStep(stepIndex + 1);
+      return;
+    }
+    renderTimer();
+  }
+
+  function toggleRunning() {
+    if (endsAt === null) {
+      endsAt = Date.now() + remainingMs;
+      timerId = setInterval(tick, TIMER_TICK_MS);
+      startButton.textContent = 'Pause';
+    } else {
+      remainingMs = endsAt - Date.now();
+      stopTimer();
+      startButton.textContent = 'Resume';
+    }
+  }
+
+  function renderRoutineOptions() {
+    routineSelect.replaceChildren(...getAllRoutines(getCustomRoutines(settings)).map(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = id.startsWith(CUSTOM_ROUTINE_ID_PREFIX) ? `${name} (custom)` : name;
+      return option;
+    }));
+    routineSelect.value = routine.id;
+  }
+
+  function selectRoutine(nextRoutine) {
+    routine = nextRoutine;
+    renderRoutineOptions();
+    resetRun();
+    if (routine.id.startsWith(CUSTOM_ROUTINE_ID_PREFIX)) {
+      openEditor(routine, routine.id);
+    } else {
+      editor.hidden = true;
+      editingId = null;
+    }
+  }
+
+  function saveSettings(items, onSaved) {
+    chrome.storage.sync.set(items, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save routines:', chrome.runtime.lastError);
+        showStatus('editorStatus', 'Could not save the routine.', true);
+        return;
+      }
+      Object.assign(settings, items);
+      onSaved?.();
+    });
+  }
+
+  function openEditor(source, id) {
+    editingId = id;
+    editor.hidden = false;
+    document.getElementById('routineNameInput').maxLength = ROUTINE_NAME_MAX_LENGTH;
+    document.getElementById('routineNameInput').value = source.name;
+    document.getElementById('stepEditorList').replaceChildren(...source.steps.map(createStepEditorRow));
+    document.getElementById('deleteRoutineBtn').hidden = !getCustomRoutines(settings).some((item) => item.id === id);
+    showStatus('editorStatus', '');
+  }
+
+  function saveEditedRoutine() {
+    const edited = {
+      id: editingId,
+      name: document.getElementById('routineNameInput').value.trim(),
+      steps: readStepEditorRows()
+    };
+    if (!isValidRoutine(edited)) {
+      showStatus('editorStatus', `Give the routine a name and 1 to ${MAX_ROUTINE_STEPS} named steps of ` +
+        `${ROUTINE_STEP_SECONDS.min}-${ROUTINE_STEP_SECONDS.max} seconds.`, true);
+      return;
+    }
+    const customRoutines = getCustomRoutines(settings);
+    const exists = customRoutines.some((item) => item.id === edited.id);
+    if (!exists && customRoutines.length >= MAX_CUSTOM_ROUTINES) {
+      showStatus('editorStatus', `You can keep up to ${MAX_CUSTOM_ROUTINES} custom routines.`, true);
+      return;
+    }
+    const nextRoutines = exists
+      ? customRoutines.map((item) => (item.id === edited.id ? edited : item))
+      : [...customRoutines, edited];
+    saveSettings({ ...toCustomRoutineItems(nextRoutines), [`${type}Routine`]: edited.id }, () => {
+      selectRoutine(edited);
+      showStatus('editorStatus', 'Routine saved.');
+    });
+  }
+
+  function deleteEditedRoutine() {
+    const nextRoutines = getCustomRoutines(settings).filter((item) => item.id !== editingId);
+    const items = toCustomRoutineItems(nextRoutines);
+    // Types that used the deleted routine go back to their default routine
+    ROUTINE_REMINDER_TYPES.forEach((reminderType) => {
+      const key = `${reminderType}Routine`;
+      if (settings[key] === editingId) {
+        items[key] = getDefaultSetting(key);
+      }
+    });
+    saveSettings(items, () => {
+      selectRoutine(getRoutineForType(type, settings[`${type}Routine`], nextRoutines));
+      showStatus('editorStatus', 'Routine deleted.');
+    });
+  }
+
+  breakTypeSelect.value = type;
+  breakTypeSelect.disabled = Boolean(notificationId);
+  breakTypeSelect.addEventListener('change', () => {
+    type = breakTypeSelect.value;
+    selectRoutine(getRoutineForType(type, settings[`${type}Routine`], getCustomRoutines(settings)));
+  });
+
+  routineSelect.addEventListener('change', () => {
+    const key = `${type}Routine`;
+    if (!isValidSetting(key, routineSelect.value)) {
+      return;
+    }
+    saveSettings({ [key]: routineSelect.value });
+    selectRoutine(getRoutineForType(type, routineSelect.value, getCustomRoutines(settings)));
+  });
+
+  startButton.addEventListener('click', toggleRunning);
+  document.getElementById('nextStepBtn').addEventListener('click', () => {
+    if (stepIndex < routine.steps.length) {
+      goToStep(stepIndex + 1);
+    }
+  });
+  document.getElementById('restartRoutineBtn').addEventListener('click', resetRun);
+
+  document.getElementById('copyRoutineBtn').addEventListener('click', () => {
+    openEditor({ ...routine, name: `${routine.name} (copy)`.slice(0, ROUTINE_NAME_MAX_LENGTH) },
+      `${CUSTOM_ROUTINE_ID_PREFIX}${Date.now()}`);
+  });
+  document.getElementById('newRoutineBtn').addEventListener('click', () => {
+    openEditor({ name: '', steps: [{ name: '', seconds: NEW_STEP_SECONDS, instructions: '' }] },
+      `${CUSTOM_ROUTINE_ID_PREFIX}${Date.now()}`);
+  });
+  document.getElementById('addStepBtn').addEventListener('click', () => {
+    const list = document.getElementById('stepEditorList');
+    if (list.children.length < MAX_ROUTINE_STEPS) {
+      list.appendChild(createStepEditorRow({ name: '', seconds: NEW_STEP_SECONDS, instructions: '' }));
+    }
+  });
+  editor.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveEditedRoutine();
+  });
+  document.getElementById('deleteRoutineBtn').addEventListener('click', deleteEditedRoutine);
+
+  chrome.storage.sync.get(SETTINGS_KEYS, (stored) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to load routines:', chrome.runtime.lastError);
+    } else {
+      settings = normalizeSettings(stored).settings;
+    }
+    selectRoutine(getRoutineForType(type, settings[`${type}Routine`], getCustomRoutines(settings)));
+  });
+}
+
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeRoutinePage);
+  } else {
+    initializeRoutinePage();
+  }
+}
+
+export {
+  parseRoutineParams,
+  getRoutineProgress
+};
@@ -0,0 +1,350 @@
+/**
+ * settings-schema.js - Declared settings schema for Recharge Chrome Extension
+ *
+ * Single source of truth for every chrome.storage.sync setting: its type,
+ * default and bounds. The popup, options page, backup import and service
+ * worker all validate against it. SETTINGS_SCHEMA_VERSION is stored alongside
+ * the settings; MIGRATIONS upgrade older stored data step by step.
+ */
+
+import {
+  REPEATING_INTERVAL_MIN,
+  REPEATING_INTERVAL_MAX,
+  JITTER_PERCENT_OPTIONS,
+  DEFAULT_JITTER_PERCENT,
+  DEFAULT_SOUND_ENABLED,
+  DEFAULT_IDLE_PAUSE_ENABLED,
+  SNOOZE_MINUTES_OPTIONS,
+  DEFAULT_SNOOZE_MINUTES,
+  ESCALATION_REPEATS,
+  ESCALATION_MINUTES,
+  BUILT_IN_REMINDERS,
+  CUSTOM_REMINDERS_STORAGE_KEY,
+  MAX_CUSTOM_REMINDERS,
+  CLOCK_REMINDERS_STORAGE_KEY,
+  MAX_CLOCK_REMINDERS,
+  WORK_SCHEDULE_STORAGE_KEY,
+  DEFAULT_WORK_SCHEDULE,
+  POMODORO_SETTINGS,
+  WATER_VOLUME_SETTINGS,
+  WATER_UNITS,
+  DEFAULT_WATER_UNIT,
+  ROUTINE_REMINDER_TYPES,
+  CUSTOM_ROUTINE_STORAGE_KEYS,
+  BLINK_BREAK_SECONDS,
+  SOUND_PRESETS,
+  DEFAULT_SOUND_PRESET,
+  SOUND_SETTING_TYPES,
+  SOUND_VOLUME,
+  SPEECH_RATE,
+  SPEECH_VOLUME,
+  SPEECH_VOICE_NAME_MAX_LENGTH,
+  BADGE_MODES,
+  DEFAULT_BADGE_MODE
+} from './constants.js';
+import {
+  isValidCustomReminder,
+  isValidClockReminder,
+  fitsSyncItem,
+  isValidWorkSchedule,
+  isValidTipPool,
+  isValidRoutine
+} from './validation.js';
+import { DEFAULT_ROUTINE_BY_TYPE } from './routine-library.js';
+
+export const SETTINGS_SCHEMA_VERSION = 1;
+export const SETTINGS_VERSION_KEY = 'settingsVersion';
+
+const POMODORO_LABELS = {
+  pomodoroWorkMinutes: 'Focus length (minutes)',
+  pomodoroShortBreakMinutes: 'Short break (minutes)',
+  pomodoroLongBreakMinutes: 'Long break (minutes)',
+  pomodoroCyclesBeforeLongBreak: 'Focus sessions before a long break'
+};
+
+/**
+ * Setting definitions keyed by storage key. Types:
+ * - boolean
+ * - integer: whole number within min..max
+ * - enum: one of `options` (each { value, label })
+ * - string: text matching `pattern`
+ * - list: array of at most `maxItems` entries, each passing `validateItem`
+ * - object: value passing `validate`
+ */
+export const SETTINGS_SCHEMA = {
+  ...Object.fromEntries(BUILT_IN_REMINDERS.flatMap(({ id, name, defaultEnabled, defaultInterval }) => [
+    [`${id}Enabled`, { type: 'boolean', default: defaultEnabled, label: `${name} enabled` }],
+    [`${id}Interval`, {
+      type: 'integer',
+      default: defaultInterval,
+      min: REPEATING_INTERVAL_MIN,
+      max: REPEATING_INTERVAL_MAX,
+      label: `${name} interval (minutes)`
+    }],
+    [`${id}JitterPercent`, {
+      type: 'enum',
+      default: DEFAULT_JITTER_PERCENT,
+      options: JITTER_PERCENT_OPTIONS.map((percent) => ({ value: percent, label: percent ? `±${percent}%` : 'Off' })),
+      label: `${name} interval jitter`
+    }]
+  ])),
+  blinkBreakWindowEnabled: {
+    type: 'boolean',
+    default: false,
+    label: 'Open a countdown window for blink breaks'
+  },
+  blinkBreakSeconds: { type: 'integer', ...toBounds(BLINK_BREAK_SECONDS), label: 'Blink break length (seconds)' },
+  soundEnabled: { type: 'boolean', default: DEFAULT_SOUND_ENABLED, label: 'Notification sound' },
+  soundVolume: { type: 'integer', ...toBounds(SOUND_VOLUME), label: 'Sound volume (%)' },
+  ...Object.fromEntries(SOUND_SETTING_TYPES.map(({ id, name }) => [
+    `${id}Sound`, {
+      type: 'enum',
+      default: DEFAULT_SOUND_PRESET,
+      options: SOUND_PRESETS.map((preset) => ({ value: preset.id, label: preset.name })),
+      label: `${name} sound`
+    }
+  ])),
+  speechEnabled: { type: 'boolean', default: false, label: 'Read reminders aloud' },
+  // Empty picks the browser's default voice
+  speechVoice: {
+    type: 'string',
+    default: '',
+    pattern: new RegExp(`^[^\\n]{0,${SPEECH_VOICE_NAME_MAX_LENGTH}}$`),
+    label: 'Voice'
+  },
+  speechRate: { type: 'integer', ...toBounds(SPEECH_RATE), label: 'Speaking rate (%)' },
+  speechVolume: { type: 'integer', ...toBounds(SPEECH_VOLUME), label: 'Speech volume (%)' },
+  snoozeMinutes: {
+    type: 'enum',
+    default: DEFAULT_SNOOZE_MINUTES,
+    options: SNOOZE_MINUTES_OPTIONS.map((minutes) => ({ value: minutes, label: `${minutes} min` })),
+    label: 'Snooze length'
+  },
+  escalationRepeats: {
+    type: 'integer',
+    ...toBounds(ESCALATION_REPEATS),
+    label: 'Repeat ignored reminders (times, 0 = never)'
+  },
+  escalationMinutes: {
+    type: 'integer',
+    ...toBounds(ESCALATION_MINUTES),
+    label: 'Minutes before repeating an ignored reminder'
+  },
+  badgeMode: {
+    type: 'enum',
+    default: DEFAULT_BADGE_MODE,
+    options: BADGE_MODES.map((mode) => ({ value: mode.id, label: mode.name })),
+    label: 'Toolbar badge counts down to'
+  },
+  idlePauseEnabled: { type: 'boolean', default: DEFAULT_IDLE_PAUSE_ENABLED, label: 'Pause when away' },
+  idleThresholdMinutes: {
+    type: 'integer',
+    default: 5,
+    min: 1,
+    max: 60,
+    label: 'Minutes without input before you count as away'
+  },
+  [CUSTOM_REMINDERS_STORAGE_KEY]: {
+    type: 'list',
+    default: [],
+    maxItems: MAX_CUSTOM_REMINDERS,
+    validateItem: isValidCustomReminder,
+    label: 'Custom reminders'
+  },
+  [CLOCK_REMINDERS_STORAGE_KEY]: {
+    type: 'list',
+    default: [],
+    maxItems: MAX_CLOCK_REMINDERS,
+    validateItem: isValidClockReminder,
+    label: 'Clock reminders'
+  },
+  [WORK_SCHEDULE_STORAGE_KEY]: {
+    type: 'object',
+    default: DEFAULT_WORK_SCHEDULE,
+    validate: isValidWorkSchedule,
+    label: 'Working hours'
+  },
+  ...Object.fromEntries(Object.entries(POMODORO_SETTINGS).map(([key, { default: fallback, min, max }]) => [
+    key, { type: 'integer', default: fallback, min, max, label: POMODORO_LABELS[key] }
+  ])),
+  waterGoalMl: { type: 'integer', ...toBounds(WATER_VOLUME_SETTINGS.waterGoalMl), label: 'Daily water goal (ml)' },
+  waterGlassMl: { type: 'integer', ...toBounds(WATER_VOLUME_SETTINGS.waterGlassMl), label: 'Glass size (ml)' },
+  waterUnit: {
+    type: 'enum',
+    default: DEFAULT_WATER_UNIT,
+    options: WATER_UNITS.map((unit) => ({ value: unit, label: unit === 'floz' ? 'fl oz' : 'ml / L' })),
+    label: 'Water unit'
+  },
+  // null keeps the bundled tips, so library updates reach unedited pools
+  ...Object.fromEntries(BUILT_IN_REMINDERS.map(({ id, name }) => [
+    `${id}Tips`, { type: 'object', default: null, validate: isValidTipPool, label: `${name} tips` }
+  ])),
+  // One item per routine; null marks an empty slot
+  ...Object.fromEntries(CUSTOM_ROUTINE_STORAGE_KEYS.map((key, index) => [
+    key, {
+      type: 'object',
+      default: null,
+      validate: (routine) => routine === null || isValidRoutine(routine),
+      label: `Custom routine ${index + 1}`
+    }
+  ])),
+  ...Object.fromEntries(ROUTINE_REMINDER_TYPES.map((type) => [
+    `${type}Routine`, {
+      type: 'string',
+      default: DEFAULT_ROUTINE_BY_TYPE[type],
+      pattern: /^[a-z]+_[a-z0-9_]+$/,
+      label: `${BUILT_IN_REMINDERS.find(({ id }) => id === type).name} routine`
+    }
+  ]))
+};
+
+export const SETTINGS_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+function toBounds({ default: fallback, min, max }) {
+  return { default: fallback, min, max };
+}
+
+/**
+ * Upgrade steps applied in order to settings stored at an older version.
+ * Each step receives a copy of the stored settings and returns the reshaped
+ * object; keys it drops are removed from storage. Add a step (and bump
+ * SETTINGS_SCHEMA_VERSION) whenever a key is renamed or its shape changes.
+ */
+export const MIGRATIONS = [
+  {
+    // Installs from before the schema are unversioned but already use the
+    // version 1 key names; missing or invalid values are reset to defaults
+    // by normalizeSettings.
+    version: 1,
+    migrate: (settings) => settings
+  }
+];
+
+/**
+ * Checks one setting value against its schema entry.
+ * @param {string} key - Storage key.
+ * @param {unknown} value - Value to check.
+ * @returns {boolean} False for unknown keys.
+ */
+export function isValidSetting(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    return false;
+  }
+  switch (definition.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value) && value >= definition.min && value <= definition.max;
+    case 'enum':
+      return definition.options.some((option) => option.value === value);
+    case 'string':
+      return typeof value === 'string' && definition.pattern.test(value);
+    case 'list':
+      return Array.isArray(value) &&
+        value.length <= definition.maxItems &&
+        value.every(definition.validateItem) &&
+        new Set(value.map((item) => item?.id)).size === value.length &&
+        fitsSyncItem(key, value);
+    case 'object':
+      return definition.validate(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describes what a setting accepts, for validation messages.
+ * @param {string} key - Storage key.
+ * @returns {string}
+ */
+export function describeSetting(key) {
+  const definition = SETTINGS_SCHEMA[key];
+  switch (definition?.type) {
+    case 'integer':
+      return `${definition.label} must be a whole number between ${definition.min} and ${definition.max}.`;
+    case 'enum':
+      return `${definition.label} must be one of ${definition.options.map((option) => option.label).join(', ')}.`;
+    case 'list':
+      return `${definition.label} must be a list of at most ${definition.maxItems} valid entries, small enough to sync.`;
+    default:
+      return `${definition?.label ?? key} is invalid.`;
+  }
+}
+
+/**
+ * Returns a setting's default, copied so callers cannot mutate the schema.
+ * @param {string} key - Storage key.
+ * @returns {unknown}
+ */
+export function getDefaultSetting(key) {
+  const fallback = SETTINGS_SCHEMA[key].default;
+  return typeof fallback === 'object' ? structuredClone(fallback) : fallback;
+}
+
+/**
+ * Returns the stored value of a setting, or its default when missing or invalid.
+ * @param {object} settings - Values read from chrome.storage.sync.
+ * @param {string} key - Storage key.
+ * @returns {unknown}
+ */
+export function getSetting(settings, key) {
+  const value = settings?.[key];
+  return isValidSetting(key, value) ? value : getDefaultSetting(key);
+}
+
+/**
+ * Returns every schema setting, replacing missing or invalid values with
+ * defaults. Invalid list entries are dropped rather than resetting the list.
+ * @param {object} stored - Values read from chrome.storage.sync.
+ * @returns {{settings: object, resetKeys: string[]}}
+ */
+export function normalizeSettings(stored) {
+  const settings = {};
+  const resetKeys = [];
+  SETTINGS_KEYS.forEach((key) => {
+    const definition = SETTINGS_SCHEMA[key];
+    const value = stored?.[key];
+    if (isValidSetting(key, value)) {
+      settings[key] = value;
+      return;
+    }
+    if (definition.type === 'list' && Array.isArray(value)) {
+      const ids = new Set();
+      settings[key] = value.filter((item) => {
+        const keep = definition.validateItem(item) && !ids.has(item.id);
+        ids.add(item?.id);
+        return keep;
+      }).slice(0, definition.maxItems);
+    } else {
+      settings[key] = getDefaultSetting(key);
+    }
+    if (value !== undefined) {
+      resetKeys.push(key);
+    }
+  });
+  return { settings, resetKeys };
+}
+
+/**
+ * Runs every migration newer than the stored version.
+ * @param {object} stored - Values read from chrome.storage.sync.
+ * @param {Array<{version: number, migrate: (settings: object) => object}>} [migrations]
+ * @returns {{settings: object, removedKeys: string[], fromVersion: number, version: number}}
+ */
+export function migrateSettings(stored, migrations = MIGRATIONS) {
+  const fromVersion = Number.isInteger(stored?.[SETTINGS_VERSION_KEY]) ? stored[SETTINGS_VERSION_KEY] : 0;
+  let settings = { ...stored };
+  delete settings[SETTINGS_VERSION_KEY];
+  let version = fromVersion;
+  migrations
+    .filter((step) => step.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach((step) => {
+      settings = step.migrate({ ...settings });
+      version = step.version;
+    });
+  const removedKeys = Object.keys(stored ?? {})
+    .filter((key) => key !== SETTINGS_VERSION_KEY && !(key in settings));
+  return { settings, removedKeys, fromVersion, version };
+}
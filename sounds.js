@@ -0,0 +1,86 @@
+/**
+ * sounds.js - Synthesized notification tones for Recharge Chrome Extension
+ *
+ * Each tone is a list of notes played with Web Audio. Note pitches are ratios
+ * of a base frequency, so every alarm keeps its own pitch whichever tone is
+ * picked. Used by offscreen.js.
+ */
+
+/**
+ * Notes per tone: start offset and duration in seconds, pitch as a ratio of
+ * the base frequency, oscillator wave and gain relative to the volume.
+ */
+export const SYNTH_TONES = {
+  beep: [
+    { at: 0, duration: 0.42, ratio: 1, wave: 'sine', gain: 1 }
+  ],
+  chime: [
+    { at: 0, duration: 0.5, ratio: 1, wave: 'triangle', gain: 1 },
+    { at: 0.15, duration: 0.5, ratio: 1.26, wave: 'triangle', gain: 0.9 },
+    { at: 0.3, duration: 0.8, ratio: 1.5, wave: 'triangle', gain: 0.8 }
+  ],
+  doubleBeep: [
+    { at: 0, duration: 0.14, ratio: 1, wave: 'square', gain: 0.4 },
+    { at: 0.24, duration: 0.14, ratio: 1, wave: 'square', gain: 0.4 }
+  ],
+  softBell: [
+    { at: 0, duration: 1.4, ratio: 0.75, wave: 'sine', gain: 0.7 },
+    { at: 0, duration: 0.9, ratio: 2.07, wave: 'sine', gain: 0.2 }
+  ]
+};
+
+// Quiet floor for exponential ramps, which cannot reach zero
+const SILENT_GAIN = 0.0001;
+const ATTACK_SECONDS = 0.02;
+
+/**
+ * Returns how long a tone lasts in milliseconds.
+ * @param {string} tone - SYNTH_TONES key.
+ * @returns {number}
+ */
+export function getToneDurationMs(tone) {
+  const notes = SYNTH_TONES[tone] ?? SYNTH_TONES.beep;
+  return Math.round(Math.max(...notes.map((note) => note.at + note.duration)) * 1000);
+}
+
+/**
+ * Plays a synthesized tone.
+ * @param {AudioContext} audioContext - A running audio context.
+ * @param {string} tone - SYNTH_TONES key; unknown tones play the beep.
+ * @param {number} frequency - Base frequency in Hz.
+ * @param {number} volume - Peak gain from 0 to 1.
+ * @returns {Promise<void>} Resolves when the last note ends.
+ */
+export async function playTone(audioContext, tone, frequency, volume) {
+  const notes = SYNTH_TONES[tone] ?? SYNTH_TONES.beep;
+  const now = audioContext.currentTime;
+  const nodes = notes.map((note) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const start = now + note.at;
+    const peak = Math.max(SILENT_GAIN, volume * note.gain);
+
+    oscillator.type = note.wave;
+    oscillator.frequency.value = frequency * note.ratio;
+    gain.gain.setValueAtTime(SILENT_GAIN, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + ATTACK_SECONDS);
+    gain.gain.exponentialRampToValueAtTime(SILENT_GAIN, start + note.duration);
+
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + note.duration);
+    return { oscillator, gain };
+  });
+
+  try {
+    await Promise.all(nodes.map(({ oscillator }) => new Promise((resolve) => {
+      oscillator.onended = resolve;
+    })));
+  } finally {
+    nodes.forEach(({ oscillator, gain }) => {
+      try { oscillator.disconnect(); } catch {}
+      try { gain.disconnect(); } catch {}
+    });
+  }
+}
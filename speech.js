@@ -0,0 +1,75 @@
+/**
+ * speech.js - Spoken reminders for Recharge Chrome Extension
+ *
+ * Reads reminder messages aloud with the Web Speech API. Used by offscreen.js,
+ * which receives the text and voice settings from background.js; the options
+ * page lists the same voices.
+ */
+
+// Voices load asynchronously in a fresh document; wait this long for them.
+const VOICES_TIMEOUT_MS = 1000;
+
+// Errors from an utterance being cut off by another one, not from a failure
+const INTERRUPTED_SPEECH_ERRORS = ['interrupted', 'canceled'];
+
+/**
+ * Returns the available voices, waiting briefly for them to load.
+ * @param {SpeechSynthesis} synth - window.speechSynthesis.
+ * @returns {Promise<SpeechSynthesisVoice[]>}
+ */
+export function loadVoices(synth) {
+  const voices = synth.getVoices();
+  if (voices.length > 0) {
+    return Promise.resolve(voices);
+  }
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => resolve(synth.getVoices()), VOICES_TIMEOUT_MS);
+    synth.addEventListener('voiceschanged', () => {
+      clearTimeout(timeoutId);
+      resolve(synth.getVoices());
+    }, { once: true });
+  });
+}
+
+/**
+ * Finds the picked voice by name. An empty name, or a voice that is not
+ * installed on this device, leaves the choice to the browser.
+ * @param {SpeechSynthesisVoice[]} voices
+ * @param {string} voiceName - The speechVoice setting.
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export function findVoice(voices, voiceName) {
+  return (voiceName && voices.find((voice) => voice.name === voiceName)) || null;
+}
+
+/**
+ * Speaks text, resolving once it has been read out.
+ * @param {SpeechSynthesis} synth - window.speechSynthesis.
+ * @param {typeof SpeechSynthesisUtterance} Utterance - Utterance constructor.
+ * @param {{text: string, voice?: string, rate?: number, volume?: number}} request
+ *   Rate and volume are percentages (speechRate and speechVolume settings).
+ * @returns {Promise<{voice: string|null}>} The voice used, null for the default.
+ */
+export async function speakText(synth, Utterance, { text, voice = '', rate = 100, volume = 100 }) {
+  const utterance = new Utterance(text);
+  const pickedVoice = findVoice(await loadVoices(synth), voice);
+  if (pickedVoice) {
+    utterance.voice = pickedVoice;
+    utterance.lang = pickedVoice.lang;
+  }
+  utterance.rate = rate / 100;
+  utterance.volume = Math.min(1, Math.max(0, volume / 100));
+
+  await new Promise((resolve, reject) => {
+    utterance.onend = resolve;
+    utterance.onerror = (event) => {
+      if (INTERRUPTED_SPEECH_ERRORS.includes(event.error)) {
+        resolve();
+        return;
+      }
+      reject(new Error(`Speech failed (${event.error})`));
+    };
+    synth.speak(utterance);
+  });
+  return { voice: pickedVoice?.name ?? null };
+}
@@ -0,0 +1,238 @@
+/**
+ * stats.js - Break statistics page for Recharge Chrome Extension
+ *
+ * Summarizes the reminderLogV1 record kept by background.js: compliance per
+ * reminder type, breaks taken per day, and compliance by day and by hour.
+ * A reminder counts as complied with when its notification was marked Done.
+ */
+
+import { BUILT_IN_REMINDERS, CUSTOM_REMINDERS_STORAGE_KEY, CLOCK_REMINDERS_STORAGE_KEY } from './constants.js';
+import { formatDateKey, getBarLabel, renderBarChart } from './charts.js';
+
+const REMINDER_LOG_STORAGE_KEY = 'reminderLogV1';
+const DEFAULT_RANGE_DAYS = 7;
+const REMINDER_OUTCOMES = ['done', 'snoozed', 'skipped', 'ignored'];
+
+/**
+ * Returns an all-zero tally of reminder outcomes.
+ * @returns {{fired: number, done: number, snoozed: number, skipped: number, ignored: number}}
+ */
+function createOutcomeCounts() {
+  return { fired: 0, done: 0, snoozed: 0, skipped: 0, ignored: 0 };
+}
+
+function addOutcome(counts, outcome) {
+  counts.fired += 1;
+  if (REMINDER_OUTCOMES.includes(outcome)) {
+    counts[outcome] += 1;
+  }
+}
+
+/**
+ * Returns the share of fired reminders marked Done as a whole percentage, or
+ * null when nothing fired.
+ * @param {{fired: number, done: number}} counts - Outcome tally.
+ * @returns {number|null}
+ */
+function getComplianceRate(counts) {
+  return counts.fired > 0 ? Math.round((counts.done / counts.fired) * 100) : null;
+}
+
+/**
+ * Keeps the log entries fired within the `days` days ending on `endDate`.
+ * @param {Array<[string, number, string]>} log - Stored [type, firedAt, outcome] entries.
+ * @param {number} days - Number of days to include.
+ * @param {Date} endDate - The last day in the range.
+ * @returns {Array<[string, number, string]>}
+ */
+function filterLogByRange(log, days, endDate) {
+  const start = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - days + 1).getTime();
+  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1).getTime();
+  return (Array.isArray(log) ? log : []).filter((entry) => (
+    Array.isArray(entry) && entry[1] >= start && entry[1] < end
+  ));
+}
+
+/**
+ * Tallies outcomes per reminder type.
+ * @param {Array<[string, number, string]>} entries - Log entries.
+ * @returns {Record<string, ReturnType<typeof createOutcomeCounts>>}
+ */
+function summarizeByType(entries) {
+  const summary = {};
+  entries.forEach(([type, , outcome]) => {
+    summary[type] ??= createOutcomeCounts();
+    addOutcome(summary[type], outcome);
+  });
+  return summary;
+}
+
+/**
+ * Tallies outcomes per day for the `days` days ending on `endDate`, oldest first.
+ * @param {Array<[string, number, string]>} entries - Log entries.
+ * @param {number} days - Number of days to include.
+ * @param {Date} endDate - The last day in the series.
+ * @returns {{dateKey: string, date: Date, fired: number, done: number}[]}
+ */
+function buildDailyStats(entries, days, endDate) {
+  const series = [];
+  const byDateKey = {};
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - offset);
+    const day = { dateKey: formatDateKey(date), date, ...createOutcomeCounts() };
+    byDateKey[day.dateKey] = day;
+    series.push(day);
+  }
+  entries.forEach(([, firedAt, outcome]) => {
+    const day = byDateKey[formatDateKey(new Date(firedAt))];
+    if (day) {
+      addOutcome(day, outcome);
+    }
+  });
+  return series;
+}
+
+/**
+ * Tallies outcomes by local hour of day (0-23).
+ * @param {Array<[string, number, string]>} entries - Log entries.
+ * @returns {{hour: number, fired: number, done: number}[]}
+ */
+function buildHourlyStats(entries) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, ...createOutcomeCounts() }));
+  entries.forEach(([, firedAt, outcome]) => {
+    addOutcome(hours[new Date(firedAt).getHours()], outcome);
+  });
+  return hours;
+}
+
+/**
+ * Returns the display name for a reminder type.
+ * @param {string} type - Built-in id, or custom or clock reminder id.
+ * @param {{id: string, name: string, emoji?: string}[]} customReminders - Stored custom and clock reminders.
+ * @returns {string}
+ */
+function getReminderLabel(type, customReminders) {
+  const reminder = [...BUILT_IN_REMINDERS, ...customReminders].find(({ id }) => id === type);
+  return reminder ? `${reminder.emoji || ''} ${reminder.name}`.trim() : 'Deleted reminder';
+}
+
+function formatRate(rate) {
+  return rate === null ? '–' : `${rate}%`;
+}
+
+function toRateBar(counts, label, title) {
+  const rate = getComplianceRate(counts);
+  return {
+    value: rate ?? 0,
+    text: rate === null ? '' : `${rate}%`,
+    label,
+    title: `${title}: ${counts.done} of ${counts.fired} done`
+  };
+}
+
+function renderTypeTable(summary, customReminders) {
+  const body = document.getElementById('typeTableBody');
+  const types = Object.keys(summary).sort((a, b) => summary[b].fired - summary[a].fired);
+  if (types.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 7;
+    cell.className = 'empty-row';
+    cell.textContent = 'No reminders in this period yet.';
+    row.append(cell);
+    body.replaceChildren(row);
+    return;
+  }
+  body.replaceChildren(...types.map((type) => {
+    const counts = summary[type];
+    const row = document.createElement('tr');
+    const values = [
+      getReminderLabel(type, customReminders),
+      counts.fired,
+      counts.done,
+      counts.snoozed,
+      counts.skipped,
+      counts.ignored,
+      formatRate(getComplianceRate(counts))
+    ];
+    row.append(...values.map((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = String(value);
+      return cell;
+    }));
+    return row;
+  }));
+}
+
+function initializeStatsPage() {
+  let log = [];
+  let customReminders = [];
+  let rangeDays = DEFAULT_RANGE_DAYS;
+
+  function render() {
+    const now = new Date();
+    const entries = filterLogByRange(log, rangeDays, now);
+    const totals = createOutcomeCounts();
+    entries.forEach(([, , outcome]) => addOutcome(totals, outcome));
+
+    document.getElementById('firedCount').textContent = String(totals.fired);
+    document.getElementById('doneCount').textContent = String(totals.done);
+    document.getElementById('complianceRate').textContent = formatRate(getComplianceRate(totals));
+    renderTypeTable(summarizeByType(entries), customReminders);
+
+    const days = buildDailyStats(entries, rangeDays, now);
+    renderBarChart(document.getElementById('breaksChart'), days.map((day, index) => ({
+      value: day.done,
+      label: getBarLabel(day.date, index, days.length),
+      title: `${day.date.toLocaleDateString()}: ${day.done} breaks taken`
+    })));
+    renderBarChart(document.getElementById('dailyComplianceChart'), days.map((day, index) => (
+      toRateBar(day, getBarLabel(day.date, index, days.length), day.date.toLocaleDateString())
+    )), 100);
+    renderBarChart(document.getElementById('hourlyComplianceChart'), buildHourlyStats(entries).map((hour) => (
+      toRateBar(hour, hour.hour % 3 === 0 ? String(hour.hour) : '', `${String(hour.hour).padStart(2, '0')}:00`)
+    )), 100);
+  }
+
+  document.querySelectorAll('.range-button').forEach((button) => {
+    button.addEventListener('click', () => {
+      rangeDays = Number(button.dataset.days);
+      document.querySelectorAll('.range-button').forEach((other) => {
+        other.classList.toggle('active', other === button);
+      });
+      render();
+    });
+  });
+
+  chrome.storage.local.get([REMINDER_LOG_STORAGE_KEY], (localResult) => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to load reminder log:', chrome.runtime.lastError);
+    }
+    log = localResult?.[REMINDER_LOG_STORAGE_KEY] ?? [];
+
+    chrome.storage.sync.get([CUSTOM_REMINDERS_STORAGE_KEY, CLOCK_REMINDERS_STORAGE_KEY], (syncResult) => {
+      if (!chrome.runtime.lastError) {
+        customReminders = [CUSTOM_REMINDERS_STORAGE_KEY, CLOCK_REMINDERS_STORAGE_KEY]
+          .flatMap((key) => (Array.isArray(syncResult[key]) ? syncResult[key] : []));
+      }
+      render();
+    });
+  });
+}
+
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeStatsPage);
+  } else {
+    initializeStatsPage();
+  }
+}
+
+export {
+  getComplianceRate,
+  filterLogByRange,
+  summarizeByType,
+  buildDailyStats,
+  buildHourlyStats,
+  getReminderLabel
+};
@@ -4,9 +4,18 @@
 
 import { test, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
+import { getNextClockTime } from '../../clock-reminders.js';
+import { createSeededRandom, getJitteredInterval } from '../../jitter.js';
 
 let onMessageListener;
 let onAlarmListener;
+let onIdleStateChangedListener;
+let onButtonClickedListener;
+let onClosedListener;
+let onNotificationClickedListener;
+let onWindowRemovedListener;
+let onCommandListener;
+let background;
 let importCounter = 0;
 
 function buildChromeMock() {
@@ -15,8 +24,10 @@ function buildChromeMock() {
   return {
     runtime: {
       onInstalled: { addListener: () => {} },
+      onStartup: { addListener: () => {} },
       onMessage: { addListener: (listener) => { onMessageListener = listener; } },
       sendMessage: () => {},
+      getURL: (path) => `chrome-extension://recharge/${path}`,
       getPlatformInfo: (callback) => callback({ os: 'mac' }),
       lastError: null
     },
@@ -24,16 +35,34 @@ function buildChromeMock() {
       hasDocument: async () => hasOffscreen,
       createDocument: async () => { hasOffscreen = true; }
     },
+    idle: {
+      setDetectionInterval: () => {},
+      queryState: (threshold, callback) => callback('active'),
+      onStateChanged: { addListener: (listener) => { onIdleStateChangedListener = listener; } }
+    },
     alarms: {
       create: () => {},
       clear: () => {},
       getAll: () => {},
       onAlarm: { addListener: (listener) => { onAlarmListener = listener; } }
     },
+    tabs: {
+      create: () => {}
+    },
+    commands: {
+      onCommand: { addListener: (listener) => { onCommandListener = listener; } }
+    },
+    windows: {
+      create: () => {},
+      remove: () => {},
+      onRemoved: { addListener: (listener) => { onWindowRemovedListener = listener; } }
+    },
     notifications: {
       create: () => {},
       clear: () => {},
-      onButtonClicked: { addListener: () => {} }
+      onButtonClicked: { addListener: (listener) => { onButtonClickedListener = listener; } },
+      onClosed: { addListener: (listener) => { onClosedListener = listener; } },
+      onClicked: { addListener: (listener) => { onNotificationClickedListener = listener; } }
     },
     storage: {
       local: {
@@ -64,18 +93,24 @@ function buildChromeMock() {
 
 async function loadBackground() {
   const url = new URL(`../../background.js?cache=${importCounter += 1}`, import.meta.url);
-  await import(url);
+  return import(url);
 }
 
 beforeEach(async () => {
   onMessageListener = null;
   onAlarmListener = null;
+  onIdleStateChangedListener = null;
+  onButtonClickedListener = null;
+  onClosedListener = null;
+  onNotificationClickedListener = null;
+  onWindowRemovedListener = null;
+  onCommandListener = null;
   globalThis.chrome = buildChromeMock();
   Object.defineProperty(globalThis, 'navigator', {
     value: { userAgent: 'MacIntel' },
     configurable: true
   });
-  await loadBackground();
+  background = await loadBackground();
 });
 
 test('updateAlarms message triggers alarm creation', () => {
@@ -111,19 +146,149 @@ test('createOneTimeTimer message schedules a one-time alarm', () => {
 
   onMessageListener({ action: 'createOneTimeTimer', minutes: 5 }, {}, () => {});
 
-  assert.equal(createdAlarm.name, 'oneTime');
+  assert.match(createdAlarm.name, /^oneTime\|/);
   assert.equal(createdAlarm.options.delayInMinutes, 5);
 });
 
-test('one-time alarm notifies popup of completion', () => {
+test('labeled timers run side by side and each can be cancelled', () => {
+  const createdAlarms = [];
+  const clearedAlarms = [];
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.alarms.clear = (name, callback) => { clearedAlarms.push(name); callback?.(true); };
+
+  const responses = [];
+  onMessageListener({ action: 'createOneTimeTimer', minutes: 45, label: '  Laundry ' }, {}, (response) => responses.push(response));
+  onMessageListener({ action: 'createOneTimeTimer', minutes: 10, label: 'Call' }, {}, (response) => responses.push(response));
+
+  assert.deepEqual(createdAlarms.map(({ options }) => options.delayInMinutes), [45, 10]);
+  const [laundry, call] = responses.map(({ timer }) => timer);
+  assert.equal(laundry.label, 'Laundry');
+  assert.notEqual(laundry.id, call.id);
+  assert.deepEqual(responses[1].timers.map(({ label }) => label), ['Laundry', 'Call']);
+
+  let cancelResponse = null;
+  onMessageListener({ action: 'cancelOneTimeTimer', id: laundry.id }, {}, (response) => { cancelResponse = response; });
+
+  assert.deepEqual(clearedAlarms, [`oneTime|${laundry.id}`]);
+  assert.deepEqual(cancelResponse.timers, [call]);
+});
+
+test('a timer whose entry cannot be saved gets no alarm', () => {
+  const createdAlarms = [];
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.storage.local.set = (items, callback) => {
+    global.chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+    callback?.();
+    global.chrome.runtime.lastError = null;
+  };
+
+  let response = null;
+  onMessageListener({ action: 'createOneTimeTimer', minutes: 5 }, {}, (result) => { response = result; });
+
+  assert.deepEqual(response, { ok: false, error: 'storage_error' });
+  assert.deepEqual(createdAlarms, []);
+});
+
+test('a timer alarm shows its label and tells the popup the timer is done', () => {
   const sentMessages = [];
+  let notificationOptions = null;
   global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: true });
   global.chrome.runtime.sendMessage = (message) => { sentMessages.push(message); };
-  global.chrome.notifications.create = () => {};
+  global.chrome.notifications.create = (options) => { notificationOptions = options; };
+  global.chrome.storage.local.set({
+    oneTimeTimersV1: [{ id: 'a', label: 'Laundry', durationMinutes: 45, scheduledTime: Date.now() }]
+  });
+
+  onAlarmListener({ name: 'oneTime|a' });
+
+  assert.equal(notificationOptions.title, '⏱️ Laundry');
+  assert.equal(notificationOptions.message, 'Your timer is up!');
+  assert.deepEqual(sentMessages.find((message) => message?.action === 'oneTimeTimersChanged').timers, []);
+});
+
+test('pausing a timer clears its alarm and resuming re-creates it from the time left', () => {
+  const now = Date.now();
+  const createdAlarms = [];
+  const clearedAlarms = [];
+  let notificationCount = 0;
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.alarms.clear = (name, callback) => { clearedAlarms.push(name); callback?.(true); };
+  global.chrome.alarms.getAll = (callback) => callback([{ name: 'oneTime|a', scheduledTime: now + 60000 }]);
+  global.chrome.storage.sync.get = (keys, callback) => callback({});
+  global.chrome.notifications.create = () => { notificationCount += 1; };
+  global.chrome.storage.local.set({
+    oneTimeTimersV1: [{ id: 'a', label: 'Call', durationMinutes: 10, scheduledTime: now + 4 * 60000 }]
+  });
+
+  let response = null;
+  onMessageListener({ action: 'pauseOneTimeTimer', id: 'a' }, {}, (result) => { response = result; });
+  assert.equal(response.ok, true);
+  assert.deepEqual(clearedAlarms, ['oneTime|a']);
+  const remainingMs = response.timers[0].pausedRemainingMs;
+  assert.ok(remainingMs > 3 * 60000 && remainingMs <= 4 * 60000);
+
+  // An alarm that fired while pausing, or one left behind, does not end the timer.
+  onAlarmListener({ name: 'oneTime|a' });
+  onMessageListener({ action: 'getOneTimeTimers' }, {}, (result) => { response = result; });
+  assert.equal(notificationCount, 0);
+  assert.equal(response.timers[0].pausedRemainingMs, remainingMs);
+  assert.deepEqual(clearedAlarms, ['oneTime|a', 'oneTime|a']);
+
+  onMessageListener({ action: 'pauseOneTimeTimer', id: 'a' }, {}, (result) => { response = result; });
+  assert.equal(response.error, 'not_running');
 
-  onAlarmListener({ name: 'oneTime' });
+  const resumedAt = Date.now();
+  onMessageListener({ action: 'resumeOneTimeTimer', id: 'a' }, {}, (result) => { response = result; });
+  assert.equal(response.ok, true);
+  assert.equal(response.timers[0].pausedRemainingMs, undefined);
+  assert.equal(createdAlarms.length, 1);
+  assert.equal(createdAlarms[0].name, 'oneTime|a');
+  assert.ok(createdAlarms[0].options.when >= resumedAt + remainingMs);
+});
+
+test('a pause or resume that cannot be saved leaves the timer alarm alone', () => {
+  const now = Date.now();
+  const alarmCalls = [];
+  global.chrome.alarms.create = (name) => { alarmCalls.push(['create', name]); };
+  global.chrome.alarms.clear = (name, callback) => { alarmCalls.push(['clear', name]); callback?.(true); };
+  global.chrome.storage.local.set({
+    oneTimeTimersV1: [
+      { id: 'a', label: 'Call', durationMinutes: 10, scheduledTime: now + 4 * 60000 },
+      { id: 'b', label: 'Tea', durationMinutes: 5, scheduledTime: now + 3 * 60000, pausedRemainingMs: 60000 }
+    ]
+  });
+  global.chrome.storage.local.set = (items, callback) => {
+    global.chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+    callback?.();
+    global.chrome.runtime.lastError = null;
+  };
+
+  const responses = [];
+  onMessageListener({ action: 'pauseOneTimeTimer', id: 'a' }, {}, (result) => { responses.push(result); });
+  onMessageListener({ action: 'resumeOneTimeTimer', id: 'b' }, {}, (result) => { responses.push(result); });
 
-  assert.ok(sentMessages.some((message) => message?.action === 'timerComplete'));
+  assert.deepEqual(responses, [{ ok: false, error: 'storage_error' }, { ok: false, error: 'storage_error' }]);
+  assert.deepEqual(alarmCalls, []);
+});
+
+test('getOneTimeTimers drops ended timers and re-arms lost alarms', () => {
+  const now = Date.now();
+  const createdAlarms = [];
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.alarms.getAll = (callback) => callback([{ name: 'oneTime|a', scheduledTime: now + 60000 }]);
+  global.chrome.storage.local.set({
+    oneTimeTimersV1: [
+      { id: 'a', label: '', durationMinutes: 5, scheduledTime: now + 30000 },
+      { id: 'b', label: 'Fired', durationMinutes: 5, scheduledTime: now - 1000 },
+      { id: 'c', label: 'Lost', durationMinutes: 20, scheduledTime: now + 600000 }
+    ]
+  });
+
+  let response = null;
+  onMessageListener({ action: 'getOneTimeTimers' }, {}, (result) => { response = result; });
+
+  assert.deepEqual(response.timers.map(({ id, scheduledTime }) => [id, scheduledTime]), [['a', now + 60000], ['c', now + 600000]]);
+  assert.deepEqual(createdAlarms, [{ name: 'oneTime|c', options: { when: now + 600000 } }]);
 });
 
 test('water alarm creates notification with buttons and macOS interaction settings', () => {
@@ -137,6 +302,29 @@ test('water alarm creates notification with buttons and macOS interaction settin
   assert.equal(notificationOptions.requireInteraction, false);
 });
 
+test('water notification mentions how much is left of the daily goal', () => {
+  const messages = [];
+  const settings = {
+    soundEnabled: false,
+    waterLogDate: new Date().toDateString(),
+    waterLogCount: 5,
+    waterLogVolumeMl: 1200,
+    waterGoalMl: 2000
+  };
+  global.chrome.storage.sync.get = (keys, callback) => callback({ ...settings });
+  global.chrome.notifications.create = (id, options) => { messages.push(options.message); };
+
+  onAlarmListener({ name: 'water' });
+  settings.waterUnit = 'floz';
+  onAlarmListener({ name: 'water' });
+  settings.waterLogVolumeMl = 2000;
+  onAlarmListener({ name: 'water' });
+
+  assert.match(messages[0], /0\.8 L left/);
+  assert.match(messages[1], /27 fl oz left/);
+  assert.match(messages[2], /reached today's goal/);
+});
+
 test('repeating alarm recreates itself with stored interval', () => {
   let createdAlarm = null;
   global.chrome.storage.sync.get = (keys, callback) => {
@@ -156,3 +344,882 @@ test('repeating alarm recreates itself with stored interval', () => {
   assert.equal(createdAlarm.name, 'blink');
   assert.equal(createdAlarm.options.delayInMinutes, 15);
 });
+
+test('a reminder with jitter is re-armed with a seeded random delay', () => {
+  const createdAlarms = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    waterInterval: 30,
+    waterJitterPercent: 20,
+    customReminders: [
+      { id: 'custom_1', name: 'Posture', emoji: '🪑', message: 'Sit up', interval: 60, enabled: true, jitterPercent: 10 }
+    ]
+  });
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+
+  background.seedJitter(7);
+  onAlarmListener({ name: 'water' });
+  onAlarmListener({ name: 'custom_1' });
+
+  const random = createSeededRandom(7);
+  const waterDelay = getJitteredInterval(30, 20, random);
+  const customDelay = getJitteredInterval(60, 10, random);
+  assert.notEqual(waterDelay, 30);
+  assert.deepEqual(createdAlarms, [
+    { name: 'water', options: { delayInMinutes: waterDelay } },
+    { name: 'custom_1', options: { delayInMinutes: customDelay } }
+  ]);
+});
+
+test('updateAlarms schedules custom reminders and clears deleted ones', () => {
+  const createdAlarms = [];
+  const clearedAlarms = [];
+  global.chrome.alarms.getAll = (callback) => callback([{ name: 'custom_2' }]);
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.alarms.clear = (name) => { clearedAlarms.push(name); };
+
+  onMessageListener({
+    action: 'updateAlarms',
+    settings: {
+      customReminders: [
+        { id: 'custom_1', name: 'Check posture', emoji: '🪑', message: 'Sit up straight!', interval: 25, enabled: true }
+      ]
+    }
+  }, {}, () => {});
+
+  assert.deepEqual(createdAlarms, [{ name: 'custom_1', options: { delayInMinutes: 25 } }]);
+  assert.ok(clearedAlarms.includes('custom_2'));
+});
+
+test('custom reminder alarm notifies with its own message and reschedules', () => {
+  let notificationOptions = null;
+  let createdAlarm = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: true,
+    customReminders: [
+      { id: 'custom_1', name: 'Take vitamins', emoji: '💊', message: 'Vitamins time!', interval: 60, enabled: true }
+    ]
+  });
+  global.chrome.notifications.create = (id, options) => { notificationOptions = options; };
+  global.chrome.alarms.create = (name, options) => { createdAlarm = { name, options }; };
+
+  onAlarmListener({ name: 'custom_1' });
+
+  assert.equal(notificationOptions.title, '💊 Take vitamins');
+  assert.equal(notificationOptions.message, 'Vitamins time!');
+  assert.deepEqual(createdAlarm, { name: 'custom_1', options: { delayInMinutes: 60 } });
+});
+
+test('updateAlarms arms clock reminders for their next time of day', () => {
+  const createdAlarms = [];
+  const clearedAlarms = [];
+  global.chrome.alarms.getAll = (callback) => callback([{ name: 'clock_old', scheduledTime: Date.now() + 1000 }]);
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.alarms.clear = (name) => { clearedAlarms.push(name); };
+
+  onMessageListener({
+    action: 'updateAlarms',
+    settings: {
+      clockReminders: [
+        { id: 'clock_1', name: 'Stand-up', emoji: '🕙', message: '', times: ['09:55'], repeat: 'daily', days: [], enabled: true }
+      ]
+    }
+  }, {}, () => {});
+
+  assert.equal(createdAlarms.length, 1);
+  assert.equal(createdAlarms[0].name, 'clock_1');
+  const next = new Date(createdAlarms[0].options.when);
+  assert.equal(next.getHours(), 9);
+  assert.equal(next.getMinutes(), 55);
+  assert.ok(createdAlarms[0].options.when > Date.now());
+  assert.ok(clearedAlarms.includes('clock_old'));
+});
+
+test('a clock reminder notifies and re-arms, but stays quiet while paused', () => {
+  const notifications = [];
+  const createdAlarms = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    clockReminders: [
+      { id: 'clock_1', name: 'Lunch', emoji: '🥪', message: 'Time to eat', times: ['12:30'], repeat: 'daily', days: [], enabled: true }
+    ]
+  });
+  global.chrome.notifications.create = (id, options) => { notifications.push(options); };
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+
+  const scheduledTime = Date.now();
+  onAlarmListener({ name: 'clock_1', scheduledTime });
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].title, '🥪 Lunch');
+  assert.equal(notifications[0].message, 'Time to eat');
+  assert.equal(createdAlarms[0].name, 'clock_1');
+  assert.ok(createdAlarms[0].options.when > scheduledTime);
+  assert.equal(new Date(createdAlarms[0].options.when).getMinutes(), 30);
+
+  onMessageListener({ action: 'pauseReminders', preset: '1h' }, {}, () => {});
+  createdAlarms.length = 0;
+  onAlarmListener({ name: 'clock_1', scheduledTime: Date.now() });
+
+  assert.equal(notifications.length, 1);
+  assert.equal(createdAlarms[0].name, 'clock_1');
+});
+
+test('Done and Snooze on a clock reminder clear it and update its log entry', async () => {
+  const notificationIds = [];
+  const clearedNotifications = [];
+  const createdAlarms = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: false,
+    snoozeMinutes: 10,
+    clockReminders: [
+      { id: 'clock_1', name: 'Lunch', emoji: '🥪', message: 'Time to eat', times: ['12:30'], repeat: 'daily', days: [], enabled: true }
+    ]
+  });
+  global.chrome.notifications.create = (id) => { notificationIds.push(id); };
+  global.chrome.notifications.clear = (id) => { clearedNotifications.push(id); };
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+
+  onAlarmListener({ name: 'clock_1', scheduledTime: Date.now() });
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  onAlarmListener({ name: 'clock_1', scheduledTime: Date.now() });
+  const [doneId, snoozeId] = notificationIds;
+
+  onButtonClickedListener(doneId, 0);
+  onButtonClickedListener(snoozeId, 1);
+
+  assert.deepEqual(clearedNotifications, [doneId, snoozeId]);
+  assert.deepEqual(createdAlarms.at(-1), { name: 'snooze|clock_1', options: { delayInMinutes: 10 } });
+  let log = null;
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.deepEqual(log.map(([type, , outcome]) => [type, outcome]), [['clock_1', 'done'], ['clock_1', 'snoozed']]);
+});
+
+test('clock reminders can be fired now or have their next occurrence skipped', async () => {
+  const lunch = { id: 'clock_1', name: 'Lunch', emoji: '🥪', message: 'Time to eat', times: ['12:30'], repeat: 'daily', days: [], enabled: true };
+  const skippedAt = getNextClockTime(lunch, Date.now());
+  const followingAt = getNextClockTime(lunch, skippedAt);
+  let alarms = [{ name: 'clock_1', scheduledTime: skippedAt }];
+  const notifications = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: false, clockReminders: [lunch] });
+  global.chrome.notifications.create = (id, options) => { notifications.push(options); };
+  global.chrome.alarms.get = (name, callback) => callback(alarms.find((alarm) => alarm.name === name));
+  global.chrome.alarms.getAll = (callback) => callback(alarms);
+  global.chrome.alarms.create = (name, options) => {
+    alarms = [...alarms.filter((alarm) => alarm.name !== name), { name, scheduledTime: options.when }];
+  };
+  const respond = (message) => new Promise((resolve) => onMessageListener(message, {}, resolve));
+
+  assert.deepEqual(await respond({ action: 'fireReminderNow', type: 'clock_1' }), { ok: true });
+  assert.equal(notifications[0].title, '🥪 Lunch');
+  assert.deepEqual(alarms, [{ name: 'clock_1', scheduledTime: skippedAt }]);
+
+  assert.deepEqual(await respond({ action: 'skipNextReminder', type: 'clock_1' }), { ok: true });
+  assert.deepEqual(alarms, [{ name: 'clock_1', scheduledTime: followingAt }]);
+  assert.deepEqual(await respond({ action: 'restartReminder', type: 'clock_1' }), { ok: false, error: 'not_supported' });
+
+  // Saving settings re-arms clock alarms without bringing the skipped time back
+  onMessageListener({ action: 'updateAlarms', settings: { clockReminders: [lunch] } }, {}, () => {});
+  assert.deepEqual(alarms, [{ name: 'clock_1', scheduledTime: followingAt }]);
+});
+
+test('built-in reminders rotate through the edited tip pool without repeats', () => {
+  const messages = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: false,
+    stretchEnabled: true,
+    stretchTips: ['Roll your shoulders', 'Stretch your wrists', 'Twist gently']
+  });
+  global.chrome.notifications.create = (id, options) => { messages.push(options.message); };
+
+  for (let index = 0; index < 6; index += 1) {
+    onAlarmListener({ name: 'stretch' });
+  }
+
+  assert.deepEqual([...messages.slice(0, 3)].sort(), ['Roll your shoulders', 'Stretch your wrists', 'Twist gently']);
+  assert.deepEqual([...messages.slice(3)].sort(), ['Roll your shoulders', 'Stretch your wrists', 'Twist gently']);
+  assert.notEqual(messages[3], messages[2]);
+});
+
+test('repeating alarm outside working hours is suppressed and deferred to the next window', () => {
+  const evening = new Date(2025, 0, 15, 20, 0).getTime(); // Wednesday 20:00
+  const nextWindowStart = new Date(2025, 0, 16, 9, 0).getTime();
+  let createdAlarm = null;
+  let notificationCreated = false;
+  global.chrome.storage.sync.get = (keys, callback) => {
+    if (keys.includes('soundEnabled')) {
+      callback({
+        soundEnabled: true,
+        workSchedule: { enabled: true, days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', lunchEnabled: false }
+      });
+      return;
+    }
+    callback({ blinkInterval: 20 });
+  };
+  global.chrome.alarms.create = (name, options) => { createdAlarm = { name, options }; };
+  global.chrome.notifications.create = () => { notificationCreated = true; };
+
+  const originalNow = Date.now;
+  Date.now = () => evening;
+  try {
+    onAlarmListener({ name: 'blink' });
+  } finally {
+    Date.now = originalNow;
+  }
+
+  assert.equal(notificationCreated, false);
+  assert.equal(createdAlarm.name, 'blink');
+  assert.equal(createdAlarm.options.when, nextWindowStart + 20 * 60 * 1000);
+});
+
+test('getScheduleStatus reports the next working window when outside hours', () => {
+  const lunchTime = new Date(2025, 0, 13, 12, 30).getTime(); // Monday 12:30
+  let response = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    workSchedule: {
+      enabled: true,
+      days: [1, 2, 3, 4, 5],
+      start: '09:00',
+      end: '18:00',
+      lunchEnabled: true,
+      lunchStart: '12:00',
+      lunchEnd: '13:00'
+    }
+  });
+
+  const originalNow = Date.now;
+  Date.now = () => lunchTime;
+  try {
+    onMessageListener({ action: 'getScheduleStatus' }, {}, (value) => { response = value; });
+  } finally {
+    Date.now = originalNow;
+  }
+
+  assert.equal(response.active, false);
+  assert.equal(response.nextChange, new Date(2025, 0, 13, 13, 0).getTime());
+});
+
+test('locking the screen suspends repeating alarms and returning restarts them from zero', () => {
+  const clearedAlarms = [];
+  const createdAlarms = [];
+  global.chrome.alarms.getAll = (callback) => callback([{ name: 'blink' }, { name: 'custom_1' }, { name: 'oneTime|a' }]);
+  global.chrome.alarms.clear = (name) => { clearedAlarms.push(name); };
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    idlePauseEnabled: true,
+    blinkEnabled: true,
+    blinkInterval: 20,
+    customReminders: [
+      { id: 'custom_1', name: 'Check posture', emoji: '🪑', message: 'Sit up straight!', interval: 25, enabled: true }
+    ]
+  });
+
+  onIdleStateChangedListener('locked');
+  assert.deepEqual(clearedAlarms, ['blink', 'custom_1']);
+
+  // Alarms that race with suspension are ignored.
+  let notificationCreated = false;
+  global.chrome.notifications.create = () => { notificationCreated = true; };
+  onAlarmListener({ name: 'blink' });
+  assert.equal(notificationCreated, false);
+
+  onIdleStateChangedListener('active');
+  assert.deepEqual(createdAlarms, [
+    { name: 'blink', options: { delayInMinutes: 20 } },
+    { name: 'custom_1', options: { delayInMinutes: 25 } }
+  ]);
+});
+
+test('every reminder notification offers Done and Snooze buttons', () => {
+  let notification = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: true, snoozeMinutes: 10 });
+  global.chrome.notifications.create = (id, options) => { notification = { id, options }; };
+
+  onAlarmListener({ name: 'blink' });
+
+  assert.match(notification.id, /^blink\|\d+$/);
+  assert.deepEqual(notification.options.buttons, [{ title: 'Done' }, { title: 'Snooze 10 min' }]);
+
+  onAlarmListener({ name: 'stretch' });
+
+  assert.match(notification.id, /^stretch\|\d+$/);
+  assert.deepEqual(notification.options.buttons, [{ title: 'Start routine' }, { title: 'Snooze 10 min' }]);
+});
+
+test('Start routine opens the routine page and finishing it marks the reminder done', () => {
+  const openedUrls = [];
+  let notificationId = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: false });
+  global.chrome.notifications.create = (id) => { notificationId = id; };
+  global.chrome.tabs.create = ({ url }) => { openedUrls.push(url); };
+
+  onAlarmListener({ name: 'up' });
+  onButtonClickedListener(notificationId, 0);
+
+  const url = new URL(openedUrls[0]);
+  assert.equal(url.pathname, '/routine.html');
+  assert.equal(url.searchParams.get('type'), 'up');
+  assert.equal(url.searchParams.get('notification'), notificationId);
+
+  let log = null;
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.equal(log[0][2], 'ignored');
+
+  let response = null;
+  onMessageListener({ action: 'routineCompleted', type: 'up', notificationId }, {}, (value) => { response = value; });
+  onMessageListener({ action: 'routineCompleted', type: 'stretch' }, {}, () => {});
+
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.deepEqual(response, { ok: true });
+  // The routine started without a notification adds no entry of its own
+  assert.equal(log.length, 1);
+  assert.equal(log[0][2], 'done');
+});
+
+test('snooze button schedules a one-off re-fire that does not reschedule the interval', () => {
+  const createdAlarms = [];
+  const clearedNotifications = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: true, snoozeMinutes: 5, upEnabled: true, upInterval: 45 });
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.notifications.clear = (id) => { clearedNotifications.push(id); };
+
+  onButtonClickedListener('up|1700000000000', 1);
+
+  assert.deepEqual(createdAlarms, [{ name: 'snooze|up', options: { delayInMinutes: 5 } }]);
+  assert.deepEqual(clearedNotifications, ['up|1700000000000']);
+
+  let notification = null;
+  global.chrome.notifications.create = (id, options) => { notification = { id, options }; };
+  onAlarmListener({ name: 'snooze|up' });
+
+  assert.match(notification.id, /^up\|\d+$/);
+  assert.equal(createdAlarms.length, 1);
+});
+
+test('Pomodoro advances from work to short break and to a long break every K cycles', () => {
+  const createdAlarms = [];
+  const sentMessages = [];
+  const notifications = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: true,
+    pomodoroWorkMinutes: 25,
+    pomodoroShortBreakMinutes: 5,
+    pomodoroLongBreakMinutes: 15,
+    pomodoroCyclesBeforeLongBreak: 2
+  });
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.runtime.sendMessage = (message) => { sentMessages.push(message); };
+  global.chrome.notifications.create = (options) => { notifications.push(options); };
+
+  let startResponse = null;
+  onMessageListener({ action: 'startPomodoro' }, {}, (response) => { startResponse = response; });
+  assert.equal(startResponse.state.phase, 'work');
+  assert.deepEqual(createdAlarms.at(-1), { name: 'pomodoro', options: { delayInMinutes: 25 } });
+
+  onAlarmListener({ name: 'pomodoro' });
+  assert.deepEqual(createdAlarms.at(-1), { name: 'pomodoro', options: { delayInMinutes: 5 } });
+  assert.equal(sentMessages.at(-1).state.phase, 'shortBreak');
+  assert.equal(sentMessages.at(-1).state.completedCycles, 1);
+
+  onAlarmListener({ name: 'pomodoro' });
+  assert.equal(sentMessages.at(-1).state.phase, 'work');
+
+  onAlarmListener({ name: 'pomodoro' });
+  assert.deepEqual(createdAlarms.at(-1), { name: 'pomodoro', options: { delayInMinutes: 15 } });
+  assert.equal(sentMessages.at(-1).state.phase, 'longBreak');
+  assert.equal(sentMessages.at(-1).state.completedCycles, 2);
+  assert.match(notifications.at(-1).message, /15-minute long break/);
+});
+
+test('pausing clears repeating alarms and resuming restarts them without losing settings', () => {
+  const clearedAlarms = [];
+  const createdAlarms = [];
+  global.chrome.alarms.getAll = (callback) => callback([{ name: 'water' }, { name: 'snooze|up' }, { name: 'oneTime|a' }]);
+  global.chrome.alarms.clear = (name) => { clearedAlarms.push(name); };
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: true, waterEnabled: true, waterInterval: 30 });
+
+  const now = Date.now();
+  let pauseResponse = null;
+  onMessageListener({ action: 'pauseReminders', preset: '1h' }, {}, (response) => { pauseResponse = response; });
+
+  assert.equal(pauseResponse.ok, true);
+  assert.ok(pauseResponse.pauseState.pausedUntil >= now + 60 * 60 * 1000);
+  assert.deepEqual(clearedAlarms, ['water', 'snooze|up']);
+  assert.deepEqual(createdAlarms, [{ name: 'pauseEnd', options: { when: pauseResponse.pauseState.pausedUntil } }]);
+
+  // Settings changes while paused do not recreate alarms.
+  onMessageListener({ action: 'updateAlarms', settings: { waterEnabled: true, waterInterval: 30 } }, {}, () => {});
+  assert.equal(createdAlarms.length, 1);
+
+  onAlarmListener({ name: 'pauseEnd' });
+  assert.deepEqual(createdAlarms.at(-1), { name: 'water', options: { delayInMinutes: 30 } });
+});
+
+test('pauseReminders rejects unknown presets', () => {
+  let response = null;
+  onMessageListener({ action: 'pauseReminders', preset: 'forever-ish' }, {}, (value) => { response = value; });
+  assert.deepEqual(response, { ok: false, error: 'invalid_pause_preset' });
+});
+
+test('logging water also records the day in the persistent history', async () => {
+  const syncStore = { waterLogCount: 2, waterLogVolumeMl: 500, waterGlassMl: 300, waterLogDate: new Date().toDateString() };
+  global.chrome.storage.sync.get = (keys, callback) => callback({ ...syncStore });
+  global.chrome.storage.sync.set = (items, callback) => { Object.assign(syncStore, items); callback?.(); };
+  global.chrome.storage.local.set({
+    waterHistoryV1: { '2000-01-01': 5 }
+  });
+
+  onButtonClickedListener('water|1700000000000', 0);
+
+  const history = await new Promise((resolve) => {
+    global.chrome.storage.local.get(['waterHistoryV1'], (result) => resolve(result.waterHistoryV1));
+  });
+  const today = new Date();
+  const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  assert.equal(syncStore.waterLogCount, 3);
+  assert.equal(syncStore.waterLogVolumeMl, 800);
+  assert.deepEqual(history, { [todayKey]: [3, 800] });
+});
+
+test('reminder notifications are logged with their outcome', () => {
+  const notificationIds = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: false });
+  global.chrome.alarms.create = () => {};
+  global.chrome.notifications.create = (id) => { notificationIds.push(id); };
+
+  onAlarmListener({ name: 'blink' });
+  onAlarmListener({ name: 'stretch' });
+  onAlarmListener({ name: 'up' });
+  const [blinkId, stretchId, upId] = notificationIds;
+
+  onButtonClickedListener(blinkId, 0);
+  onClosedListener(blinkId, false);
+  onButtonClickedListener(stretchId, 1);
+  onClosedListener(upId, true);
+  onClosedListener(upId, true);
+
+  let log = null;
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.deepEqual(log.map(([type, , outcome]) => [type, outcome]), [
+    ['blink', 'done'],
+    ['stretch', 'snoozed'],
+    ['up', 'skipped']
+  ]);
+});
+
+test('reminder notifications that are never touched stay ignored', () => {
+  let notificationId = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: false });
+  global.chrome.alarms.create = () => {};
+  global.chrome.notifications.create = (id) => { notificationId = id; };
+  global.chrome.storage.local.set({ reminderLogV1: [['blink', 0, 'done']] });
+
+  onAlarmListener({ name: 'water' });
+  onClosedListener(notificationId, false);
+
+  let log = null;
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.equal(log.length, 1, 'entries outside the retention window are pruned');
+  assert.equal(log[0][0], 'water');
+  assert.equal(log[0][2], 'ignored');
+});
+
+test('an ignored reminder escalates with stronger wording up to the repeat limit', () => {
+  const notifications = [];
+  const createdAlarms = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: false,
+    escalationRepeats: 2,
+    escalationMinutes: 3,
+    customReminders: [
+      { id: 'custom_1', name: 'Posture', emoji: '🪑', message: 'Sit up straight', interval: 30, enabled: true }
+    ]
+  });
+  global.chrome.notifications.create = (id, options) => { notifications.push({ id, options }); };
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+
+  onAlarmListener({ name: 'custom_1' });
+  const notificationId = notifications[0].id;
+  const escalationAlarm = `escalate|${notificationId}`;
+  assert.deepEqual(createdAlarms.find(({ name }) => name === escalationAlarm), { name: escalationAlarm, options: { delayInMinutes: 3 } });
+
+  // The notification timing out on its own is not an interaction
+  onClosedListener(notificationId, false);
+  onAlarmListener({ name: escalationAlarm });
+  assert.equal(notifications[1].id, notificationId);
+  assert.equal(notifications[1].options.title, '❗ 🪑 Posture');
+  assert.equal(notifications[1].options.message, 'Still waiting: Sit up straight');
+  assert.equal(notifications[1].options.buttons.length, 2);
+  assert.deepEqual(createdAlarms.at(-1), { name: escalationAlarm, options: { delayInMinutes: 3 } });
+
+  createdAlarms.length = 0;
+  onAlarmListener({ name: escalationAlarm });
+  assert.equal(notifications[2].options.message, 'Last reminder: Sit up straight');
+  assert.deepEqual(createdAlarms, []);
+
+  onAlarmListener({ name: escalationAlarm });
+  assert.equal(notifications.length, 3);
+
+  let log = null;
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.deepEqual(log.map(([type, , outcome]) => [type, outcome]), [['custom_1', 'ignored']]);
+});
+
+test('interacting with a reminder or a newer one of the same type stops its escalation', async () => {
+  const notificationIds = [];
+  const clearedAlarms = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({ soundEnabled: false, escalationRepeats: 3 });
+  global.chrome.notifications.create = (id) => { notificationIds.push(id); };
+  global.chrome.alarms.create = () => {};
+  global.chrome.alarms.clear = (name) => { clearedAlarms.push(name); };
+
+  onAlarmListener({ name: 'blink' });
+  onAlarmListener({ name: 'stretch' });
+  onAlarmListener({ name: 'up' });
+  const [blinkId, stretchId, upId] = notificationIds;
+
+  onButtonClickedListener(blinkId, 1);
+  onClosedListener(stretchId, true);
+  onNotificationClickedListener(upId);
+  assert.deepEqual(clearedAlarms, [`escalate|${blinkId}`, `escalate|${stretchId}`, `escalate|${upId}`]);
+  let log = null;
+  global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+  assert.deepEqual(log.map(([type, , outcome]) => [type, outcome]), [['blink', 'snoozed'], ['stretch', 'skipped'], ['up', 'skipped']]);
+
+  [blinkId, stretchId, upId].forEach((id) => onAlarmListener({ name: `escalate|${id}` }));
+  assert.equal(notificationIds.length, 3);
+
+  // A new water reminder replaces the escalation of the previous one
+  onAlarmListener({ name: 'water' });
+  const firstWaterId = notificationIds.at(-1);
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  onAlarmListener({ name: 'water' });
+  assert.ok(clearedAlarms.includes(`escalate|${firstWaterId}`));
+  onAlarmListener({ name: `escalate|${firstWaterId}` });
+  assert.equal(notificationIds.length, 5);
+});
+
+test('interacting with an escalating clock reminder stops its escalation', async () => {
+  const notificationIds = [];
+  const clearedAlarms = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: false,
+    escalationRepeats: 3,
+    clockReminders: [
+      { id: 'clock_1', name: 'Lunch', emoji: '🥪', message: 'Time to eat', times: ['12:30'], repeat: 'daily', days: [], enabled: true }
+    ]
+  });
+  global.chrome.notifications.create = (id) => { notificationIds.push(id); };
+  global.chrome.alarms.create = () => {};
+  global.chrome.alarms.clear = (name) => { clearedAlarms.push(name); };
+
+  const interactions = [
+    (id) => onButtonClickedListener(id, 0),
+    (id) => onClosedListener(id, true),
+    (id) => onNotificationClickedListener(id)
+  ];
+  for (const interact of interactions) {
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    onAlarmListener({ name: 'clock_1', scheduledTime: Date.now() });
+    const notificationId = notificationIds.at(-1);
+    interact(notificationId);
+    assert.ok(clearedAlarms.includes(`escalate|${notificationId}`));
+
+    onAlarmListener({ name: `escalate|${notificationId}` });
+    assert.equal(notificationIds.at(-1), notificationId);
+    assert.equal(notificationIds.filter((id) => id === notificationId).length, 1);
+  }
+});
+
+test('blink break window replaces the notification and logs done or skipped', () => {
+  const windows = [];
+  let notificationCreated = false;
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: false,
+    blinkEnabled: true,
+    blinkBreakWindowEnabled: true,
+    blinkBreakSeconds: 30
+  });
+  global.chrome.notifications.create = () => { notificationCreated = true; };
+  global.chrome.windows.create = (options, callback) => {
+    windows.push(options);
+    callback({ id: windows.length });
+  };
+  const readLog = () => {
+    let log = null;
+    global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+    return log;
+  };
+
+  onAlarmListener({ name: 'blink' });
+
+  assert.equal(notificationCreated, false);
+  const url = new URL(windows[0].url);
+  assert.equal(url.pathname, '/blink.html');
+  assert.equal(url.searchParams.get('seconds'), '30');
+  assert.equal(windows[0].type, 'popup');
+  const notificationId = url.searchParams.get('notification');
+
+  onMessageListener({ action: 'blinkBreakCompleted', notificationId }, {}, () => {});
+  onWindowRemovedListener(1);
+  assert.equal(readLog()[0][2], 'done');
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 60000;
+  try {
+    onAlarmListener({ name: 'blink' });
+  } finally {
+    Date.now = realNow;
+  }
+  onWindowRemovedListener(99);
+  assert.equal(readLog()[1][2], 'ignored');
+  onWindowRemovedListener(2);
+  assert.equal(readLog()[1][2], 'skipped');
+});
+
+test('a new blink break logs the still-open previous one as skipped', () => {
+  const removedWindows = [];
+  let nextWindowId = 1;
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: false,
+    blinkEnabled: true,
+    blinkBreakWindowEnabled: true
+  });
+  global.chrome.windows.create = (options, callback) => callback({ id: nextWindowId++ });
+  global.chrome.windows.remove = (windowId, callback) => {
+    removedWindows.push(windowId);
+    callback();
+  };
+  const readLog = () => {
+    let log = null;
+    global.chrome.storage.local.get(['reminderLogV1'], (result) => { log = result.reminderLogV1; });
+    return log;
+  };
+
+  onAlarmListener({ name: 'blink' });
+  const realNow = Date.now;
+  Date.now = () => realNow() + 60000;
+  try {
+    onAlarmListener({ name: 'blink' });
+  } finally {
+    Date.now = realNow;
+  }
+
+  assert.deepEqual(removedWindows, [1]);
+  assert.deepEqual(readLog().map((entry) => entry[2]), ['skipped', 'ignored']);
+
+  // The old window's onRemoved only arrives once the new window is stored
+  onWindowRemovedListener(1);
+  assert.deepEqual(readLog().map((entry) => entry[2]), ['skipped', 'ignored']);
+});
+
+test('a picked sound plays through the offscreen document and mutes the notification', async () => {
+  const sentMessages = [];
+  let notificationOptions = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    soundEnabled: true,
+    soundVolume: 40,
+    waterSound: 'chime'
+  });
+  global.chrome.runtime.sendMessage = (message, callback) => {
+    sentMessages.push(message);
+    callback?.({ ok: true });
+  };
+  global.chrome.notifications.create = (id, options) => { notificationOptions = options; };
+
+  onAlarmListener({ name: 'water' });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  assert.equal(notificationOptions.silent, true);
+  // Earlier tests' module instances may still be flushing their own sounds
+  const playMessage = sentMessages.find((message) => message?.action === 'playNotificationSound' && message.alarmName === 'water');
+  assert.deepEqual(playMessage, { action: 'playNotificationSound', alarmName: 'water', tone: 'chime', volume: 40 });
+});
+
+test('the uploaded sound file is passed to the offscreen document, with a beep fallback', async () => {
+  const sentMessages = [];
+  global.chrome.runtime.sendMessage = (message, callback) => {
+    sentMessages.push(message);
+    callback?.({ ok: true });
+  };
+
+  onMessageListener({ action: 'previewSound', alarmName: 'blink', tone: 'file', volume: 80 }, {}, () => {});
+  global.chrome.storage.local.set({ customSoundV1: { name: 'ding.mp3', dataUrl: 'data:audio/mpeg;base64,AAAA' } });
+  onMessageListener({ action: 'previewSound', alarmName: 'blink', tone: 'file', volume: 80 }, {}, () => {});
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  const playMessages = sentMessages.filter((message) => message?.action === 'playNotificationSound' && message.alarmName === 'blink');
+  assert.equal(playMessages.length, 2);
+  assert.equal(playMessages[0].tone, 'beep');
+  assert.equal(playMessages[1].tone, 'file');
+  assert.equal(playMessages[1].audioDataUrl, 'data:audio/mpeg;base64,AAAA');
+});
+
+test('spoken reminders read the notification message through the offscreen document', async () => {
+  const sentMessages = [];
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    upEnabled: true,
+    speechEnabled: true,
+    speechVoice: 'Alex',
+    speechRate: 120,
+    upTips: ['Walk to the window and back.']
+  });
+  global.chrome.runtime.sendMessage = (message, callback) => {
+    sentMessages.push(message);
+    callback?.({ ok: true });
+  };
+
+  onAlarmListener({ name: 'up' });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  const speakMessage = sentMessages.find((message) => message?.action === 'speakNotificationText' &&
+    message.text === 'Walk to the window and back.');
+  assert.deepEqual(speakMessage, {
+    action: 'speakNotificationText',
+    text: 'Walk to the window and back.',
+    voice: 'Alex',
+    rate: 120,
+    volume: 80
+  });
+  global.chrome.storage.local.get(['speechPlaybackSupportedV1'], (result) => {
+    assert.equal(result.speechPlaybackSupportedV1, true);
+  });
+});
+
+test('a failed speech preview flags spoken reminders as unsupported', async () => {
+  const sentMessages = [];
+  global.chrome.runtime.sendMessage = (message, callback) => {
+    sentMessages.push(message);
+    callback?.(message?.action === 'speakNotificationText'
+      ? { ok: false, error: 'Speech synthesis not available' }
+      : { ok: true });
+  };
+
+  onMessageListener({ action: 'previewSpeech', text: 'Preview sentence', voice: '', rate: 100, volume: 80 }, {}, () => {});
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  assert.ok(sentMessages.some((message) => message?.action === 'speakNotificationText' && message.text === 'Preview sentence'));
+  assert.ok(sentMessages.some((message) => message?.action === 'speechPlaybackUnsupported'));
+  global.chrome.storage.local.get(['speechPlaybackSupportedV1'], (result) => {
+    assert.equal(result.speechPlaybackSupportedV1, false);
+  });
+});
+
+test('starting the one-time timer shows its countdown on the toolbar badge', async () => {
+  const badge = {};
+  const createdAlarms = {};
+  global.chrome.action = {
+    setBadgeText: ({ text }) => { badge.text = text; },
+    setBadgeBackgroundColor: ({ color }) => { badge.color = color; },
+    setBadgeTextColor: () => {}
+  };
+  global.chrome.storage.sync.get = (keys, callback) => callback({});
+  global.chrome.alarms.create = (name, options) => { createdAlarms[name] = options; };
+  global.chrome.alarms.getAll = (callback) => callback([
+    { name: 'water', scheduledTime: Date.now() + 20 * 60 * 1000 },
+    { name: 'oneTime|a', scheduledTime: Date.now() + 5 * 60 * 1000 }
+  ]);
+
+  onMessageListener({ action: 'createOneTimeTimer', minutes: 5 }, {}, () => {});
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  assert.deepEqual(badge, { text: '5m', color: '#E53935' });
+  assert.ok(createdAlarms.badgeRefresh.when > Date.now());
+
+  let refreshedBadge = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({ badgeMode: 'off' });
+  global.chrome.action.setBadgeText = ({ text }) => { refreshedBadge = text; };
+  onAlarmListener({ name: 'badgeRefresh' });
+  assert.equal(refreshedBadge, '');
+});
+
+test('reminders can be fired now, have their next occurrence skipped, or be restarted', async () => {
+  const now = Date.now();
+  const createdAlarms = [];
+  let notificationId = null;
+  global.chrome.storage.sync.get = (keys, callback) => callback({
+    stretchEnabled: true,
+    stretchInterval: 40,
+    blinkEnabled: false,
+    blinkInterval: 20
+  });
+  global.chrome.alarms.get = (name, callback) => callback(name === 'stretch' ? { name, scheduledTime: now + 10 * 60000 } : undefined);
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.notifications.create = (id) => { notificationId = id; };
+  const respond = (message) => new Promise((resolve) => onMessageListener(message, {}, resolve));
+
+  assert.deepEqual(await respond({ action: 'fireReminderNow', type: 'stretch' }), { ok: true });
+  assert.match(notificationId, /^stretch\|/);
+  assert.deepEqual(await respond({ action: 'fireReminderNow', type: 'custom_missing' }), { ok: false, error: 'unknown_reminder' });
+
+  assert.deepEqual(await respond({ action: 'skipNextReminder', type: 'stretch' }), { ok: true });
+  assert.deepEqual(createdAlarms.pop(), { name: 'stretch', options: { when: now + 50 * 60000 } });
+
+  assert.deepEqual(await respond({ action: 'restartReminder', type: 'stretch' }), { ok: true });
+  assert.deepEqual(createdAlarms.pop(), { name: 'stretch', options: { delayInMinutes: 40 } });
+
+  assert.deepEqual(await respond({ action: 'skipNextReminder', type: 'blink' }), { ok: false, error: 'not_enabled' });
+
+  global.chrome.storage.local.set({ pauseStateV1: { pausedAt: now, pausedUntil: null } });
+  assert.deepEqual(await respond({ action: 'restartReminder', type: 'stretch' }), { ok: false, error: 'suspended' });
+  assert.equal(createdAlarms.length, 0);
+});
+
+test('the timer shortcut stops a timer that is still being saved', async () => {
+  const feedback = [];
+  const clearedAlarms = [];
+  global.chrome.notifications.create = (id, options) => feedback.push(options.message);
+  global.chrome.alarms.clear = (name, callback) => { clearedAlarms.push(name); callback?.(true); };
+  // Storage answers asynchronously, as in the browser
+  const { get, set } = global.chrome.storage.local;
+  global.chrome.storage.local.get = (keys, callback) => setTimeout(() => get(keys, callback), 0);
+  global.chrome.storage.local.set = (items, callback) => setTimeout(() => set(items, callback), 0);
+
+  let started = null;
+  onMessageListener({ action: 'createOneTimeTimer', minutes: 20 }, {}, (response) => { started = response; });
+  onCommandListener('toggle-timer');
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  assert.equal(started.ok, true);
+  assert.deepEqual(clearedAlarms, [`oneTime|${started.timer.id}`]);
+  assert.deepEqual(feedback, ['⏱️ Timer stopped: 20-min timer.']);
+  get(['oneTimeTimersV1'], (result) => assert.deepEqual(result.oneTimeTimersV1, []));
+});
+
+test('keyboard shortcuts toggle the timer, log water and pause with brief feedback', async () => {
+  const feedback = [];
+  const createdAlarms = [];
+  const syncStore = { waterLogCount: 1, waterLogVolumeMl: 250, waterLogDate: new Date().toDateString(), waterGlassMl: 250 };
+  global.chrome.notifications.create = (id, options) => {
+    if (id === 'commandFeedback') {
+      feedback.push(options.message);
+    }
+  };
+  global.chrome.storage.sync.get = (keys, callback) => callback({ ...syncStore });
+  global.chrome.storage.sync.set = (items, callback) => { Object.assign(syncStore, items); callback?.(); };
+  global.chrome.alarms.getAll = (callback) => callback([]);
+  global.chrome.alarms.create = (name, options) => { createdAlarms.push({ name, options }); };
+  global.chrome.alarms.clear = (name, callback) => callback?.(true);
+  global.chrome.storage.local.set({ oneTimeLastMinutesV1: 15 });
+
+  onCommandListener('toggle-timer');
+  assert.deepEqual(createdAlarms.find(({ name }) => name.startsWith('oneTime|')).options, { delayInMinutes: 15 });
+  onCommandListener('toggle-timer');
+  global.chrome.storage.local.get(['oneTimeTimersV1'], (result) => assert.deepEqual(result.oneTimeTimersV1, []));
+
+  onCommandListener('log-water');
+  assert.equal(syncStore.waterLogCount, 2);
+  assert.equal(syncStore.waterLogVolumeMl, 500);
+
+  onCommandListener('toggle-pause');
+  global.chrome.storage.local.get(['pauseStateV1'], (result) => assert.equal(result.pauseStateV1.pausedUntil, null));
+  onCommandListener('toggle-pause');
+  global.chrome.storage.local.get(['pauseStateV1'], (result) => assert.equal(result.pauseStateV1, undefined));
+
+  assert.deepEqual(feedback, [
+    '⏱️ Timer started: 15 min.',
+    '⏱️ Timer stopped: 15-min timer.',
+    '💧 Glass logged: 0.5 L of 2.0 L today.',
+    '⏸️ Reminders paused until you resume.',
+    '▶️ Reminders resumed.'
+  ]);
+});
@@ -0,0 +1,77 @@
+/**
+ * backup-utils.test.js - Unit tests for backup export/import helpers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  buildBackup,
+  validateBackup,
+  mergeReminderLogs,
+  reminderLogToCsv,
+  waterHistoryToCsv
+} from '../../backup.js';
+
+const customReminder = {
+  id: 'custom_1',
+  name: 'Posture, please',
+  emoji: '🪑',
+  message: 'Sit up straight',
+  interval: 30,
+  enabled: true
+};
+
+test('buildBackup keeps known settings and stamps format and version', () => {
+  const backup = buildBackup(
+    { blinkEnabled: true, blinkInterval: 20, waterLogCount: 4, customReminders: [customReminder] },
+    { '2025-03-01': [3, 750] },
+    [['blink', 1, 'done']],
+    new Date('2025-03-02T10:00:00Z')
+  );
+
+  assert.equal(backup.format, BACKUP_FORMAT);
+  assert.equal(backup.version, BACKUP_VERSION);
+  assert.equal(backup.exportedAt, '2025-03-02T10:00:00.000Z');
+  assert.deepEqual(backup.settings, { blinkEnabled: true, blinkInterval: 20, customReminders: [customReminder] });
+  assert.deepEqual(validateBackup(JSON.parse(JSON.stringify(backup))).ok, true);
+});
+
+test('validateBackup enforces the popup interval bounds and rejects unknown data', () => {
+  const backup = buildBackup({}, {}, []);
+  const withSettings = (settings) => validateBackup({ ...backup, settings });
+
+  assert.equal(withSettings({ waterInterval: 90 }).ok, true);
+  assert.equal(withSettings({ waterInterval: 241 }).ok, false);
+  assert.equal(withSettings({ waterInterval: '30' }).ok, false);
+  assert.equal(withSettings({ customReminders: [{ ...customReminder, interval: 300 }] }).ok, false);
+  assert.equal(withSettings({ customReminders: [customReminder, customReminder] }).ok, false);
+  assert.equal(withSettings({ waterGoalMl: 10 }).ok, false);
+  assert.equal(withSettings({ snoozeMinutes: 7 }).ok, false);
+  assert.deepEqual(withSettings({ somethingElse: true }), { ok: false, error: 'Unknown setting: somethingElse.' });
+
+  assert.equal(validateBackup({ ...backup, format: 'other' }).ok, false);
+  assert.equal(validateBackup({ ...backup, version: BACKUP_VERSION + 1 }).ok, false);
+  assert.equal(validateBackup({ ...backup, waterHistory: { yesterday: 3 } }).ok, false);
+  assert.equal(validateBackup({ ...backup, reminderLog: [['blink', 1, 'maybe']] }).ok, false);
+});
+
+test('mergeReminderLogs de-duplicates by reminder and fire time', () => {
+  const merged = mergeReminderLogs(
+    [['blink', 2, 'ignored'], ['water', 1, 'done']],
+    [['blink', 2, 'done'], ['up', 3, 'skipped']]
+  );
+  assert.deepEqual(merged, [['water', 1, 'done'], ['blink', 2, 'done'], ['up', 3, 'skipped']]);
+});
+
+test('CSV exports include headers and quote awkward values', () => {
+  assert.equal(
+    reminderLogToCsv([['custom_a,b', Date.UTC(2025, 2, 1, 9), 'done']]),
+    'type,fired_at,outcome\n"custom_a,b",2025-03-01T09:00:00.000Z,done\n'
+  );
+  assert.equal(
+    waterHistoryToCsv({ '2025-03-02': [5, 1250], '2025-03-01': 3 }),
+    'date,glasses,volume_ml\n2025-03-01,3,\n2025-03-02,5,1250\n'
+  );
+});
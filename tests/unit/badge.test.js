@@ -0,0 +1,51 @@
+/**
+ * badge.test.js - Unit tests for the toolbar badge countdown.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BADGE_COLORS, getBadgeAlarm, formatBadgeText, getBadgeState } from '../../badge.js';
+
+const NOW = Date.UTC(2024, 0, 8, 9, 0);
+const MINUTE = 60 * 1000;
+
+const ALARMS = [
+  { name: 'water', scheduledTime: NOW + 30 * MINUTE },
+  { name: 'custom_abc', scheduledTime: NOW + 12 * MINUTE },
+  { name: 'snooze|blink', scheduledTime: NOW + 2 * MINUTE },
+  { name: 'pomodoro', scheduledTime: NOW + MINUTE },
+  { name: 'oneTime|b', scheduledTime: NOW + 45 * MINUTE },
+  { name: 'oneTime|a', scheduledTime: NOW + 20 * MINUTE }
+];
+
+test('getBadgeAlarm follows the badge mode', () => {
+  assert.equal(getBadgeAlarm(ALARMS, 'timer').name, 'oneTime|a');
+  assert.equal(getBadgeAlarm(ALARMS, 'reminder').name, 'custom_abc');
+  assert.equal(getBadgeAlarm(ALARMS, 'auto').name, 'oneTime|a');
+  assert.equal(getBadgeAlarm(ALARMS.filter(({ name }) => !name.startsWith('oneTime|')), 'auto').name, 'custom_abc');
+  assert.equal(getBadgeAlarm(ALARMS, 'off'), null);
+  assert.equal(getBadgeAlarm([], 'auto'), null);
+});
+
+test('formatBadgeText rounds up to minutes, then hours, then days', () => {
+  assert.equal(formatBadgeText(0), '1m');
+  assert.equal(formatBadgeText(12 * MINUTE - 1000), '12m');
+  assert.equal(formatBadgeText(60 * MINUTE), '60m');
+  assert.equal(formatBadgeText(61 * MINUTE), '2h');
+  assert.equal(formatBadgeText(26 * 60 * MINUTE), '2d');
+});
+
+test('getBadgeState colors by type and refreshes when the text changes', () => {
+  assert.deepEqual(getBadgeState(ALARMS, 'reminder', NOW + 30 * 1000), {
+    text: '12m',
+    color: BADGE_COLORS.custom,
+    refreshAt: NOW + MINUTE
+  });
+  assert.deepEqual(getBadgeState([{ name: 'up', scheduledTime: NOW + 90 * MINUTE }], 'auto', NOW), {
+    text: '2h',
+    color: BADGE_COLORS.up,
+    refreshAt: NOW + 30 * MINUTE
+  });
+  assert.equal(getBadgeState(ALARMS, 'timer', NOW).color, BADGE_COLORS.oneTime);
+  assert.equal(getBadgeState(ALARMS, 'off', NOW), null);
+});
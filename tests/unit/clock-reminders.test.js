@@ -0,0 +1,88 @@
+/**
+ * clock-reminders.test.js - Unit tests for clock-time reminders.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isClockReminderType,
+  getClockReminderDays,
+  getNextClockTime,
+  formatClockSchedule,
+  parseClockTimes
+} from '../../clock-reminders.js';
+import { isValidClockReminder } from '../../validation.js';
+
+// Fixed zone so the daylight saving cases below are deterministic
+process.env.TZ = 'America/New_York';
+
+const WATER = {
+  id: 'clock_1',
+  name: 'Water',
+  emoji: '💧',
+  message: 'Drink a glass',
+  times: ['15:00', '10:00', '12:30'],
+  repeat: 'daily',
+  days: [],
+  enabled: true
+};
+
+test('isValidClockReminder checks times, repeat and days', () => {
+  assert.equal(isValidClockReminder(WATER), true);
+  assert.equal(isValidClockReminder({ ...WATER, id: 'custom_1' }), false);
+  assert.equal(isValidClockReminder({ ...WATER, times: [] }), false);
+  assert.equal(isValidClockReminder({ ...WATER, times: ['10:00', '10:00'] }), false);
+  assert.equal(isValidClockReminder({ ...WATER, times: ['24:00'] }), false);
+  assert.equal(isValidClockReminder({ ...WATER, repeat: 'monthly' }), false);
+  assert.equal(isValidClockReminder({ ...WATER, repeat: 'days', days: [] }), false);
+  assert.equal(isValidClockReminder({ ...WATER, repeat: 'days', days: [1, 3] }), true);
+  assert.equal(isClockReminderType('clock_1'), true);
+  assert.equal(isClockReminderType('custom_1'), false);
+});
+
+test('getNextClockTime picks the next time today, or the first one tomorrow', () => {
+  const from = new Date(2025, 0, 8, 11, 0).getTime(); // Wednesday 11:00
+
+  assert.equal(getNextClockTime(WATER, from), new Date(2025, 0, 8, 12, 30).getTime());
+  assert.equal(getNextClockTime(WATER, new Date(2025, 0, 8, 12, 30).getTime()), new Date(2025, 0, 8, 15, 0).getTime());
+  assert.equal(getNextClockTime(WATER, new Date(2025, 0, 8, 23, 59).getTime()), new Date(2025, 0, 9, 10, 0).getTime());
+});
+
+test('getNextClockTime skips days the reminder does not repeat on', () => {
+  const standUp = { ...WATER, times: ['09:55'], repeat: 'weekdays' };
+  const friday = new Date(2025, 0, 10, 10, 0).getTime();
+
+  assert.deepEqual(getClockReminderDays(standUp), [1, 2, 3, 4, 5]);
+  assert.equal(getNextClockTime(standUp, friday), new Date(2025, 0, 13, 9, 55).getTime());
+  assert.equal(getNextClockTime({ ...standUp, repeat: 'days', days: [5] }, friday), new Date(2025, 0, 17, 9, 55).getTime());
+  assert.equal(getNextClockTime({ ...standUp, repeat: 'days', days: [] }, friday), null);
+});
+
+test('getNextClockTime keeps the wall-clock time across daylight saving changes', () => {
+  const daily = { ...WATER, times: ['10:00'] };
+
+  // Clocks go forward on 9 March 2025: 23 hours from 10:00 to 10:00
+  const beforeSpring = new Date(2025, 2, 8, 10, 0).getTime();
+  assert.equal(getNextClockTime(daily, beforeSpring) - beforeSpring, 23 * 60 * 60 * 1000);
+  assert.equal(new Date(getNextClockTime(daily, beforeSpring)).getHours(), 10);
+
+  // 02:30 does not exist that night and fires at 03:30 instead
+  const skipped = getNextClockTime({ ...WATER, times: ['02:30'] }, beforeSpring);
+  assert.equal(new Date(skipped).getHours(), 3);
+
+  // Clocks go back on 2 November 2025: 25 hours, and 01:30 fires once
+  const beforeFall = new Date(2025, 10, 1, 10, 0).getTime();
+  assert.equal(getNextClockTime(daily, beforeFall) - beforeFall, 25 * 60 * 60 * 1000);
+  const firstOneThirty = getNextClockTime({ ...WATER, times: ['01:30'] }, beforeFall);
+  const afterRepeat = getNextClockTime({ ...WATER, times: ['01:30'] }, firstOneThirty + 60 * 60 * 1000);
+  assert.equal(new Date(afterRepeat).getDate(), 3);
+});
+
+test('parseClockTimes and formatClockSchedule read and describe times', () => {
+  assert.deepEqual(parseClockTimes('15:00, 9:55 12:30;9:55'), ['09:55', '12:30', '15:00']);
+  assert.equal(parseClockTimes('10:00, noon'), null);
+  assert.equal(parseClockTimes('  '), null);
+
+  assert.equal(formatClockSchedule(WATER), '10:00, 12:30, 15:00 · Every day');
+  assert.equal(formatClockSchedule({ ...WATER, times: ['09:55'], repeat: 'days', days: [0, 3, 1] }), '09:55 · Mon, Wed, Sun');
+});
@@ -0,0 +1,36 @@
+/**
+ * escalation.test.js - Unit tests for escalating re-notification.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getEscalationAlarmName,
+  parseEscalationAlarmName,
+  getEscalatedNotification,
+  getEscalationSound
+} from '../../escalation.js';
+
+test('escalation alarm names round-trip the notification ID', () => {
+  const alarmName = getEscalationAlarmName('water|1700000000000');
+
+  assert.equal(alarmName, 'escalate|water|1700000000000');
+  assert.equal(parseEscalationAlarmName(alarmName), 'water|1700000000000');
+  assert.equal(parseEscalationAlarmName('water'), null);
+  assert.equal(parseEscalationAlarmName('escalate|'), null);
+});
+
+test('repeats are reworded more strongly and the last one says so', () => {
+  const notification = { title: '💧 Water', message: 'Time to drink some water!' };
+
+  assert.deepEqual(getEscalatedNotification(notification, 1, 3), {
+    title: '❗ 💧 Water',
+    message: 'Still waiting: Time to drink some water!'
+  });
+  assert.equal(getEscalatedNotification(notification, 3, 3).message, 'Last reminder: Time to drink some water!');
+});
+
+test('repeats play a louder double beep', () => {
+  assert.deepEqual(getEscalationSound({ tone: 'softBell', volume: 60 }), { tone: 'doubleBeep', volume: 80 });
+  assert.deepEqual(getEscalationSound({ tone: 'system', volume: 95 }), { tone: 'doubleBeep', volume: 100 });
+});
@@ -0,0 +1,39 @@
+/**
+ * history-utils.test.js - Unit tests for water history helpers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDailySeries } from '../../history.js';
+import { formatDateKey, getBarLabel } from '../../charts.js';
+
+test('formatDateKey zero-pads month and day', () => {
+  assert.equal(formatDateKey(new Date(2025, 0, 5)), '2025-01-05');
+  assert.equal(formatDateKey(new Date(2025, 11, 31)), '2025-12-31');
+});
+
+test('buildDailySeries fills missing days with zero, oldest first', () => {
+  const history = { '2025-02-27': 4, '2025-03-01': 6, '2025-01-01': 9 };
+  const series = buildDailySeries(history, 3, new Date(2025, 2, 1));
+
+  assert.deepEqual(series.map((entry) => [entry.dateKey, entry.count]), [
+    ['2025-02-27', 4],
+    ['2025-02-28', 0],
+    ['2025-03-01', 6]
+  ]);
+});
+
+test('buildDailySeries reads [count, volumeMl] entries alongside bare counts', () => {
+  const history = { '2025-03-01': [5, 1250], '2025-02-28': 3 };
+  const series = buildDailySeries(history, 2, new Date(2025, 2, 1));
+
+  assert.deepEqual(series.map((entry) => [entry.count, entry.volumeMl]), [[3, 0], [5, 1250]]);
+});
+
+test('getBarLabel thins out labels on 30-day charts', () => {
+  const date = new Date(2025, 2, 12);
+  assert.equal(getBarLabel(date, 0, 30), '12');
+  assert.equal(getBarLabel(date, 3, 30), '');
+  assert.equal(getBarLabel(date, 29, 30), '12');
+  assert.notEqual(getBarLabel(date, 3, 7), '');
+});
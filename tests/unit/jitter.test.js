@@ -0,0 +1,35 @@
+/**
+ * jitter.test.js - Unit tests for randomized reminder intervals.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededRandom, getJitteredInterval } from '../../jitter.js';
+
+test('createSeededRandom repeats its sequence for the same seed', () => {
+  const first = createSeededRandom(42);
+  const second = createSeededRandom(42);
+  const sequence = Array.from({ length: 5 }, () => first());
+
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), sequence);
+  assert.notDeepEqual(Array.from({ length: 5 }, createSeededRandom(43)), sequence);
+  sequence.forEach((value) => assert.ok(value >= 0 && value < 1));
+});
+
+test('getJitteredInterval spreads the interval within the percentage, to the second', () => {
+  const random = createSeededRandom(1);
+  const delays = Array.from({ length: 200 }, () => getJitteredInterval(30, 20, random));
+
+  delays.forEach((delay) => {
+    assert.ok(delay >= 24 && delay <= 36);
+    assert.ok(Math.abs(delay * 60 - Math.round(delay * 60)) < 1e-9);
+  });
+  assert.ok(Math.min(...delays) < 26 && Math.max(...delays) > 34);
+});
+
+test('getJitteredInterval keeps exact intervals without jitter and never goes under 30 seconds', () => {
+  assert.equal(getJitteredInterval(45, 0, () => 0), 45);
+  assert.equal(getJitteredInterval(30, 20, () => 0), 24);
+  assert.equal(getJitteredInterval(30, 20, () => 0.5), 30);
+  assert.equal(getJitteredInterval(0.5, 30, () => 0), 0.5);
+});
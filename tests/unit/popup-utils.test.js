@@ -6,35 +6,128 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   isValidInterval,
+  isValidCustomReminder,
+  fitsSyncItem,
+  isValidWorkSchedule,
   updateWaterLogBadge,
-  updateButtonCountdown
+  formatWaterProgress,
+  updateButtonCountdown,
+  formatCountdown,
+  formatIntervalText,
+  formatPomodoroStatus,
+  formatPauseBanner,
+  formatNextReminder
 } from '../../popup.js';
+import { parseIntervalText } from '../../validation.js';
 
 test('isValidInterval validates repeating intervals', () => {
   assert.equal(isValidInterval(0), true);
-  assert.equal(isValidInterval(60), true);
+  assert.equal(isValidInterval(90), true);
+  assert.equal(isValidInterval(240), true);
   assert.equal(isValidInterval(-1), false);
-  assert.equal(isValidInterval(61), false);
+  assert.equal(isValidInterval(241), false);
   assert.equal(isValidInterval('10'), true);
 });
 
-test('updateWaterLogBadge toggles badge visibility and text', () => {
-  const badge = { textContent: '', style: { display: '' } };
+test('interval text parses typed minutes and hours and formats back', () => {
+  assert.equal(parseIntervalText('90'), 90);
+  assert.equal(parseIntervalText('45m'), 45);
+  assert.equal(parseIntervalText('45 min'), 45);
+  assert.equal(parseIntervalText('2h'), 120);
+  assert.equal(parseIntervalText('1.5h'), 90);
+  assert.equal(parseIntervalText('1h30'), 90);
+  assert.equal(parseIntervalText('1h 30m'), 90);
+  assert.ok(Number.isNaN(parseIntervalText('')));
+  assert.ok(Number.isNaN(parseIntervalText('soon')));
+  assert.ok(Number.isNaN(parseIntervalText('1h30h')));
+
+  assert.equal(formatIntervalText(0), '0m');
+  assert.equal(formatIntervalText(45), '45m');
+  assert.equal(formatIntervalText(120), '2h');
+  assert.equal(formatIntervalText(95), '1h35');
+  assert.equal(formatIntervalText(65), '1h05');
+  [0, 45, 65, 90, 240].forEach((minutes) => assert.equal(parseIntervalText(formatIntervalText(minutes)), minutes));
+});
+
+test('isValidCustomReminder validates custom reminder definitions', () => {
+  const reminder = { id: 'custom_1', name: 'Check posture', emoji: '🪑', message: 'Sit up straight!', interval: 30, enabled: true };
+  assert.equal(isValidCustomReminder(reminder), true);
+  assert.equal(isValidCustomReminder({ ...reminder, id: 'blink' }), false);
+  assert.equal(isValidCustomReminder({ ...reminder, name: '   ' }), false);
+  assert.equal(isValidCustomReminder({ ...reminder, message: 'x'.repeat(201) }), false);
+  assert.equal(isValidCustomReminder({ ...reminder, interval: 241 }), false);
+  assert.equal(isValidCustomReminder({ ...reminder, jitterPercent: 20 }), true);
+  assert.equal(isValidCustomReminder({ ...reminder, jitterPercent: 25 }), false);
+  assert.equal(isValidCustomReminder(null), false);
+});
+
+test('fitsSyncItem rejects custom reminder lists over the sync per-item quota', () => {
+  // Cyrillic takes two UTF-8 bytes per character
+  const reminders = Array.from({ length: 20 }, (_, index) => ({
+    id: `custom_${index}`,
+    name: 'Ж'.repeat(40),
+    emoji: '⏰',
+    message: 'Ж'.repeat(200),
+    interval: 30,
+    enabled: true
+  }));
+  assert.equal(reminders.every(isValidCustomReminder), true);
+  assert.equal(fitsSyncItem('customReminders', reminders), false);
+  assert.equal(fitsSyncItem('customReminders', reminders.slice(0, 10)), true);
+});
+
+test('isValidWorkSchedule validates days, hours and lunch gap', () => {
+  const schedule = {
+    enabled: true,
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '18:00',
+    lunchEnabled: true,
+    lunchStart: '12:00',
+    lunchEnd: '13:00'
+  };
+  assert.equal(isValidWorkSchedule(schedule), true);
+  assert.equal(isValidWorkSchedule({ ...schedule, days: [] }), false);
+  assert.equal(isValidWorkSchedule({ ...schedule, end: '08:00' }), false);
+  assert.equal(isValidWorkSchedule({ ...schedule, lunchEnd: '19:00' }), false);
+  assert.equal(isValidWorkSchedule({ ...schedule, lunchEnabled: false, lunchEnd: '19:00' }), true);
+  assert.equal(isValidWorkSchedule({ ...schedule, start: '9am' }), false);
+});
+
+test('updateWaterLogBadge shows progress toward the daily goal', () => {
+  const properties = {};
+  const badge = {
+    textContent: '',
+    title: '',
+    style: { display: '', setProperty: (name, value) => { properties[name] = value; } }
+  };
   global.document = {
     getElementById: (id) => (id === 'waterLogBadge' ? badge : null)
   };
 
-  updateWaterLogBadge(0);
-  assert.equal(badge.textContent, 0);
-  assert.equal(badge.style.display, 'none');
-
-  updateWaterLogBadge(3);
-  assert.equal(badge.textContent, 3);
+  updateWaterLogBadge(0, 0);
+  assert.equal(badge.textContent, '0.0 / 2.0 L');
+  assert.equal(badge.title, '0 glasses today');
+  assert.equal(properties['--progress'], '0%');
   assert.equal(badge.style.display, 'flex');
 
+  updateWaterLogBadge(5, 1250);
+  assert.equal(badge.textContent, '1.3 / 2.0 L');
+  assert.equal(badge.title, '5 glasses today');
+  assert.equal(properties['--progress'], '63%');
+
+  updateWaterLogBadge(10, 2500);
+  assert.equal(properties['--progress'], '100%');
+
   delete global.document;
 });
 
+test('formatWaterProgress formats litres and fluid ounces', () => {
+  assert.equal(formatWaterProgress(1200, 2000, 'ml'), '1.2 / 2.0 L');
+  assert.equal(formatWaterProgress(1200, 2000, 'floz'), '41 / 68 fl oz');
+  assert.equal(formatWaterProgress(0, 2500, 'ml'), '0.0 / 2.5 L');
+});
+
 test('updateButtonCountdown renders a mm:ss countdown', () => {
   const button = { textContent: '' };
   global.document = {
@@ -56,3 +149,40 @@ test('updateButtonCountdown renders a mm:ss countdown', () => {
 
   delete global.document;
 });
+
+test('formatCountdown shows minutes and seconds left, never negative', () => {
+  assert.equal(formatCountdown(45 * 60 * 1000 + 5000), '45:05');
+  assert.equal(formatCountdown(999), '0:00');
+  assert.equal(formatCountdown(-5000), '0:00');
+});
+
+test('formatPomodoroStatus describes the phase and cycle count', () => {
+  assert.equal(formatPomodoroStatus({ phase: 'work', completedCycles: 5, cyclesBeforeLongBreak: 4 }), 'Focus · cycle 2 of 4');
+  assert.equal(formatPomodoroStatus({ phase: 'shortBreak', completedCycles: 1 }), 'Short break · 1 cycle done');
+  assert.equal(formatPomodoroStatus({ phase: 'longBreak', completedCycles: 4 }), 'Long break · 4 cycles done');
+});
+
+test('formatPauseBanner shows the resume time or an indefinite pause', () => {
+  assert.equal(formatPauseBanner({ pausedUntil: null }), '⏸️ Paused until you resume');
+
+  const pausedUntil = new Date();
+  pausedUntil.setHours(23, 59, 0, 0);
+  const clock = pausedUntil.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  assert.equal(formatPauseBanner({ pausedUntil: pausedUntil.getTime() }), `⏸️ Paused until ${clock}`);
+});
+
+test('formatNextReminder counts down to the next fire time', () => {
+  const now = Date.now();
+  assert.equal(formatNextReminder(now + 12 * 60000, now, false), 'Off');
+  assert.equal(formatNextReminder(undefined, now, true), 'Not scheduled');
+  assert.equal(formatNextReminder(now + 30 * 1000, now, true), 'Next in less than a minute');
+  assert.equal(formatNextReminder(now + 11 * 60000 + 1000, now, true), 'Next in 12 min');
+
+  const later = new Date(now + 3 * 3600000);
+  const clock = later.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  assert.match(formatNextReminder(later.getTime(), now, true), new RegExp(`^Next at (\\w+ )?${clock}$`));
+
+  const soon = new Date(now + 12 * 60000);
+  const soonClock = soon.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  assert.match(formatNextReminder(soon.getTime(), now, true, 20), new RegExp(`^Next at (\\w+ )?${soonClock} \\(±20%\\)$`));
+});
@@ -0,0 +1,111 @@
+/**
+ * routine-utils.test.js - Unit tests for guided routine and blink break helpers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_CUSTOM_ROUTINES,
+  MAX_ROUTINE_STEPS,
+  ROUTINE_NAME_MAX_LENGTH,
+  ROUTINE_INSTRUCTIONS_MAX_LENGTH,
+  ROUTINE_STEP_SECONDS,
+  SYNC_QUOTA_BYTES_PER_ITEM
+} from '../../constants.js';
+import {
+  DEFAULT_ROUTINES,
+  getAllRoutines,
+  getCustomRoutines,
+  toCustomRoutineItems,
+  getRoutineForType,
+  getRoutineDuration,
+  formatRoutineTime
+} from '../../routine-library.js';
+import { parseRoutineParams, getRoutineProgress } from '../../routine.js';
+import { isValidRoutine } from '../../validation.js';
+import { parseBlinkBreakParams } from '../../blink.js';
+
+const customRoutine = {
+  id: 'routine_1',
+  name: 'Morning loosen-up',
+  steps: [
+    { name: 'Neck rolls', seconds: 30, instructions: 'Slowly, both directions.' },
+    { name: 'Toe touches', seconds: 60, instructions: '' }
+  ]
+};
+
+test('bundled routines follow the same rules as custom ones apart from the id', () => {
+  DEFAULT_ROUTINES.forEach((routine) => {
+    assert.equal(isValidRoutine({ ...routine, id: 'routine_check' }), true, routine.id);
+  });
+});
+
+test('isValidRoutine rejects missing names, empty steps and out-of-range timers', () => {
+  assert.equal(isValidRoutine(customRoutine), true);
+  assert.equal(isValidRoutine({ ...customRoutine, id: 'builtin_x' }), false);
+  assert.equal(isValidRoutine({ ...customRoutine, name: ' ' }), false);
+  assert.equal(isValidRoutine({ ...customRoutine, steps: [] }), false);
+  assert.equal(isValidRoutine({ ...customRoutine, steps: [{ name: 'Hold', seconds: 2, instructions: '' }] }), false);
+});
+
+test('getRoutineForType uses the selection and falls back to the type default', () => {
+  assert.equal(getRoutineForType('stretch', 'routine_1', [customRoutine]), customRoutine);
+  assert.equal(getRoutineForType('stretch', 'routine_deleted', [customRoutine]).id, 'builtin_desk_stretch');
+  assert.equal(getRoutineForType('up', undefined, []).id, 'builtin_walk_break');
+  assert.equal(getAllRoutines([customRoutine]).length, DEFAULT_ROUTINES.length + 1);
+});
+
+test('custom routines round-trip through their storage slots', () => {
+  const second = { ...customRoutine, id: 'routine_2' };
+  const items = toCustomRoutineItems([customRoutine, second]);
+
+  assert.deepEqual(Object.values(items), [customRoutine, second, null, null, null]);
+  assert.deepEqual(getCustomRoutines(items), [customRoutine, second]);
+  assert.deepEqual(getCustomRoutines({ ...items, customRoutine3: customRoutine }), [customRoutine, second]);
+  assert.deepEqual(Object.values(toCustomRoutineItems([second])), [second, null, null, null, null]);
+});
+
+test('the largest allowed custom routines each fit in one sync item', () => {
+  // Three UTF-8 bytes per character is the worst case for JSON strings
+  const text = (length) => '語'.repeat(length);
+  const routines = Array.from({ length: MAX_CUSTOM_ROUTINES }, (_, index) => ({
+    id: `routine_${Date.now() + index}`,
+    name: text(ROUTINE_NAME_MAX_LENGTH),
+    steps: Array.from({ length: MAX_ROUTINE_STEPS }, () => ({
+      name: text(ROUTINE_NAME_MAX_LENGTH),
+      seconds: ROUTINE_STEP_SECONDS.max,
+      instructions: text(ROUTINE_INSTRUCTIONS_MAX_LENGTH)
+    }))
+  }));
+  routines.forEach((routine) => assert.equal(isValidRoutine(routine), true));
+
+  const items = toCustomRoutineItems(routines);
+  Object.entries(items).forEach(([key, value]) => {
+    const bytes = new TextEncoder().encode(key + JSON.stringify(value)).length;
+    assert.ok(bytes <= SYNC_QUOTA_BYTES_PER_ITEM, `${key} is ${bytes} bytes`);
+  });
+  assert.deepEqual(getCustomRoutines(items), routines);
+});
+
+test('routine duration and time formatting', () => {
+  assert.equal(getRoutineDuration(customRoutine), 90);
+  assert.equal(formatRoutineTime(90), '1:30');
+  assert.equal(formatRoutineTime(4.2), '0:05');
+  assert.equal(formatRoutineTime(-1), '0:00');
+});
+
+test('getRoutineProgress counts finished steps and time spent in the current one', () => {
+  assert.equal(getRoutineProgress(customRoutine, 0, 30000), 0);
+  assert.equal(getRoutineProgress(customRoutine, 1, 30000), 2 / 3);
+  assert.equal(getRoutineProgress(customRoutine, 2, 0), 1);
+});
+
+test('parseRoutineParams reads the type and notification and defaults to stretch', () => {
+  assert.deepEqual(parseRoutineParams('?type=up&notification=up%7C123'), { type: 'up', notificationId: 'up|123' });
+  assert.deepEqual(parseRoutineParams('?type=water'), { type: 'stretch', notificationId: null });
+});
+
+test('parseBlinkBreakParams keeps the break length within bounds', () => {
+  assert.deepEqual(parseBlinkBreakParams('?notification=blink%7C1&seconds=30'), { notificationId: 'blink|1', seconds: 30 });
+  assert.equal(parseBlinkBreakParams('?seconds=9999').seconds, 20);
+});
@@ -0,0 +1,126 @@
+/**
+ * settings-schema.test.js - Unit tests for the settings schema and migrations.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SETTINGS_SCHEMA,
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_VERSION_KEY,
+  SETTINGS_KEYS,
+  isValidSetting,
+  describeSetting,
+  getSetting,
+  normalizeSettings,
+  migrateSettings
+} from '../../settings-schema.js';
+
+const customReminder = {
+  id: 'custom_1',
+  name: 'Posture, please',
+  emoji: '🪑',
+  message: 'Sit up straight',
+  interval: 30,
+  enabled: true
+};
+
+test('every schema entry declares a type, label and valid default', () => {
+  SETTINGS_KEYS.forEach((key) => {
+    const definition = SETTINGS_SCHEMA[key];
+    assert.ok(definition.type, key);
+    assert.ok(definition.label, key);
+    assert.equal(isValidSetting(key, definition.default), true, key);
+  });
+});
+
+test('isValidSetting checks types, bounds and enum options', () => {
+  assert.equal(isValidSetting('blinkEnabled', false), true);
+  assert.equal(isValidSetting('blinkEnabled', 'false'), false);
+  assert.equal(isValidSetting('blinkInterval', 20), true);
+  assert.equal(isValidSetting('blinkInterval', 20.5), false);
+  assert.equal(isValidSetting('blinkInterval', 241), false);
+  assert.equal(isValidSetting('snoozeMinutes', 5), true);
+  assert.equal(isValidSetting('snoozeMinutes', 7), false);
+  assert.equal(isValidSetting('waterUnit', 'floz'), true);
+  assert.equal(isValidSetting('customReminders', [customReminder, customReminder]), false);
+  const longReminders = Array.from({ length: 20 }, (_, index) => ({
+    ...customReminder,
+    id: `custom_${index}`,
+    name: 'Ж'.repeat(40),
+    message: 'Ж'.repeat(200)
+  }));
+  assert.equal(isValidSetting('customReminders', longReminders), false);
+  const longClockReminders = longReminders.map(({ id, name, message }) => ({
+    id: id.replace('custom_', 'clock_'),
+    name,
+    emoji: '🕙',
+    message,
+    times: ['09:00', '12:30', '15:00', '17:45'],
+    repeat: 'weekdays',
+    days: [],
+    enabled: true
+  }));
+  assert.equal(isValidSetting('clockReminders', longClockReminders.slice(0, 10)), true);
+  assert.equal(isValidSetting('clockReminders', longClockReminders), false);
+  assert.equal(isValidSetting('unknownKey', true), false);
+});
+
+test('describeSetting explains the accepted range', () => {
+  assert.equal(
+    describeSetting('idleThresholdMinutes'),
+    'Minutes without input before you count as away must be a whole number between 1 and 60.'
+  );
+});
+
+test('getSetting falls back to the default for missing or invalid values', () => {
+  assert.equal(getSetting({ waterGoalMl: 2500 }, 'waterGoalMl'), 2500);
+  assert.equal(getSetting({ waterGoalMl: 99999 }, 'waterGoalMl'), SETTINGS_SCHEMA.waterGoalMl.default);
+  assert.equal(getSetting(undefined, 'soundEnabled'), SETTINGS_SCHEMA.soundEnabled.default);
+
+  const schedule = getSetting({}, 'workSchedule');
+  schedule.enabled = !schedule.enabled;
+  assert.notEqual(SETTINGS_SCHEMA.workSchedule.default.enabled, schedule.enabled);
+});
+
+test('normalizeSettings fills defaults, drops bad list entries and reports resets', () => {
+  const { settings, resetKeys } = normalizeSettings({
+    blinkInterval: 25,
+    upInterval: 'soon',
+    customReminders: [customReminder, { id: 'broken' }, customReminder]
+  });
+
+  assert.equal(settings.blinkInterval, 25);
+  assert.equal(settings.upInterval, SETTINGS_SCHEMA.upInterval.default);
+  assert.equal(settings.idleThresholdMinutes, 5);
+  assert.deepEqual(settings.customReminders, [customReminder]);
+  assert.deepEqual(resetKeys.sort(), ['customReminders', 'upInterval']);
+  assert.deepEqual(Object.keys(settings).sort(), [...SETTINGS_KEYS].sort());
+});
+
+test('migrateSettings runs newer steps in order and reports removed keys', () => {
+  const migrations = [
+    { version: 3, migrate: (settings) => ({ ...settings, snoozeMinutes: settings.snoozeMinutes * 5 }) },
+    {
+      version: 2,
+      migrate: ({ snoozeSteps, ...settings }) => ({ ...settings, snoozeMinutes: snoozeSteps })
+    },
+    { version: 1, migrate: () => assert.fail('already applied') }
+  ];
+
+  const result = migrateSettings({ [SETTINGS_VERSION_KEY]: 1, snoozeSteps: 2, blinkInterval: 20 }, migrations);
+
+  assert.deepEqual(result.settings, { blinkInterval: 20, snoozeMinutes: 10 });
+  assert.deepEqual(result.removedKeys, ['snoozeSteps']);
+  assert.equal(result.fromVersion, 1);
+  assert.equal(result.version, 3);
+});
+
+test('migrateSettings treats unversioned settings as version 0', () => {
+  const result = migrateSettings({ blinkInterval: 20 });
+
+  assert.deepEqual(result.settings, { blinkInterval: 20 });
+  assert.deepEqual(result.removedKeys, []);
+  assert.equal(result.fromVersion, 0);
+  assert.equal(result.version, SETTINGS_SCHEMA_VERSION);
+});
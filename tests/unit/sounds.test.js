@@ -0,0 +1,52 @@
+/**
+ * sounds.test.js - Unit tests for synthesized notification tones.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SYNTH_TONES, getToneDurationMs, playTone } from '../../sounds.js';
+import { SOUND_PRESETS } from '../../constants.js';
+
+function createFakeAudioContext() {
+  const oscillators = [];
+  const param = () => ({ value: 0, setValueAtTime: () => {}, exponentialRampToValueAtTime: () => {} });
+  return {
+    oscillators,
+    currentTime: 0,
+    destination: {},
+    createOscillator() {
+      const oscillator = {
+        frequency: param(),
+        connect: () => {},
+        disconnect: () => {},
+        start: () => {},
+        stop: () => { queueMicrotask(() => oscillator.onended?.()); }
+      };
+      oscillators.push(oscillator);
+      return oscillator;
+    },
+    createGain: () => ({ gain: param(), connect: () => {}, disconnect: () => {} })
+  };
+}
+
+test('every synthesized preset has a tone', () => {
+  SOUND_PRESETS
+    .filter(({ id }) => id !== 'system' && id !== 'file')
+    .forEach(({ id }) => assert.ok(SYNTH_TONES[id], id));
+});
+
+test('getToneDurationMs measures to the end of the last note', () => {
+  assert.equal(getToneDurationMs('beep'), 420);
+  assert.equal(getToneDurationMs('chime'), 1100);
+  assert.equal(getToneDurationMs('unknown'), 420);
+});
+
+test('playTone schedules each note relative to the base frequency', async () => {
+  const audioContext = createFakeAudioContext();
+
+  await playTone(audioContext, 'doubleBeep', 500, 0.5);
+
+  assert.equal(audioContext.oscillators.length, 2);
+  assert.deepEqual(audioContext.oscillators.map((oscillator) => oscillator.type), ['square', 'square']);
+  assert.deepEqual(audioContext.oscillators.map((oscillator) => oscillator.frequency.value), [500, 500]);
+});
@@ -0,0 +1,74 @@
+/**
+ * speech.test.js - Unit tests for spoken reminders.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findVoice, loadVoices, speakText } from '../../speech.js';
+
+const VOICES = [
+  { name: 'Alex', lang: 'en-US' },
+  { name: 'Anna', lang: 'de-DE' }
+];
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+function createFakeSynth({ voices = VOICES, error = null } = {}) {
+  const spoken = [];
+  return {
+    spoken,
+    getVoices: () => voices,
+    addEventListener: () => {},
+    speak(utterance) {
+      spoken.push(utterance);
+      queueMicrotask(() => (error ? utterance.onerror({ error }) : utterance.onend()));
+    }
+  };
+}
+
+test('findVoice matches by name and falls back to the default voice', () => {
+  assert.equal(findVoice(VOICES, 'Anna'), VOICES[1]);
+  assert.equal(findVoice(VOICES, 'Missing'), null);
+  assert.equal(findVoice(VOICES, ''), null);
+});
+
+test('loadVoices waits for voices that load after the page', async () => {
+  let voices = [];
+  let onVoicesChanged = null;
+  const synth = {
+    getVoices: () => voices,
+    addEventListener: (type, listener) => { onVoicesChanged = listener; }
+  };
+
+  const loading = loadVoices(synth);
+  voices = VOICES;
+  onVoicesChanged();
+
+  assert.deepEqual(await loading, VOICES);
+});
+
+test('speakText applies the voice, rate and volume percentages', async () => {
+  const synth = createFakeSynth();
+
+  const result = await speakText(synth, FakeUtterance, { text: 'Drink water', voice: 'Anna', rate: 150, volume: 40 });
+
+  assert.deepEqual(result, { voice: 'Anna' });
+  const [utterance] = synth.spoken;
+  assert.equal(utterance.text, 'Drink water');
+  assert.equal(utterance.voice, VOICES[1]);
+  assert.equal(utterance.lang, 'de-DE');
+  assert.equal(utterance.rate, 1.5);
+  assert.equal(utterance.volume, 0.4);
+});
+
+test('speakText rejects on synthesis errors but not when interrupted', async () => {
+  await assert.rejects(
+    speakText(createFakeSynth({ error: 'synthesis-failed' }), FakeUtterance, { text: 'Stretch' }),
+    /synthesis-failed/
+  );
+  assert.deepEqual(await speakText(createFakeSynth({ error: 'interrupted' }), FakeUtterance, { text: 'Stretch' }), { voice: null });
+});
@@ -0,0 +1,68 @@
+/**
+ * stats-utils.test.js - Unit tests for break statistics helpers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getComplianceRate,
+  filterLogByRange,
+  summarizeByType,
+  buildDailyStats,
+  buildHourlyStats,
+  getReminderLabel
+} from '../../stats.js';
+
+const at = (day, hour) => new Date(2025, 2, day, hour, 15).getTime();
+
+const log = [
+  ['blink', at(1, 9), 'done'],
+  ['blink', at(1, 10), 'ignored'],
+  ['water', at(2, 9), 'snoozed'],
+  ['water', at(3, 14), 'done'],
+  ['blink', at(3, 14), 'skipped'],
+  ['blink', at(3, 23), 'done']
+];
+
+test('getComplianceRate rounds the done share and handles empty tallies', () => {
+  assert.equal(getComplianceRate({ fired: 3, done: 2 }), 67);
+  assert.equal(getComplianceRate({ fired: 0, done: 0 }), null);
+});
+
+test('filterLogByRange keeps whole days ending on the end date', () => {
+  const entries = filterLogByRange(log, 2, new Date(2025, 2, 2, 8));
+  assert.deepEqual(entries.map(([type, firedAt]) => [type, firedAt]), [
+    ['blink', at(1, 9)],
+    ['blink', at(1, 10)],
+    ['water', at(2, 9)]
+  ]);
+  assert.deepEqual(filterLogByRange(undefined, 7, new Date()), []);
+});
+
+test('summarizeByType tallies outcomes per reminder', () => {
+  const summary = summarizeByType(log);
+  assert.deepEqual(summary.blink, { fired: 4, done: 2, snoozed: 0, skipped: 1, ignored: 1 });
+  assert.deepEqual(summary.water, { fired: 2, done: 1, snoozed: 1, skipped: 0, ignored: 0 });
+});
+
+test('buildDailyStats and buildHourlyStats bucket by local day and hour', () => {
+  const days = buildDailyStats(log, 3, new Date(2025, 2, 3));
+  assert.deepEqual(days.map(({ dateKey, fired, done }) => [dateKey, fired, done]), [
+    ['2025-03-01', 2, 1],
+    ['2025-03-02', 1, 0],
+    ['2025-03-03', 3, 2]
+  ]);
+
+  const hours = buildHourlyStats(log);
+  assert.equal(hours.length, 24);
+  assert.deepEqual([hours[9].fired, hours[9].done], [2, 1]);
+  assert.deepEqual([hours[14].fired, hours[14].done], [2, 1]);
+  assert.equal(hours[12].fired, 0);
+});
+
+test('getReminderLabel resolves built-in, custom and deleted reminders', () => {
+  const customReminders = [{ id: 'custom_1', name: 'Posture', emoji: '🪑' }];
+  assert.equal(getReminderLabel('blink', customReminders), '👀 Blink Break');
+  assert.equal(getReminderLabel('custom_1', customReminders), '🪑 Posture');
+  assert.equal(getReminderLabel('custom_2', customReminders), 'Deleted reminder');
+});
@@ -0,0 +1,86 @@
+/**
+ * timers.test.js - Unit tests for one-time timers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getTimerAlarmName,
+  parseTimerAlarmName,
+  normalizeTimerLabel,
+  isValidTimer,
+  isTimerPaused,
+  getTimerRemainingMs,
+  pauseTimer,
+  resumeTimer,
+  createTimer,
+  getRunningTimers,
+  getTimerTitle
+} from '../../timers.js';
+
+const NOW = Date.UTC(2024, 0, 8, 9, 0);
+const MINUTE = 60 * 1000;
+
+test('timer alarm names round-trip and other alarms are ignored', () => {
+  assert.equal(getTimerAlarmName('abc'), 'oneTime|abc');
+  assert.equal(parseTimerAlarmName('oneTime|abc'), 'abc');
+  assert.equal(parseTimerAlarmName('oneTime'), null);
+  assert.equal(parseTimerAlarmName('oneTime|'), null);
+  assert.equal(parseTimerAlarmName('snooze|water'), null);
+});
+
+test('normalizeTimerLabel trims to one line within the length limit', () => {
+  assert.equal(normalizeTimerLabel('  Deploy\n check '), 'Deploy check');
+  assert.equal(normalizeTimerLabel('x'.repeat(50)).length, 40);
+  assert.equal(normalizeTimerLabel(undefined), '');
+});
+
+test('createTimer picks an unused ID and computes the end time', () => {
+  const first = createTimer([], { minutes: 45, label: 'Laundry' }, NOW);
+  const second = createTimer([first], { minutes: '10' }, NOW);
+
+  assert.deepEqual(first, { id: NOW.toString(36), label: 'Laundry', durationMinutes: 45, scheduledTime: NOW + 45 * MINUTE });
+  assert.notEqual(second.id, first.id);
+  assert.equal(second.durationMinutes, 10);
+  assert.equal(isValidTimer(first), true);
+  assert.equal(isValidTimer({ ...first, durationMinutes: 0 }), false);
+});
+
+test('getRunningTimers takes end times from alarms and drops ended timers', () => {
+  const timers = [
+    { id: 'a', label: 'Laundry', durationMinutes: 45, scheduledTime: NOW + 45 * MINUTE },
+    { id: 'b', label: '', durationMinutes: 10, scheduledTime: NOW - MINUTE },
+    { id: 'c', label: 'Lost alarm', durationMinutes: 20, scheduledTime: NOW + 20 * MINUTE },
+    { id: 'd', label: 42 },
+    { id: 'e', label: 'Paused', durationMinutes: 5, scheduledTime: NOW - MINUTE, pausedRemainingMs: 2 * MINUTE }
+  ];
+  const alarms = [{ name: 'oneTime|a', scheduledTime: NOW + 44 * MINUTE }, { name: 'water', scheduledTime: NOW }];
+
+  assert.deepEqual(getRunningTimers(timers, alarms, NOW).map(({ id, scheduledTime }) => [id, scheduledTime]), [
+    ['a', NOW + 44 * MINUTE],
+    ['c', NOW + 20 * MINUTE],
+    ['e', NOW - MINUTE]
+  ]);
+  assert.deepEqual(getRunningTimers(undefined, alarms, NOW), []);
+});
+
+test('pausing freezes the time left and resuming counts down from it', () => {
+  const timer = { id: 'a', label: '', durationMinutes: 10, scheduledTime: NOW + 7 * MINUTE };
+
+  const paused = pauseTimer(timer, NOW);
+  assert.equal(isTimerPaused(paused), true);
+  assert.equal(isValidTimer(paused), true);
+  assert.equal(getTimerRemainingMs(paused, NOW + 60 * MINUTE), 7 * MINUTE);
+  assert.equal(pauseTimer(timer, NOW + 8 * MINUTE).pausedRemainingMs, 1000);
+
+  const resumed = resumeTimer(paused, NOW + 60 * MINUTE);
+  assert.deepEqual(resumed, { ...timer, scheduledTime: NOW + 67 * MINUTE });
+  assert.equal(isTimerPaused(resumed), false);
+  assert.equal(getTimerRemainingMs(resumed, NOW + 62 * MINUTE), 5 * MINUTE);
+  assert.equal(isValidTimer({ ...timer, pausedRemainingMs: 0 }), false);
+});
+
+test('getTimerTitle falls back to the timer length', () => {
+  assert.equal(getTimerTitle({ label: 'Call', durationMinutes: 10 }), 'Call');
+  assert.equal(getTimerTitle({ label: '', durationMinutes: 10 }), '10-min timer');
+});
@@ -0,0 +1,80 @@
+/**
+ * tips.test.js - Unit tests for the reminder tips library and rotation.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TIPS, pickTip, getTipPool } from '../../tips.js';
+import {
+  BUILT_IN_REMINDERS,
+  MAX_TIPS_PER_TYPE,
+  MAX_TIP_LENGTH,
+  MAX_TIP_POOL_BYTES,
+  SYNC_QUOTA_BYTES_PER_ITEM
+} from '../../constants.js';
+import { isValidTipPool } from '../../validation.js';
+
+test('bundled library has a valid pool for every built-in reminder', () => {
+  BUILT_IN_REMINDERS.forEach(({ id }) => {
+    assert.equal(isValidTipPool(DEFAULT_TIPS[id]), true, id);
+  });
+});
+
+test('pickTip shows every tip once before repeating', () => {
+  const pool = ['a', 'b', 'c', 'd'];
+  let rotation;
+  const shown = [];
+  for (let index = 0; index < pool.length; index += 1) {
+    ({ rotation } = pickTip(pool, rotation));
+    shown.push(rotation.last);
+  }
+
+  assert.deepEqual([...shown].sort(), pool);
+  assert.deepEqual(rotation.bag, []);
+});
+
+test('pickTip never starts a new round with the tip just shown', () => {
+  const pool = ['a', 'b', 'c'];
+  // random() = 0.99 keeps the shuffle in order, so 'a' would come first
+  const result = pickTip(pool, { bag: [], last: 'a' }, () => 0.99);
+
+  assert.notEqual(result.tip, 'a');
+  assert.equal(result.rotation.bag.length, 2);
+});
+
+test('pickTip skips tips that were removed from the pool', () => {
+  const result = pickTip(['b', 'c'], { bag: ['a', 'c'], last: 'b' });
+
+  assert.equal(result.tip, 'c');
+  assert.deepEqual(result.rotation, { bag: [], last: 'c' });
+});
+
+test('getTipPool prefers edited tips over the bundled library', () => {
+  assert.deepEqual(getTipPool('blink', ['Look away']), ['Look away']);
+  assert.equal(getTipPool('blink', null), DEFAULT_TIPS.blink);
+});
+
+test('isValidTipPool enforces count and length limits', () => {
+  assert.equal(isValidTipPool(null), true);
+  assert.equal(isValidTipPool([]), false);
+  assert.equal(isValidTipPool(['   ']), false);
+  assert.equal(isValidTipPool(['x'.repeat(MAX_TIP_LENGTH + 1)]), false);
+  assert.equal(isValidTipPool(Array.from({ length: MAX_TIPS_PER_TYPE + 1 }, (_, index) => `Tip ${index}`)), false);
+});
+
+test('isValidTipPool caps the stored size so a full pool fits in one sync item', () => {
+  const fullPool = (char) => Array.from({ length: MAX_TIPS_PER_TYPE }, () => char.repeat(MAX_TIP_LENGTH));
+  assert.equal(isValidTipPool(fullPool('x')), true);
+  assert.equal(isValidTipPool(fullPool('語')), false);
+
+  // Largest pool of three-byte characters that is still accepted
+  const largest = fullPool('語');
+  while (!isValidTipPool(largest)) {
+    largest.pop();
+  }
+  BUILT_IN_REMINDERS.forEach(({ id }) => {
+    const bytes = new TextEncoder().encode(`${id}Tips${JSON.stringify(largest)}`).length;
+    assert.ok(bytes <= SYNC_QUOTA_BYTES_PER_ITEM, `${id}Tips is ${bytes} bytes`);
+    assert.ok(`${id}Tips`.length + MAX_TIP_POOL_BYTES <= SYNC_QUOTA_BYTES_PER_ITEM, id);
+  });
+});
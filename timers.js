@@ -0,0 +1,168 @@
+/**
+ * timers.js - One-time timers for Recharge Chrome Extension
+ *
+ * Several labeled timers can run at once. Each has its own alarm named
+ * 'oneTime|<id>' and an entry in the oneTimeTimersV1 list in
+ * chrome.storage.local, which background.js owns; the popup lists the timers
+ * and the badge counts down to the one that ends first. A paused timer keeps
+ * the time it had left and has no alarm until it is resumed.
+ */
+
+import {
+  ONE_TIME_MIN,
+  ONE_TIME_MAX,
+  ONE_TIME_ALARM_PREFIX,
+  ONE_TIME_LABEL_MAX_LENGTH
+} from './constants.js';
+
+/**
+ * @typedef {object} OneTimeTimer
+ * @property {string} id - Unique among running timers.
+ * @property {string} label - Optional; empty for an unlabeled timer.
+ * @property {number} durationMinutes - Length the timer was started with.
+ * @property {number} scheduledTime - When it ends (epoch milliseconds); for a
+ *   paused timer, when it would have ended.
+ * @property {number} [pausedRemainingMs] - Time left, only while paused.
+ */
+
+/**
+ * @param {string} id - Timer ID.
+ * @returns {string} The name of the timer's alarm.
+ */
+export function getTimerAlarmName(id) {
+  return `${ONE_TIME_ALARM_PREFIX}${id}`;
+}
+
+/**
+ * @param {string} alarmName
+ * @returns {string|null} The timer ID, or null for other alarms.
+ */
+export function parseTimerAlarmName(alarmName) {
+  if (typeof alarmName !== 'string' || !alarmName.startsWith(ONE_TIME_ALARM_PREFIX)) {
+    return null;
+  }
+  return alarmName.slice(ONE_TIME_ALARM_PREFIX.length) || null;
+}
+
+/**
+ * Trims a label typed in the popup to a single line within the length limit.
+ * @param {*} label
+ * @returns {string}
+ */
+export function normalizeTimerLabel(label) {
+  if (typeof label !== 'string') {
+    return '';
+  }
+  return label.replace(/\s+/g, ' ').trim().slice(0, ONE_TIME_LABEL_MAX_LENGTH);
+}
+
+/**
+ * @param {*} timer - A stored timer entry.
+ * @returns {boolean}
+ */
+export function isValidTimer(timer) {
+  return Boolean(timer) &&
+    typeof timer.id === 'string' && timer.id.length > 0 &&
+    typeof timer.label === 'string' && timer.label.length <= ONE_TIME_LABEL_MAX_LENGTH &&
+    Number.isInteger(timer.durationMinutes) &&
+    timer.durationMinutes >= ONE_TIME_MIN && timer.durationMinutes <= ONE_TIME_MAX &&
+    Number.isFinite(timer.scheduledTime) &&
+    (timer.pausedRemainingMs === undefined ||
+      (Number.isFinite(timer.pausedRemainingMs) && timer.pausedRemainingMs > 0));
+}
+
+/**
+ * @param {OneTimeTimer} timer
+ * @returns {boolean}
+ */
+export function isTimerPaused(timer) {
+  return timer.pausedRemainingMs !== undefined;
+}
+
+/**
+ * @param {OneTimeTimer} timer
+ * @param {number} now - Current time (epoch milliseconds).
+ * @returns {number} Milliseconds left; frozen while the timer is paused.
+ */
+export function getTimerRemainingMs(timer, now) {
+  return isTimerPaused(timer) ? timer.pausedRemainingMs : Math.max(0, timer.scheduledTime - now);
+}
+
+/**
+ * Freezes a running timer. At least a second is kept so that resuming still
+ * has something to count down.
+ * @param {OneTimeTimer} timer
+ * @param {number} now - Current time (epoch milliseconds).
+ * @returns {OneTimeTimer}
+ */
+export function pauseTimer(timer, now) {
+  return { ...timer, pausedRemainingMs: Math.max(1000, timer.scheduledTime - now) };
+}
+
+/**
+ * Restarts a paused timer from the time it had left.
+ * @param {OneTimeTimer} timer
+ * @param {number} now - Current time (epoch milliseconds).
+ * @returns {OneTimeTimer}
+ */
+export function resumeTimer(timer, now) {
+  const { pausedRemainingMs, ...running } = timer;
+  return { ...running, scheduledTime: now + pausedRemainingMs };
+}
+
+/**
+ * Builds a new timer with an ID no running timer uses.
+ * @param {OneTimeTimer[]} timers - Running timers.
+ * @param {{minutes: number, label?: string}} request
+ * @param {number} now - Current time (epoch milliseconds).
+ * @returns {OneTimeTimer}
+ */
+export function createTimer(timers, { minutes, label }, now) {
+  const usedIds = new Set(timers.map(({ id }) => id));
+  let seed = now;
+  while (usedIds.has(seed.toString(36))) {
+    seed += 1;
+  }
+  const durationMinutes = Number(minutes);
+  return {
+    id: seed.toString(36),
+    label: normalizeTimerLabel(label),
+    durationMinutes,
+    scheduledTime: now + durationMinutes * 60 * 1000
+  };
+}
+
+/**
+ * Reconciles the stored list with the scheduled alarms, which are the source
+ * of truth for end times. An entry whose alarm is gone is dropped once its end
+ * time has passed (it fired or was lost); a later one is kept so the caller
+ * can re-arm it. Paused timers are kept as they are, since they have no alarm.
+ * Keeps the order the timers were started in.
+ * @param {*} timers - The stored oneTimeTimersV1 value.
+ * @param {chrome.alarms.Alarm[]} alarms - From chrome.alarms.getAll().
+ * @param {number} now - Current time (epoch milliseconds).
+ * @returns {OneTimeTimer[]}
+ */
+export function getRunningTimers(timers, alarms, now) {
+  if (!Array.isArray(timers)) {
+    return [];
+  }
+  const scheduledTimes = new Map(alarms
+    .filter(({ name }) => parseTimerAlarmName(name))
+    .map(({ name, scheduledTime }) => [parseTimerAlarmName(name), scheduledTime]));
+  return timers
+    .filter((timer) => isValidTimer(timer) &&
+      (isTimerPaused(timer) || scheduledTimes.has(timer.id) || timer.scheduledTime > now))
+    .map((timer) => (isTimerPaused(timer)
+      ? timer
+      : { ...timer, scheduledTime: scheduledTimes.get(timer.id) ?? timer.scheduledTime }));
+}
+
+/**
+ * Names a timer in the popup, notifications and shortcut feedback.
+ * @param {OneTimeTimer} timer
+ * @returns {string} The label, or e.g. "30-min timer" when it has none.
+ */
+export function getTimerTitle(timer) {
+  return timer.label || `${timer.durationMinutes}-min timer`;
+}
@@ -0,0 +1,97 @@
+/**
+ * tips.js - Reminder tips library for Recharge Chrome Extension
+ *
+ * Bundled tips for each built-in reminder and the rotation that picks the next
+ * one. Rotation is a shuffled bag: every tip in the pool is shown once before
+ * any repeats, and a new bag never starts with the tip that was just shown.
+ */
+
+export const DEFAULT_TIPS = {
+  blink: [
+    'Look at something 20 feet away for 20 seconds.',
+    'Close your eyes slowly, hold for two seconds, and open them. Repeat five times.',
+    'Blink quickly ten times to refresh the tear film on your eyes.',
+    'Roll your eyes in a slow circle, three times each way.',
+    'Focus on your fingertip at arm\'s length, then on something far away. Repeat five times.',
+    'Gently cup your palms over closed eyes and rest them in the dark for 20 seconds.',
+    'Look up, down, left and right without moving your head, holding each for a second.',
+    'Trace a slow figure eight with your eyes on the far wall.'
+  ],
+  water: [
+    'Time to drink some water! Stay hydrated!',
+    'A glass of water now keeps the afternoon slump away.',
+    'Even mild dehydration can make it harder to concentrate. Take a few sips.',
+    'Feeling hungry? Thirst is easy to mistake for hunger. Try a glass of water first.',
+    'Keep a bottle on your desk so the next glass is within reach.',
+    'Headache creeping in? Low water intake is a common cause.',
+    'Your body is mostly water. Top it up!',
+    'Add a slice of lemon or cucumber if plain water is getting boring.'
+  ],
+  up: [
+    'Time to get up and walk around for a few minutes!',
+    'Stand up and walk to the farthest window and back.',
+    'Take the stairs for one floor, or march in place for a minute.',
+    'Do ten slow calf raises while you stand.',
+    'Refill your glass or make a tea. The walk counts.',
+    'Take your next call standing up or walking.',
+    'Stand, reach for the ceiling, and take three deep breaths.',
+    'Walk around the room while you think through your next task.'
+  ],
+  stretch: [
+    'Time to do some stretching exercises!',
+    'Roll your shoulders backwards ten times, then forwards ten times.',
+    'Tilt your ear towards your shoulder and hold for 15 seconds on each side.',
+    'Interlace your fingers, push your palms forward and round your upper back.',
+    'Clasp your hands behind your back and gently open your chest.',
+    'Stretch your wrists: extend an arm, palm up, and gently pull your fingers back.',
+    'Sit tall and twist gently to each side, holding for 15 seconds.',
+    'Stand and reach one arm overhead, leaning to the opposite side. Switch sides.'
+  ]
+};
+
+/**
+ * Returns a shuffled copy of a list.
+ * @param {string[]} items - Items to shuffle.
+ * @param {() => number} random - Returns a number in [0, 1).
+ * @returns {string[]}
+ */
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
+  }
+  return shuffled;
+}
+
+/**
+ * Picks the next tip from a pool. Tips removed from the pool since the bag was
+ * drawn are skipped, so edits take effect on the next reminder.
+ * @param {string[]} pool - Tips to choose from.
+ * @param {{bag: string[], last: string|null}|undefined} rotation - Stored rotation state.
+ * @param {() => number} [random] - Returns a number in [0, 1).
+ * @returns {{tip: string, rotation: {bag: string[], last: string}}}
+ */
+export function pickTip(pool, rotation, random = Math.random) {
+  const last = rotation?.last ?? null;
+  let bag = (Array.isArray(rotation?.bag) ? rotation.bag : []).filter((tip) => pool.includes(tip));
+  if (bag.length === 0) {
+    bag = shuffle(pool, random);
+    if (bag.length > 1 && bag[0] === last) {
+      [bag[0], bag[bag.length - 1]] = [bag[bag.length - 1], bag[0]];
+    }
+  }
+  const [tip, ...rest] = bag;
+  return { tip, rotation: { bag: rest, last: tip } };
+}
+
+/**
+ * Returns the tip pool for a reminder type: the user's edited pool, or the
+ * bundled tips when it has not been edited.
+ * @param {string} type - Built-in reminder id.
+ * @param {string[]|null} storedTips - The stored `${type}Tips` setting.
+ * @returns {string[]}
+ */
+export function getTipPool(type, storedTips) {
+  return Array.isArray(storedTips) && storedTips.length > 0 ? storedTips : DEFAULT_TIPS[type] ?? [];
+}
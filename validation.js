@@ -0,0 +1,201 @@
+/**
+ * validation.js - Shared settings validation for Recharge Chrome Extension
+ *
+ * Used by the settings schema, and through it by the popup, the options page,
+ * backup import and background.js.
+ */
+
+import {
+  REPEATING_INTERVAL_MIN,
+  REPEATING_INTERVAL_MAX,
+  CUSTOM_REMINDER_ID_PREFIX,
+  CUSTOM_REMINDER_NAME_MAX_LENGTH,
+  CUSTOM_REMINDER_MESSAGE_MAX_LENGTH,
+  SYNC_QUOTA_BYTES_PER_ITEM,
+  JITTER_PERCENT_OPTIONS,
+  CLOCK_REMINDER_ID_PREFIX,
+  MAX_CLOCK_REMINDER_TIMES,
+  CLOCK_REMINDER_REPEATS,
+  MAX_TIPS_PER_TYPE,
+  MAX_TIP_LENGTH,
+  MAX_TIP_POOL_BYTES,
+  CUSTOM_ROUTINE_ID_PREFIX,
+  MAX_ROUTINE_STEPS,
+  ROUTINE_NAME_MAX_LENGTH,
+  ROUTINE_INSTRUCTIONS_MAX_LENGTH,
+  ROUTINE_STEP_SECONDS
+} from './constants.js';
+
+/**
+ * Validates if a value is a valid repeating alarm interval
+ * (REPEATING_INTERVAL_MIN-REPEATING_INTERVAL_MAX minutes).
+ * @param {number} value - The interval value to validate.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidInterval(value) {
+  return !isNaN(value) && value >= REPEATING_INTERVAL_MIN && value <= REPEATING_INTERVAL_MAX;
+}
+
+/**
+ * Validates a custom reminder definition before it is saved.
+ * @param {object} reminder - The custom reminder definition.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidCustomReminder(reminder) {
+  return Boolean(reminder) &&
+    typeof reminder.id === 'string' &&
+    reminder.id.startsWith(CUSTOM_REMINDER_ID_PREFIX) &&
+    typeof reminder.name === 'string' &&
+    reminder.name.trim().length > 0 &&
+    reminder.name.length <= CUSTOM_REMINDER_NAME_MAX_LENGTH &&
+    typeof reminder.message === 'string' &&
+    reminder.message.length <= CUSTOM_REMINDER_MESSAGE_MAX_LENGTH &&
+    isValidInterval(Number(reminder.interval)) &&
+    (reminder.jitterPercent === undefined || JITTER_PERCENT_OPTIONS.includes(reminder.jitterPercent));
+}
+
+/**
+ * Parses an interval typed in the popup: plain minutes ("90"), minutes with a
+ * unit ("45m", "45 min"), hours ("2h", "1.5h") or both ("1h30", "1h 30m").
+ * Does not check the range; use isValidInterval() for that.
+ * @param {string} text - The typed interval.
+ * @returns {number} Whole minutes (fractions of an hour are rounded), or NaN
+ *   if malformed.
+ */
+function parseIntervalText(text) {
+  const match = /^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*(?:m|mins?|minutes?)?)?$/i
+    .exec(String(text).trim());
+  if (!match || (match[1] === undefined && match[2] === undefined)) {
+    return NaN;
+  }
+  // A bare number after hours means minutes ("1h30"), as does a lone number ("90")
+  return Math.round(Number(match[1] ?? 0) * 60) + Number(match[2] ?? 0);
+}
+
+/**
+ * Parses an "HH:MM" time of day into minutes after midnight.
+ * @param {string} value - The time string.
+ * @returns {number} Minutes after midnight, or NaN if malformed.
+ */
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Validates a clock reminder definition before it is saved. Times must be
+ * distinct; days (Date#getDay() numbers) are only needed for 'days'.
+ * @param {object} reminder - The clock reminder definition.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidClockReminder(reminder) {
+  if (!reminder || typeof reminder.id !== 'string' || !reminder.id.startsWith(CLOCK_REMINDER_ID_PREFIX)) {
+    return false;
+  }
+  const validText = typeof reminder.name === 'string' &&
+    reminder.name.trim().length > 0 &&
+    reminder.name.length <= CUSTOM_REMINDER_NAME_MAX_LENGTH &&
+    typeof reminder.message === 'string' &&
+    reminder.message.length <= CUSTOM_REMINDER_MESSAGE_MAX_LENGTH;
+  const validTimes = Array.isArray(reminder.times) &&
+    reminder.times.length > 0 &&
+    reminder.times.length <= MAX_CLOCK_REMINDER_TIMES &&
+    reminder.times.every((time) => !isNaN(parseTimeOfDay(time))) &&
+    new Set(reminder.times).size === reminder.times.length;
+  const validDays = reminder.repeat !== 'days' || (
+    Array.isArray(reminder.days) &&
+    reminder.days.length > 0 &&
+    reminder.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  );
+  return validText && validTimes && validDays && CLOCK_REMINDER_REPEATS.some(({ id }) => id === reminder.repeat);
+}
+
+/**
+ * Validates a working-hours schedule before it is saved.
+ * @param {object} schedule - The schedule to validate.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidWorkSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return false;
+  }
+  const start = parseTimeOfDay(schedule.start);
+  const end = parseTimeOfDay(schedule.end);
+  const validDays = Array.isArray(schedule.days) &&
+    schedule.days.length > 0 &&
+    schedule.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+  if (!validDays || !(start < end)) {
+    return false;
+  }
+  if (!schedule.lunchEnabled) {
+    return true;
+  }
+  const lunchStart = parseTimeOfDay(schedule.lunchStart);
+  const lunchEnd = parseTimeOfDay(schedule.lunchEnd);
+  return lunchStart < lunchEnd && lunchStart > start && lunchEnd < end;
+}
+
+/**
+ * Returns whether a value fits in one chrome.storage.sync item under a key.
+ * @param {string} key - Storage key.
+ * @param {unknown} value - Value to store.
+ * @returns {boolean}
+ */
+function fitsSyncItem(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length <= SYNC_QUOTA_BYTES_PER_ITEM;
+}
+
+/**
+ * Validates an edited tip pool. null stands for the bundled library. Besides
+ * the count and length limits, the pool must fit in one sync item.
+ * @param {string[]|null} tips - The tips for one reminder type.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidTipPool(tips) {
+  if (tips === null) {
+    return true;
+  }
+  return Array.isArray(tips) &&
+    tips.length > 0 &&
+    tips.length <= MAX_TIPS_PER_TYPE &&
+    tips.every((tip) => typeof tip === 'string' && tip.trim().length > 0 && tip.length <= MAX_TIP_LENGTH) &&
+    new TextEncoder().encode(JSON.stringify(tips)).length <= MAX_TIP_POOL_BYTES;
+}
+
+/**
+ * Validates a custom routine definition before it is saved.
+ * @param {{id: string, name: string, steps: Array<{name: string, seconds: number, instructions: string}>}} routine
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidRoutine(routine) {
+  return Boolean(routine) &&
+    typeof routine.id === 'string' &&
+    routine.id.startsWith(CUSTOM_ROUTINE_ID_PREFIX) &&
+    typeof routine.name === 'string' &&
+    routine.name.trim().length > 0 &&
+    routine.name.length <= ROUTINE_NAME_MAX_LENGTH &&
+    Array.isArray(routine.steps) &&
+    routine.steps.length > 0 &&
+    routine.steps.length <= MAX_ROUTINE_STEPS &&
+    routine.steps.every((step) => Boolean(step) &&
+      typeof step.name === 'string' &&
+      step.name.trim().length > 0 &&
+      step.name.length <= ROUTINE_NAME_MAX_LENGTH &&
+      typeof step.instructions === 'string' &&
+      step.instructions.length <= ROUTINE_INSTRUCTIONS_MAX_LENGTH &&
+      Number.isInteger(step.seconds) &&
+      step.seconds >= ROUTINE_STEP_SECONDS.min &&
+      step.seconds <= ROUTINE_STEP_SECONDS.max);
+}
+
+export {
+  isValidInterval,
+  isValidCustomReminder,
+  parseIntervalText,
+  parseTimeOfDay,
+  isValidClockReminder,
+  isValidWorkSchedule,
+  fitsSyncItem,
+  isValidTipPool,
+  isValidRoutine
+};